@@ -5,6 +5,8 @@ and corrected Telegram inline keyboard formatting.
 
 *** FINAL FIX: Puzzle Anonymity implemented. Correct answers no longer show the chosen option (move text) in the public chat announcement. ***
 *** NEW FEATURE: Optional Hint button added. ***
+*** NEW FEATURE: FEN puzzles (POSTFEN|...) validated with chess.js and rendered locally, no photo needed. ***
+*** NEW FEATURE: Pluggable storage. STORAGE=json (default, data/data.json written atomically) or STORAGE=sqlite (data/data.sqlite, needs better-sqlite3). ***
 */
 
 require('dotenv').config();
@@ -13,16 +15,140 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const TelegramBot = require('node-telegram-bot-api');
 const { Chess } = require('chess.js'); // Import chess.js library
-const fetch = require('node-fetch'); // Import node-fetch for API calls
+const { spawn } = require('child_process'); // Runs the local UCI engine for /analyze
+const { Resvg } = require('@resvg/resvg-js'); // Renders board diagrams (SVG -> PNG) locally
 
 // Scoring Constants
 const SCORE_CORRECT = 8;
 const SCORE_WRONG = -16;
 const STREAK_BONUS_MULTIPLIER = 0.2; // Constant for streak bonus per correct streak point
-const BATTLE_PUZZLE_COUNT = 5; // Number of puzzles in a battle
-
-// NEW: Store active battle state in memory (not persisted)
-let activeBattles = {}; 
+const BATTLE_PUZZLE_COUNT = 5; // Default number of puzzles in a battle (/battle <count> overrides)
+const BATTLE_MIN_PUZZLES = 3;
+const BATTLE_MAX_PUZZLES = 20;
+const BATTLE_DEFAULT_MODE = 'speed';
+// classic: the first click ends the round, right or wrong
+// speed:   first correct answer wins the round; a wrong answer only locks out that player
+// all:     everyone answers once per round; points for correctness plus a bonus for answering fast
+const BATTLE_MODES = {
+    classic: 'First click takes the round, right or wrong.',
+    speed: 'First correct answer wins the round. A wrong answer locks only you out.',
+    all: 'Everyone gets one answer per round. Faster correct answers score more.'
+};
+const BATTLE_ALL_ROUND_SECONDS = 30; // round length in "all" mode when BATTLE_QUESTION_SECONDS is 0
+const BATTLE_ALL_BASE_POINTS = 10;   // "all" mode: points for a correct answer...
+const BATTLE_ALL_SPEED_POINTS = 10;  // ...plus up to this many for answering instantly
+const DUEL_PUZZLE_COUNT = 5; // Default number of puzzles in a /duel
+const DUEL_ROUND_SECONDS = Number(process.env.DUEL_ROUND_SECONDS) || 60; // each duel round closes after this, answered or not
+const DUEL_INVITE_TTL_MS = 10 * 60 * 1000; // unanswered challenges expire
+
+// Scheduled group posting
+const SCHEDULE_TICK_MS = 30 * 1000; // how often due schedules are checked
+const SCHEDULE_CATCH_UP_MS = Number(process.env.SCHEDULE_CATCH_UP_MINUTES || 120) * 60 * 1000; // a slot missed by less than this (downtime) is still posted once; older ones are skipped
+const SCHEDULE_MAX_HOURS = 168;
+
+// Bulk puzzle import (documents sent to the bot) and /exportpuzzles
+const PUZZLE_FILE_FORMATS = ['pgn', 'epd', 'csv', 'json'];
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_MAX_ENTRIES = 2000; // entries after this are ignored (reported)
+const IMPORT_REPORT_LINES = 30;  // longer error reports are sent as a file
+const SUBMISSION_MAX_PENDING = 5; // per member, so the review queue can't be flooded
+const AUTHOR_REPORT_ATTEMPTS = 20; // a member's approved puzzle: its author hears how it did after this many first attempts
+const MAX_PUZZLE_TAGS = 10;
+
+// Outgoing message limits (Telegram: ~30 messages/s overall, ~1/s per chat, ~20/min per group)
+const SEND_GLOBAL_PER_SECOND = Number(process.env.SEND_GLOBAL_PER_SECOND) || 25;
+const SEND_CHAT_GAP_MS = process.env.SEND_CHAT_GAP_MS !== undefined ? Number(process.env.SEND_CHAT_GAP_MS) : 1000; // minimum spacing within one chat
+const SEND_GROUP_PER_MINUTE = Number(process.env.SEND_GROUP_PER_MINUTE) || 20;
+const SEND_MAX_RETRIES = 3;       // network errors and Telegram 5xx, retried with exponential backoff
+const SEND_RETRY_BASE_MS = 1000;
+const SEND_MAX_FLOOD_WAITS = 5;   // 429s honoured for one message before it is given up
+const ANNOUNCE_MERGE_MAX_CHARS = 3500; // merged answer announcements stay under Telegram's 4096-char limit
+const BROADCAST_PROGRESS_MS = 5000; // how often the admin's broadcast progress message is updated
+
+// /analyze: local UCI engine (e.g. Stockfish) run as a child process, one game at a time
+const ENGINE_PATH = process.env.ENGINE_PATH || 'stockfish';
+const ENGINE_THREADS = Number(process.env.ENGINE_THREADS) || 1;
+const ENGINE_HASH_MB = Number(process.env.ENGINE_HASH_MB) || 64;
+const ENGINE_START_TIMEOUT_MS = 10 * 1000;
+const ANALYSIS_DEPTH = Number(process.env.ANALYSIS_DEPTH) || 14;
+const ANALYSIS_MOVETIME_MS = Number(process.env.ANALYSIS_MOVETIME_MS) || 1000; // per position; whichever of depth/time comes first
+const ANALYSIS_GAME_TIMEOUT_MS = Number(process.env.ANALYSIS_GAME_TIMEOUT_SECONDS || 300) * 1000; // longer games are reported up to where it stopped
+const ANALYSIS_MAX_PLIES = 400;
+const ANALYSIS_QUEUE_MAX = 10;     // games waiting; one per user
+const ANALYSIS_PROGRESS_MS = 10 * 1000;
+const ANALYSIS_KEY_MOMENTS = 6;
+const ANALYSIS_KEEP = 100;         // newest reports whose "show position" buttons keep working
+const EVAL_GRAPH_WIDTH = 720;
+const EVAL_GRAPH_HEIGHT = 300;
+const EVAL_GRAPH_MARGIN = 36;
+const MATE_CP = 10000;             // a forced mate as a centipawn score (mate in n = MATE_CP - n)
+// /findpuzzles: tactical moments in analysed games become draft puzzles for review
+const MINE_MAX_GAMES = 10;         // per request; a longer PGN file is cut off (reported)
+const MINE_MAX_DRAFTS = 30;        // per request
+const MINE_MULTIPV = 4;            // engine lines per candidate: the answer and up to 3 wrong options
+const MINE_MIN_WIN = 70;           // winning chances (%) the only move must keep - and the others must not
+const MINE_MIN_SWING = 10;         // chances lost by the previous move (or the move played) that make a moment tactical
+const MINE_ONLY_MOVE_GAP = 10;     // minimum gap (% points) between the best and the second-best move
+// /play: games against the engine or another member
+const PLAY_LEVELS = [              // /play bot <1-8>: Stockfish "Skill Level" (0-20) and how long it may think per move
+    { skill: 0, depth: 1, movetimeMs: 50 },
+    { skill: 3, depth: 2, movetimeMs: 100 },
+    { skill: 6, depth: 4, movetimeMs: 150 },
+    { skill: 9, depth: 6, movetimeMs: 200 },
+    { skill: 12, depth: 8, movetimeMs: 300 },
+    { skill: 15, depth: 10, movetimeMs: 500 },
+    { skill: 18, depth: 14, movetimeMs: 800 },
+    { skill: 20, depth: 18, movetimeMs: 1500 }
+];
+const PLAY_DEFAULT_LEVEL = 3;
+const PLAY_DEFAULT_CLOCK = '1d';   // correspondence: a day per move; "10+5" = 10 minutes each plus 5 seconds per move
+const PLAY_MAX_CLOCK_MINUTES = 180;
+const PLAY_MAX_DAYS_PER_MOVE = 14;
+const PLAY_INVITE_TTL_MS = 24 * 60 * 60 * 1000; // correspondence challenges may wait a while
+// /teamgame: a group plays the engine or another group, voting on every move
+const TEAM_VOTE_MINUTES = Number(process.env.TEAM_VOTE_MINUTES) || 10; // voting window when /teamgame doesn't give one
+const TEAM_VOTE_MAX_MINUTES = 24 * 60;
+const TEAM_SEED_CANDIDATES = 6;    // moves on the vote buttons when a vote opens (the engine's top lines)
+const TEAM_MAX_CANDIDATES = 12;    // members add other moves by replying to the board, up to this many buttons
+const TEAM_MAX_EMPTY_VOTES = 3;    // windows in a row without a single vote before the team loses on time
+const TEAM_VOTE_REFRESH_MS = 3000; // vote counts on the buttons are redrawn at most this often
+const LICHESS_CSV_HEADER = 'PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags';
+
+// Per-group settings (/settings panel). Private chats always use the defaults.
+const DEFAULT_GROUP_SETTINGS = {
+    announcements: true,   // public "X answered correctly" messages for button and typed answers
+    hints: true,           // show the 💡 Get Hint button when a puzzle has a hint
+    reveal: 'puzzle',      // 'puzzle' (use the puzzle's reveal=), 'off', or minutes for every puzzle
+    language: 'en',        // language of the bot's public group messages
+    battleLength: BATTLE_PUZZLE_COUNT, // /battle without a count
+    memberPuzzle: true     // false: only chat admins may use /puzzle
+};
+const SETTINGS_REVEAL_STEPS = ['puzzle', 'off', 15, 30, 60, 360, 1440];
+const SETTINGS_BATTLE_STEPS = [3, 5, 7, 10, 15, 20];
+const BATTLE_QUESTION_SECONDS = process.env.BATTLE_QUESTION_SECONDS !== undefined ? Number(process.env.BATTLE_QUESTION_SECONDS) : 60; // 0 = wait for an answer forever
+const BATTLE_STALE_MS = 30 * 60 * 1000; // a battle with no activity for this long is ended automatically
+const LINE_SESSION_TIMEOUT_MS = 10 * 60 * 1000; // A multi-move line left untouched this long ends with partial credit
+
+// Glicko-2 Rating Constants (users and puzzles both carry a rating; every first attempt is a "game" between them)
+const RATING_DEFAULT = 1500;
+const RATING_RD_DEFAULT = 350;       // rating deviation: how unsure we are of the rating
+const RATING_VOL_DEFAULT = 0.06;     // volatility: how erratic the performance is
+const GLICKO_TAU = 0.5;              // constrains volatility changes
+const GLICKO_SCALE = 173.7178;       // Glicko <-> Glicko-2 scale factor
+const RATING_PROVISIONAL_RD = 110;   // above this RD a rating is shown as provisional (?)
+
+// Adaptive /puzzle selection
+const ADAPTIVE_POOL_SIZE = 3; // pick randomly among the unseen puzzles closest to the solver's rating
+const REVIEW_INTERVALS_DAYS = [1, 3, 7, 14, 30]; // spaced-repetition boxes for missed puzzles
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Battle state lives in data.battles (persisted, keyed by chatId) so a restart can resume it.
+// Per-question timers can't be persisted; they are re-armed from questionDeadline on startup.
+let battleTimers = {};
+let duelTimers = {}; // duelId -> round timeout, re-armed from roundDeadline on startup
+// Multi-move puzzle lines being solved live in data.lines (persisted, keyed by session id) so a restart
+// can't lose a reserved first attempt; their expiry timers are re-armed from expiresAt on startup.
+let lineTimers = {};
 
 // UPDATED: Player Titles based on Score Thresholds with enhanced emojis
 const PLAYER_TITLES = [
@@ -46,106 +172,533 @@ const PLAYER_TITLES = [
 
 const DATA_DIR = path.join(__dirname, 'data');
 const DATA_FILE = path.join(DATA_DIR, 'data.json');
+const SQLITE_FILE = path.join(DATA_DIR, 'data.sqlite');
+const STORAGE = (process.env.STORAGE || 'json').toLowerCase(); // 'json' | 'sqlite'
+const SAVE_DEBOUNCE_MS = 1000; // saveData() calls within this window are written once
+const POST_RETENTION_DAYS = Number(process.env.POST_RETENTION_DAYS) || 60; // posted messages older than this stop accepting answers and are pruned
+const POST_PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const REVEAL_TICK_MS = 15 * 1000; // how often posts due for their timed reveal are checked
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
+// --- STORAGE ADAPTERS ---
+// Both adapters expose the same interface:
+//   load()            -> the stored data object, or null when nothing has been stored yet
+//   save(snapshot)    -> Promise, persists the whole data object
+//   saveSync(snapshot)-> same, blocking (used on shutdown)
+
+function createJsonStore(file){
+  // Every write gets its own temp file: the shutdown saveSync() can run while an async save is still
+  // writing, and the two sharing one temp file could rename a half-written mix over data.json.
+  let writes = 0;
+  const nextTmpFile = () => `${file}.${process.pid}.${++writes}.tmp`;
+  const tmpPattern = new RegExp(`^${path.basename(file).replace(/\./g, '\\.')}\\.\\d+\\.\\d+\\.tmp$`);
+  return {
+    name: 'json',
+    load(){
+      // Temp files of earlier runs: a failed write, or a save cut off by the exit after the shutdown saveSync()
+      for (const name of fs.readdirSync(path.dirname(file)).filter(n => tmpPattern.test(n))) {
+        try { fs.unlinkSync(path.join(path.dirname(file), name)); } catch (e) { console.warn('Could not remove', name, e.message); }
+      }
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+    // Write to a temp file and rename it over the real one, so a crash mid-write never leaves a truncated data.json.
+    async save(snapshot){
+      const tmpFile = nextTmpFile();
+      try {
+        await fs.promises.writeFile(tmpFile, JSON.stringify(snapshot, null, 2));
+        await fs.promises.rename(tmpFile, file);
+      } catch (e) {
+        await fs.promises.rm(tmpFile, { force: true }).catch(() => {});
+        throw e;
+      }
+    },
+    saveSync(snapshot){
+      const tmpFile = nextTmpFile();
+      try {
+        fs.writeFileSync(tmpFile, JSON.stringify(snapshot, null, 2));
+        fs.renameSync(tmpFile, file);
+      } catch (e) {
+        fs.rmSync(tmpFile, { force: true });
+        throw e;
+      }
+    }
+  };
+}
+
+// Collections whose entries are stored one row per id; every other top-level key is stored as a single row.
+const RECORD_COLLECTIONS = ['puzzles', 'users', 'groups', 'duelRecords', 'games'];
+const ROOT_COLLECTION = '_root';
+
+function createSqliteStore(file){
+  let Database;
+  try {
+    Database = require('better-sqlite3'); // only needed when STORAGE=sqlite
+  } catch (e) {
+    throw new Error('STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS records (collection TEXT NOT NULL, id TEXT NOT NULL, json TEXT NOT NULL, PRIMARY KEY (collection, id))');
+  const selectAll = db.prepare('SELECT collection, id, json FROM records');
+  const upsert = db.prepare('INSERT INTO records (collection, id, json) VALUES (?, ?, ?) ON CONFLICT(collection, id) DO UPDATE SET json = excluded.json');
+  const remove = db.prepare('DELETE FROM records WHERE collection = ? AND id = ?');
+
+  // Last written JSON per row ("collection\u0000id"), so a save only touches rows that changed.
+  const written = new Map();
+
+  function rowsOf(snapshot){
+    const rows = new Map();
+    for (const key of Object.keys(snapshot)) {
+      if (RECORD_COLLECTIONS.includes(key)) {
+        for (const id of Object.keys(snapshot[key] || {})) {
+          rows.set(key + '\u0000' + id, JSON.stringify(snapshot[key][id]));
+        }
+      } else {
+        rows.set(ROOT_COLLECTION + '\u0000' + key, JSON.stringify(snapshot[key]));
+      }
+    }
+    return rows;
+  }
+
+  const writeDiff = db.transaction(rows => {
+    for (const [rowKey, json] of rows) {
+      if (written.get(rowKey) === json) continue;
+      const [collection, id] = rowKey.split('\u0000');
+      upsert.run(collection, id, json);
+      written.set(rowKey, json);
+    }
+    for (const rowKey of [...written.keys()]) {
+      if (rows.has(rowKey)) continue;
+      const [collection, id] = rowKey.split('\u0000');
+      remove.run(collection, id);
+      written.delete(rowKey);
+    }
+  });
+
+  return {
+    name: 'sqlite',
+    load(){
+      const rows = selectAll.all();
+      if (rows.length === 0) return null;
+      const loaded = {};
+      for (const r of rows) {
+        written.set(r.collection + '\u0000' + r.id, r.json);
+        if (r.collection === ROOT_COLLECTION) {
+          loaded[r.id] = JSON.parse(r.json);
+        } else {
+          if (!loaded[r.collection]) loaded[r.collection] = {};
+          loaded[r.collection][r.id] = JSON.parse(r.json);
+        }
+      }
+      for (const key of RECORD_COLLECTIONS) if (!loaded[key]) loaded[key] = {};
+      return loaded;
+    },
+    async save(snapshot){
+      writeDiff(rowsOf(snapshot));
+    },
+    saveSync(snapshot){
+      writeDiff(rowsOf(snapshot));
+    },
+    close(){ db.close(); }
+  };
+}
+
+function createStore(){
+  if (STORAGE === 'sqlite') return createSqliteStore(SQLITE_FILE);
+  if (STORAGE !== 'json') console.warn(`Unknown STORAGE "${STORAGE}", falling back to json.`);
+  return createJsonStore(DATA_FILE);
+}
+
+const store = createStore();
+
 // load or init data
 let data = {
   // Puzzles now store options as an array of objects: [{text: 'Qd3', isAnswer: true}, ...], also tracks puzzleNumber
+  // FEN puzzles also store `fen`; their photoFileId caches the rendered board after it is first sent
   puzzles: {},       
-  users: {},         // userId -> { userId, name, correct:0, attempts:0, score:0, answers: {puzzleId: moveText}, lastPuzzleId: id, currentStreak:0, maxStreak:0 } 
-  groups: {},        // chatId -> { chatId, title, registeredAt, score:0, attempts:0, nextPuzzleIndex: 0, battleNextPuzzleIndex: 0 } 
-  settings: { globalBroadcast: [] } // array of group chatIds
+  users: {},         // userId -> { userId, name, correct:0, attempts:0, score:0, answers: {puzzleId: moveText}, lastPuzzleId: id, currentStreak:0, maxStreak:0, rating, reviews: {puzzleId: {box, dueAt}} } 
+  groups: {},        // chatId -> { chatId, title, registeredAt, score:0, attempts:0, puzzleCursor: 0, battleCursor: 0, puzzleMode: 'sequential', schedule: null, settings: {...} } 
+  duels: {},         // duelId -> pending or running /duel { players: [challengerId, opponentId], groupId, status, puzzles, scores, ... }
+  duelRecords: {},   // "uidA:uidB" (sorted) -> head-to-head { players, wins: {uid: n}, draws, duels, lastPlayedAt }
+  lines: {},         // sessionId -> multi-move line being solved { puzzleId, uid, chatId, isFirstAttempt, ply, solvedMoves, msgId, postedOptionsMap, expiresAt }
+  battles: {},       // chatId -> active battle { puzzles: [{id, answeredBy, postedOptionsMap, msgId}], currentPuzzleIndex, scores, messageIds, questionDeadline, lastActivityAt }
+  submissions: {},   // submissionId -> community puzzle waiting for (or past) review { status, puzzle, submittedBy, ... }
+  roles: {},         // userId -> { role: 'owner' | 'admin' | 'author', name, grantedBy, grantedAt } (ADMIN_IDS are always owners)
+  analyses: {},      // analysisId -> critical positions of a recent /analyze report { createdAt, players, moments: {ply: {fen, lastMove, flipped, caption}} }
+  games: {},         // gameId -> pending or running /play game { players: {w, b} (userId or 'bot'), status, moves (SAN), clock, remainingMs, turnStartedAt, boards, ... }
+  settings: { globalBroadcast: [], lastPuzzleNumber: 0 } // globalBroadcast: array of group chatIds; lastPuzzleNumber: highest public number handed out
 };
 
-function loadData(){
+// Fills in fields added since older data was written and drops unusable puzzles.
+// Returns true when anything changed and the data should be saved again.
+function migrateData(){
   let changed = false;
-  try{
-    if (fs.existsSync(DATA_FILE)){
-      data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  if (!data.puzzles) data.puzzles = {};
+  if (!data.users) data.users = {};
+  if (!data.groups) data.groups = {};
+  if (!data.settings) data.settings = { globalBroadcast: [] };
+  if (!data.battles) { data.battles = {}; changed = true; }
+  if (!data.lines) { data.lines = {}; changed = true; }
+  if (!data.duels) { data.duels = {}; changed = true; }
+  if (!data.duelRecords) { data.duelRecords = {}; changed = true; }
+  if (!data.roles) { data.roles = {}; changed = true; }
+  if (!data.submissions) { data.submissions = {}; changed = true; }
+  if (!data.analyses) { data.analyses = {}; changed = true; }
+  if (!data.games) { data.games = {}; changed = true; }
+
+  // --- Data Migration / Initialization ---
+  for (const uid in data.users) {
+    if (data.users[uid] && data.users[uid].score === undefined) { data.users[uid].score = 0; changed = true; }
+    if (data.users[uid] && data.users[uid].lastPuzzleId === undefined) { data.users[uid].lastPuzzleId = null; changed = true; }
+    if (data.users[uid] && data.users[uid].currentStreak === undefined) { data.users[uid].currentStreak = 0; changed = true; }
+    if (data.users[uid] && data.users[uid].maxStreak === undefined) { data.users[uid].maxStreak = 0; changed = true; }
+    if (data.users[uid] && data.users[uid].rating === undefined) { data.users[uid].rating = newRating(); changed = true; }
+    if (data.users[uid] && data.users[uid].reviews === undefined) { data.users[uid].reviews = {}; changed = true; }
+    if (data.users[uid] && data.users[uid].duelRating === undefined) { data.users[uid].duelRating = newRating(); changed = true; }
+    if (data.users[uid] && data.users[uid].teamStats === undefined) { data.users[uid].teamStats = newTeamStats(); changed = true; }
+    if (data.users[uid] && data.users[uid].firstAttempts === undefined) { data.users[uid].firstAttempts = {}; changed = true; }
+  }
+  for (const cid in data.groups) {
+    if (data.groups[cid] && data.groups[cid].score === undefined) { data.groups[cid].score = 0; changed = true; }
+    if (data.groups[cid] && data.groups[cid].attempts === undefined) { data.groups[cid].attempts = 0; changed = true; }
+    if (data.groups[cid] && data.groups[cid].puzzleMode === undefined) { data.groups[cid].puzzleMode = 'sequential'; changed = true; }
+    if (data.groups[cid] && data.groups[cid].schedule === undefined) { data.groups[cid].schedule = null; changed = true; }
+    if (data.groups[cid] && data.groups[cid].settings === undefined) { data.groups[cid].settings = { ...DEFAULT_GROUP_SETTINGS }; changed = true; }
+    if (data.groups[cid] && data.groups[cid].moderators === undefined) { data.groups[cid].moderators = {}; changed = true; }
+  }
+  
+  // --- PERMANENT FIX: DEEP DATA CLEANUP AND MIGRATION ---
+  const cleanPuzzles = {};
+  let removedCount = 0;
+
+  for (const pid in data.puzzles) {
+      const p = data.puzzles[pid];
+
+      // 1. CRITICAL CHECK: Remove invalid/incomplete puzzles entirely. 
+      // FEN puzzles have no uploaded photo until their rendered board has been sent once.
+      if (!p || (!p.photoFileId && !p.fen) || !p.title || !p.options || p.options.length === 0) {
+          removedCount++;
+          changed = true;
+          continue; // Skip and do not include in cleanPuzzles
+      }
       
-      // --- Data Migration / Initialization ---
-      for (const uid in data.users) {
-        if (data.users[uid] && data.users[uid].score === undefined) { data.users[uid].score = 0; changed = true; }
-        if (data.users[uid] && data.users[uid].lastPuzzleId === undefined) { data.users[uid].lastPuzzleId = null; changed = true; }
-        if (data.users[uid] && data.users[uid].currentStreak === undefined) { data.users[uid].currentStreak = 0; changed = true; }
-        if (data.users[uid] && data.users[uid].maxStreak === undefined) { data.users[uid].maxStreak = 0; changed = true; }
+      // 2. Standard Migrations/Cleanup
+      if (p.answerKey && p.options.length > 0 && p.options[0].key) {
+          p.options = p.options.map(opt => ({
+              text: opt.text,
+              isAnswer: opt.key === p.answerKey
+          }));
+          delete p.answerKey;
+          changed = true;
       }
-      for (const cid in data.groups) {
-        if (data.groups[cid] && data.groups[cid].score === undefined) { data.groups[cid].score = 0; changed = true; }
-        if (data.groups[cid] && data.groups[cid].attempts === undefined) { data.groups[cid].attempts = 0; changed = true; }
-        // NEW: Initialize group puzzle rotation index
-        if (data.groups[cid] && data.groups[cid].nextPuzzleIndex === undefined) { data.groups[cid].nextPuzzleIndex = 0; changed = true; }
-        // NEW: Initialize battle rotation index
-        if (data.groups[cid] && data.groups[cid].battleNextPuzzleIndex === undefined) { data.groups[cid].battleNextPuzzleIndex = 0; changed = true; }
+      if (p.createdByUserName === undefined) {
+          p.createdByUserName = 'Admin';
+          changed = true;
       }
-      
-      // --- PERMANENT FIX: DEEP DATA CLEANUP AND MIGRATION ---
-      const cleanPuzzles = {};
-      let removedCount = 0;
-
-      for (const pid in data.puzzles) {
-          const p = data.puzzles[pid];
-
-          // 1. CRITICAL CHECK: Remove invalid/incomplete puzzles entirely. 
-          if (!p || !p.photoFileId || !p.title || !p.options || p.options.length === 0) {
-              removedCount++;
-              changed = true;
-              continue; // Skip and do not include in cleanPuzzles
-          }
-          
-          // 2. Standard Migrations/Cleanup
-          if (p.answerKey && p.options.length > 0 && p.options[0].key) {
-              p.options = p.options.map(opt => ({
-                  text: opt.text,
-                  isAnswer: opt.key === p.answerKey
-              }));
-              delete p.answerKey;
-              changed = true;
-          }
-          if (p.createdByUserName === undefined) {
-              p.createdByUserName = 'Admin';
-              changed = true;
-          }
-          // Remove all expiry data permanently
-          if (p.expiresAt !== undefined) {
-              delete p.expiresAt;
-              changed = true;
-          }
-          
-          // NEW: Ensure 'hint' field exists (defaults to null if not present in old data)
-          if (p.hint === undefined) {
-              p.hint = null;
-              changed = true;
-          }
-
-          // Re-indexing will be done by /reindexpuzzles, but ensure initial check passes
-          if (p.puzzleNumber === undefined) {
-              const keys = Object.keys(data.puzzles);
-              p.puzzleNumber = keys.findIndex(k => k === pid) + 1;
-              changed = true;
-          }
-
-          cleanPuzzles[pid] = p;
+      // Remove all expiry data permanently
+      if (p.expiresAt !== undefined) {
+          delete p.expiresAt;
+          changed = true;
       }
       
-      if (removedCount > 0) {
-          console.warn(`⚠️ CLEANUP: Removed ${removedCount} corrupt/incomplete puzzles from data.json.`);
-          data.puzzles = cleanPuzzles;
+      // NEW: Ensure 'hint' field exists (defaults to null if not present in old data)
+      if (p.hint === undefined) {
+          p.hint = null;
           changed = true;
       }
+
+      // Timed reveal fields (off for older puzzles)
+      if (p.revealAfterMinutes === undefined) {
+          p.revealAfterMinutes = null;
+          p.explanation = p.explanation || null;
+          changed = true;
+      }
+
+      // Themes: Lichess imports bring theirs, older puzzles start untagged
+      if (p.tags === undefined) {
+          p.tags = p.source && p.source.themes ? parseTags(p.source.themes) : [];
+          changed = true;
+      }
+
+      // Glicko-2 rating for puzzles created before ratings existed
+      if (p.rating === undefined) {
+          p.rating = newRating();
+          p.difficulty = puzzleDifficulty(p.rating);
+          changed = true;
+      }
+
+      cleanPuzzles[pid] = p;
+  }
+  
+  if (removedCount > 0) {
+      console.warn(`⚠️ CLEANUP: Removed ${removedCount} corrupt/incomplete puzzles from data.json.`);
+      data.puzzles = cleanPuzzles;
+      changed = true;
+  }
+
+  // Puzzles without a number, or sharing one (handed out as count + 1 by older versions), get fresh ones
+  if (repairPuzzleNumbers() > 0) changed = true;
+
+  // Rotation cursors used to be array indexes, which shifted on every removal; they are now the number
+  // of the last puzzle taken, so the rotation continues with the next higher number whatever changes
+  const allPuzzles = Object.values(data.puzzles).sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+  const battlePool = battlePuzzlePool();
+  const cursorAt = (list, index) => (index > 0 && list[index - 1]) ? list[index - 1].puzzleNumber : 0;
+  for (const cid in data.groups) {
+    const g = data.groups[cid];
+    if (!g) continue;
+    if (g.puzzleCursor === undefined) { g.puzzleCursor = cursorAt(allPuzzles, g.nextPuzzleIndex || 0); delete g.nextPuzzleIndex; changed = true; }
+    if (g.battleCursor === undefined) { g.battleCursor = cursorAt(battlePool, g.battleNextPuzzleIndex || 0); delete g.battleNextPuzzleIndex; changed = true; }
+  }
+  return changed;
+}
+
+// Public puzzle numbers are permanent: data.settings.lastPuzzleNumber only grows, so a removed puzzle's
+// number is never handed out again and shared "/puzzle 15" links keep pointing at the same puzzle.
+function allocatePuzzleNumber() {
+  data.settings.lastPuzzleNumber = (data.settings.lastPuzzleNumber || 0) + 1;
+  return data.settings.lastPuzzleNumber;
+}
+
+// Stores a new puzzle under the next public number. Caller saves.
+function addPuzzle(puzzle) {
+  puzzle.puzzleNumber = allocatePuzzleNumber();
+  data.puzzles[puzzle.id] = puzzle;
+  return puzzle;
+}
+
+// Gives puzzles with a missing or duplicate number a fresh one (the oldest puzzle keeps a shared number).
+// Existing numbers are never changed otherwise. Returns how many puzzles were renumbered.
+function repairPuzzleNumbers() {
+  const numbers = Object.values(data.puzzles).map(p => p.puzzleNumber || 0);
+  const highest = Math.max(0, ...numbers);
+  if (!(data.settings.lastPuzzleNumber >= highest)) data.settings.lastPuzzleNumber = highest;
+
+  const seen = new Set();
+  let renumbered = 0;
+  for (const p of Object.values(data.puzzles).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))) {
+    if (!p.puzzleNumber || seen.has(p.puzzleNumber)) {
+      p.puzzleNumber = allocatePuzzleNumber();
+      renumbered++;
+    }
+    seen.add(p.puzzleNumber);
+  }
+  return renumbered;
+}
+
+function loadData(){
+  let changed = false;
+  try{
+    let loaded = store.load();
+    // One-shot migration: an empty SQLite database is seeded from the existing data.json (left in place as a backup).
+    if (!loaded && store.name !== 'json' && fs.existsSync(DATA_FILE)) {
+      loaded = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+      console.log(`Migrating ${DATA_FILE} into ${store.name} storage...`);
+      changed = true;
+    }
+    if (loaded) {
+      data = loaded;
+      if (migrateData()) changed = true;
     }
   }catch(e){
     console.error('Failed loading data file:', e);
   }
   if (changed) {
-    saveData();
+    saveDataSync();
   }
 }
+
+let saveTimer = null;
+let saveInFlight = null;
+let saveAgain = false;
+
+// Schedules a write of the whole data object. Many calls in a burst are written once,
+// and the event loop is not blocked while the JSON file is written.
 function saveData(){
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    flushData();
+  }, SAVE_DEBOUNCE_MS);
+}
+
+function flushData(){
+  if (saveInFlight) { saveAgain = true; return saveInFlight; }
+  saveInFlight = store.save(data)
+    .catch(e => console.error('Failed saving data:', e))
+    .finally(() => {
+      saveInFlight = null;
+      if (saveAgain) { saveAgain = false; flushData(); }
+    });
+  return saveInFlight;
+}
+
+// Blocking write, for startup migrations and shutdown.
+function saveDataSync(){
+  if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
+  try {
+    store.saveSync(data);
+  } catch (e) {
+    console.error('Failed saving data:', e);
+  }
 }
 loadData();
 
+// --- POSTED MESSAGE INDEX ---
+// Every posted puzzle message is recorded in its puzzle's postedIn array (persisted). This in-memory
+// Map, keyed "chatId:msgId", points straight at that entry so callbacks don't scan every puzzle.
+const postedIndex = new Map(); // "chatId:msgId" -> { puzzleId, entry }
+const pendingReveals = new Set(); // keys of posts with a revealAt that haven't been revealed yet
+
+function postKey(chatId, msgId) {
+    return `${chatId}:${msgId}`;
+}
+
+function rebuildPostIndex() {
+    postedIndex.clear();
+    pendingReveals.clear();
+    for (const p of Object.values(data.puzzles)) {
+        for (const entry of p.postedIn || []) {
+            postedIndex.set(postKey(entry.chatId, entry.msgId), { puzzleId: p.id, entry });
+            if (entry.revealAt && !entry.revealed) pendingReveals.add(postKey(entry.chatId, entry.msgId));
+        }
+    }
+}
+
+// Records a posted puzzle message so answers to it can be judged. Caller saves.
+// Group posts get a revealAt from the puzzle's reveal= or the group's setting; battles pass { reveal: false }.
+function recordPost(puzzle, chatId, msgId, postedOptionsMap, { reveal = true } = {}) {
+    const entry = {
+        chatId: String(chatId),
+        msgId: msgId,
+        postedAt: Date.now(),
+        postedOptionsMap: postedOptionsMap, // Store map of letter key -> move text
+        responses: {} // userId -> { move, correct, at }: the first answer each user gave to this post
+    };
+    const revealMinutes = reveal && String(chatId).startsWith('-') ? revealMinutesFor(puzzle, chatId) : null;
+    if (revealMinutes) {
+        entry.revealAt = entry.postedAt + revealMinutes * 60 * 1000;
+        pendingReveals.add(postKey(chatId, msgId));
+    }
+    if (!puzzle.postedIn) puzzle.postedIn = [];
+    puzzle.postedIn.push(entry);
+    postedIndex.set(postKey(chatId, msgId), { puzzleId: puzzle.id, entry });
+    return entry;
+}
+
+// Keeps each user's first answer to a post, for the reveal summary. Caller saves.
+function recordPostResponse(entry, uid, move, correct) {
+    if (!entry.responses) entry.responses = {};
+    if (entry.responses[uid]) return;
+    entry.responses[uid] = { move, correct: !!correct, at: Date.now() };
+}
+
+// Removes a posted message from the index and from its puzzle's history. Caller saves.
+function forgetPost(chatId, msgId) {
+    const key = postKey(chatId, msgId);
+    const indexed = postedIndex.get(key);
+    if (!indexed) return false;
+    postedIndex.delete(key);
+    pendingReveals.delete(key);
+    const puzzle = data.puzzles[indexed.puzzleId];
+    if (puzzle && puzzle.postedIn) {
+        const i = puzzle.postedIn.indexOf(indexed.entry);
+        if (i !== -1) puzzle.postedIn.splice(i, 1);
+    }
+    return true;
+}
+
+// Drops posts older than POST_RETENTION_DAYS, and index entries whose puzzle was removed.
+function prunePosts() {
+    const cutoff = Date.now() - POST_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let pruned = 0;
+    for (const p of Object.values(data.puzzles)) {
+        if (!p.postedIn) continue;
+        const kept = p.postedIn.filter(entry => (entry.postedAt || 0) >= cutoff);
+        pruned += p.postedIn.length - kept.length;
+        p.postedIn = kept;
+    }
+    if (pruned > 0) {
+        console.log(`Pruned ${pruned} posted messages older than ${POST_RETENTION_DAYS} days.`);
+        saveData();
+    }
+    rebuildPostIndex();
+}
+
+prunePosts();
+setInterval(prunePosts, POST_PRUNE_INTERVAL_MS);
+
+// --- TIMED REVEAL ---
+// A post with revealAt is closed when that time passes: its buttons are removed and a wrap-up is posted
+// as a reply (correct move, explanation, first solver, how the answers were split).
+
+function revealPreviewText(puzzle) {
+    if (!puzzle.revealAfterMinutes) return '';
+    const explanation = puzzle.explanation ? `\nExplanation: "${puzzle.explanation}"` : '';
+    return `\nReveal: ${formatDuration(puzzle.revealAfterMinutes * 60 * 1000)} after posting (groups)${explanation}`;
+}
+
+function revealSummaryText(puzzle, entry) {
+    const chatId = entry.chatId;
+    const correctMoveText = puzzle.options.find(opt => opt.isAnswer)?.text || '?';
+    const lines = [tr(chatId, 'revealClosed', { n: puzzle.puzzleNumber })];
+    lines.push(puzzle.solution && puzzle.solution.length > 1
+        ? tr(chatId, 'revealSolution', { line: puzzle.solution.join(' ') })
+        : tr(chatId, 'revealCorrectMove', { move: correctMoveText }));
+    if (puzzle.explanation) lines.push(`💡 ${escapeMarkdown(puzzle.explanation)}`);
+
+    const responses = Object.entries(entry.responses || {});
+    const solvers = responses.filter(([, r]) => r.correct).sort(([, a], [, b]) => a.at - b.at);
+    if (solvers.length > 0) {
+        const [uid, first] = solvers[0];
+        const after = first.at - entry.postedAt;
+        lines.push(tr(chatId, 'revealFirstSolver', { who: escapeMarkdown(battleUserName(uid)), after: after < 60000 ? formatSeconds(after) : formatDuration(after) }));
+    } else {
+        lines.push(tr(chatId, responses.length > 0 ? 'revealNobodyFound' : 'revealNobodyAnswered'));
+    }
+
+    if (responses.length > 0) {
+        // Buttons: every option in the order it was posted. Typed answers: the moves people actually sent.
+        const counts = {};
+        for (const [, r] of responses) counts[r.move] = (counts[r.move] || 0) + 1;
+        const moves = entry.postedOptionsMap && Object.keys(entry.postedOptionsMap).length > 0
+            ? Object.values(entry.postedOptionsMap)
+            : Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+        const pct = move => Math.round(100 * (counts[move] || 0) / responses.length);
+        lines.push(tr(chatId, 'revealAnswers', { count: responses.length }));
+        for (const move of moves) {
+            lines.push(`${move === correctMoveText ? '✅' : '▫️'} ${move} — ${pct(move)}%`);
+        }
+    }
+    return lines.join('\n');
+}
+
+async function revealPost(key) {
+    pendingReveals.delete(key);
+    const indexed = postedIndex.get(key);
+    const puzzle = indexed && data.puzzles[indexed.puzzleId];
+    if (!puzzle || indexed.entry.revealed) return;
+    const entry = indexed.entry;
+    entry.revealed = true;
+    saveData();
+
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: entry.chatId, message_id: entry.msgId })
+        .catch(e => console.warn('reveal: could not remove buttons', entry.chatId, e.message));
+    await bot.sendMessage(entry.chatId, revealSummaryText(puzzle, entry), { parse_mode: 'Markdown', reply_to_message_id: entry.msgId })
+        .catch(e => console.error('reveal message failed', entry.chatId, e.message));
+}
+
+function runDueReveals() {
+    const now = Date.now();
+    for (const key of [...pendingReveals]) {
+        const indexed = postedIndex.get(key);
+        if (!indexed) { pendingReveals.delete(key); continue; }
+        if (indexed.entry.revealAt <= now) revealPost(key);
+    }
+}
+// --- END TIMED REVEAL ---
+
 const BOT_TOKEN = process.env.BOT_TOKEN;
 if (!BOT_TOKEN) {
   console.error('Please set BOT_TOKEN in environment');
@@ -164,6 +717,148 @@ const bot = new TelegramBot(BOT_TOKEN, {
 });
 // *** END NETWORK FIX ***
 
+// --- OUTGOING MESSAGE QUEUE ---
+// Every send, edit and delete goes through a per-chat FIFO queue, so bursts (broadcasts, battles,
+// answer announcements) are spread out under Telegram's limits instead of failing with 429s.
+// Calls keep their normal signature and promise; a failure rejects only after the retries below.
+
+// The chat each queued method counts against (edits of inline messages share one bucket)
+const QUEUED_METHODS = {
+    sendMessage: args => args[0],
+    sendPhoto: args => args[0],
+    sendDocument: args => args[0],
+    editMessageText: args => args[1] && args[1].chat_id,
+    editMessageCaption: args => args[1] && args[1].chat_id,
+    editMessageReplyMarkup: args => args[1] && args[1].chat_id,
+    editMessageMedia: args => args[1] && args[1].chat_id,
+    deleteMessage: args => args[0]
+};
+
+const sendQueues = new Map(); // chatId -> { chatId, jobs, busy, lastSentAt, pausedUntil, recent }
+const globalSendTimes = [];   // start times of the calls made in the last second
+let sendTimer = null;
+const rawSend = {};
+
+for (const method of Object.keys(QUEUED_METHODS)) {
+    rawSend[method] = bot[method].bind(bot);
+    bot[method] = (...args) => queueSend(method, args);
+}
+
+function queueSend(method, args, flags = {}) {
+    const chatId = String(QUEUED_METHODS[method](args) || 'inline');
+    let q = sendQueues.get(chatId);
+    if (!q) {
+        q = { chatId, jobs: [], busy: false, lastSentAt: 0, pausedUntil: 0, recent: [] };
+        sendQueues.set(chatId, q);
+    }
+    const job = { method, args, retries: 0, floodWaits: 0, queuedAt: Date.now(), ...flags };
+    job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+    q.jobs.push(job);
+    pumpSendQueue();
+    return job.promise;
+}
+
+// Earliest time a chat may send again: per-chat spacing, the per-minute group window and any 429 pause
+function chatReadyAt(q, now) {
+    let at = Math.max(q.pausedUntil, q.lastSentAt + SEND_CHAT_GAP_MS);
+    if (q.chatId.startsWith('-')) { // group and channel ids are negative
+        while (q.recent.length && now - q.recent[0] >= 60000) q.recent.shift();
+        if (q.recent.length >= SEND_GROUP_PER_MINUTE) at = Math.max(at, q.recent[0] + 60000);
+    }
+    return at;
+}
+
+// Starts every call that is allowed now (oldest waiting first) and sleeps until the next one is
+function pumpSendQueue() {
+    if (sendTimer) { clearTimeout(sendTimer); sendTimer = null; }
+    const now = Date.now();
+    while (globalSendTimes.length && now - globalSendTimes[0] >= 1000) globalSendTimes.shift();
+
+    let wakeAt = Infinity;
+    const ready = [];
+    for (const q of sendQueues.values()) {
+        if (q.busy) continue;
+        if (q.jobs.length === 0) {
+            if (now - q.lastSentAt >= 60000 && now >= q.pausedUntil) sendQueues.delete(q.chatId);
+            continue;
+        }
+        const at = chatReadyAt(q, now);
+        if (at <= now) ready.push(q);
+        else wakeAt = Math.min(wakeAt, at);
+    }
+    ready.sort((a, b) => a.jobs[0].queuedAt - b.jobs[0].queuedAt);
+    for (const q of ready) {
+        if (globalSendTimes.length >= SEND_GLOBAL_PER_SECOND) {
+            wakeAt = Math.min(wakeAt, globalSendTimes[0] + 1000);
+            break;
+        }
+        globalSendTimes.push(now);
+        runSendJob(q);
+    }
+    if (wakeAt < Infinity) sendTimer = setTimeout(pumpSendQueue, Math.max(wakeAt - Date.now(), 10));
+}
+
+// One call in flight per chat keeps each chat's messages in order
+async function runSendJob(q) {
+    const job = q.jobs[0];
+    q.busy = true;
+    q.lastSentAt = Date.now();
+    q.recent.push(q.lastSentAt);
+    try {
+        const result = await rawSend[job.method](...job.args);
+        q.jobs.shift();
+        job.resolve(result);
+    } catch (e) {
+        const delay = sendRetryDelay(e, job);
+        if (delay === null) {
+            q.jobs.shift();
+            job.reject(e);
+        } else {
+            q.pausedUntil = Date.now() + delay;
+            console.warn(`${job.method} to ${q.chatId} failed (${e.message}), retrying in ${Math.round(delay / 1000)}s`);
+        }
+    } finally {
+        q.busy = false;
+        pumpSendQueue();
+    }
+}
+
+// New messages are not safe to send twice: after a timeout or a reset connection Telegram may have posted one already
+const NON_IDEMPOTENT_METHODS = ['sendMessage', 'sendPhoto', 'sendDocument'];
+
+// How long to wait before retrying a failed call, or null when it should fail now.
+// 429s pause the chat for Telegram's retry_after; 5xx and requests that never got through (connection refused,
+// DNS) back off exponentially, and so do other network errors of edits and deletes. Anything else (blocked bot,
+// bad request, message not modified, a send whose fate is unknown...) fails straight away.
+function sendRetryDelay(e, job) {
+    const status = e.response && e.response.statusCode;
+    if (status === 429) {
+        if (++job.floodWaits > SEND_MAX_FLOOD_WAITS) return null;
+        const params = e.response.body && e.response.body.parameters;
+        return ((params && params.retry_after) || 1) * 1000;
+    }
+    const network = e.code === 'EFATAL';
+    const neverSent = network && /ECONNREFUSED|ENOTFOUND|EAI_AGAIN/.test(e.message); // the original error only survives in the message
+    const transient = status >= 500 || neverSent || (network && !NON_IDEMPOTENT_METHODS.includes(job.method));
+    if (!transient || ++job.retries > SEND_MAX_RETRIES) return null;
+    return SEND_RETRY_BASE_MS * 2 ** (job.retries - 1);
+}
+
+// Public answer announcements: while one is still waiting in the chat's queue, later ones for the
+// same post are appended to it, so a busy group gets one message per burst instead of one per answer.
+function sendAnnouncement(chatId, text, options = {}) {
+    const q = sendQueues.get(String(chatId));
+    const waiting = q && q.jobs.find((job, i) => job.announcement && !(i === 0 && q.busy)
+        && job.args[2].reply_to_message_id === options.reply_to_message_id
+        && job.args[1].length + text.length < ANNOUNCE_MERGE_MAX_CHARS);
+    if (waiting) {
+        waiting.args[1] += `\n${text}`;
+        return waiting.promise;
+    }
+    return queueSend('sendMessage', [chatId, text, options], { announcement: true });
+}
+// --- END OUTGOING MESSAGE QUEUE ---
+
 const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(s=>s.trim()).filter(Boolean).map(Number);
 console.log('Bot started');
 
@@ -172,8 +867,7 @@ const ADMIN_ACCESS_MESSAGE_STYLED = `
 ╔════════════════════════════╗
 ║    👑 **ADMIN ACCESS & GUIDE** 👑   ║
 ╠════════════════════════════╣
-║ To become admin:                  ║
-║ 👉 **Contact:** \`@Authority_Provider\`║
+║ Roles & who grants them: /roles   ║
 ╠════════════════════════════╣
 ║  **PUZZLE POSTING INSTRUCTIONS** ║
 ╠════════════════════════════╣
@@ -205,6 +899,26 @@ To create a puzzle and make it available for broadcast/posting (must be in this
 
 3. I will reply with the Puzzle ID, which you use for \`/broadcast\` or \`/postto\`.
 
+No screenshot? Send a TEXT message with a FEN position instead and I will draw the board:
+
+    \`\`\`
+    POSTFEN|title|<fen>|A) Rxf6|B) Bxf6|answer=A|hint=Optional Hint Text Here
+    \`\`\`
+
+    * Every option must be a legal move (SAN) in the FEN position.
+    * \`answer=\` may be the option key or the move itself (e.g. \`answer=Rxf6\`).
+    * Options are optional: with only \`answer=Rxf6\`, other legal moves are picked as the wrong options.
+    * \`mode=open\`: **Optional.** No buttons - solvers reply to the puzzle with their move (SAN like Rxf6, rf6, or UCI like e3f6).
+    * \`line=Rxf6 gxf6 Qg4+ Kh8 Qg7#\`: **Optional.** A full solution line. The bot plays the opponent's replies and the solver finds every move (partial credit for getting part way).
+
+Both formats also accept:
+
+    * \`reveal=30m\`: **Optional.** In groups, close the puzzle after this long (also \`2h\`, \`1d\`): buttons are removed and the answer, first solver and answer percentages are posted.
+    * \`tags=fork,pin\`: **Optional.** Themes (fork, pin, mate-in-2, endgame, opening...) for \`/puzzle fork\` and per-theme stats.
+    * \`explain=...\`: **Optional.** Explanation shown with the reveal. Put it last - it may contain any text except \`|\`.
+
+Many positions at once? Send me a FILE: PGN games with a [FEN] header (the moves are the solution), EPD lines with a \`bm\` opcode, or a CSV in the Lichess puzzle-database format. Every entry is checked and you get a report of the ones that failed. /exportpuzzles pgn|epd|csv|json sends them back.
+
 `;
 
 
@@ -219,21 +933,167 @@ function getPlayerTitle(score) {
 }
 
 
-// Helpers
-function isAdmin(userId){
-  if (!userId) return false;
-  return ADMIN_IDS.includes(Number(userId));
+// --- GLICKO-2 PUZZLE RATINGS ---
+function newRating() {
+    return { rating: RATING_DEFAULT, rd: RATING_RD_DEFAULT, vol: RATING_VOL_DEFAULT };
+}
+
+// One Glicko-2 rating period with a single game. score: 1 = win, 0 = loss, in between = partial result.
+// Returns the player's new { rating, rd, vol }; the opponent is not modified.
+function glicko2Update(player, opponent, score) {
+    const mu = (player.rating - RATING_DEFAULT) / GLICKO_SCALE;
+    const phi = player.rd / GLICKO_SCALE;
+    const sigma = player.vol;
+    const muJ = (opponent.rating - RATING_DEFAULT) / GLICKO_SCALE;
+    const phiJ = opponent.rd / GLICKO_SCALE;
+
+    const g = 1 / Math.sqrt(1 + 3 * phiJ * phiJ / (Math.PI * Math.PI));
+    const expected = 1 / (1 + Math.exp(-g * (mu - muJ)));
+    const v = 1 / (g * g * expected * (1 - expected));
+    const delta = v * g * (score - expected);
+
+    // New volatility (Illinois algorithm, step 5 of Glickman's paper)
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+        const ex = Math.exp(x);
+        return (ex * (delta * delta - phi * phi - v - ex)) / (2 * Math.pow(phi * phi + v + ex, 2)) - (x - a) / (GLICKO_TAU * GLICKO_TAU);
+    };
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * GLICKO_TAU) < 0) k++;
+        B = a - k * GLICKO_TAU;
+    }
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > 0.000001) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) { A = B; fA = fB; } else { fA = fA / 2; }
+        B = C;
+        fB = fC;
+    }
+    const newSigma = Math.exp(A / 2);
+
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * g * (score - expected);
+
+    return {
+        rating: Math.round((newMu * GLICKO_SCALE + RATING_DEFAULT) * 100) / 100,
+        rd: Math.round(newPhi * GLICKO_SCALE * 100) / 100,
+        vol: Math.round(newSigma * 1000000) / 1000000
+    };
+}
+
+// Rates a first attempt as a game between solver and puzzle (credit = the solver's result).
+// Both sides are updated from their pre-game values. Returns the solver's rating change.
+function ratePuzzleAttempt(userRec, puzzle, credit) {
+    if (!userRec.rating) userRec.rating = newRating();
+    if (!puzzle.rating) puzzle.rating = newRating();
+
+    const before = userRec.rating.rating;
+    const newUserRating = glicko2Update(userRec.rating, puzzle.rating, credit);
+    puzzle.rating = glicko2Update(puzzle.rating, userRec.rating, 1 - credit);
+    userRec.rating = newUserRating;
+    puzzle.difficulty = puzzleDifficulty(puzzle.rating);
+
+    return Math.round(userRec.rating.rating - before);
+}
+
+// Difficulty label from how the puzzle has performed (its rating against the people who tried it)
+function puzzleDifficulty(rating) {
+    if (!rating || rating.rd > 250) return 'Unrated';
+    if (rating.rating < 1200) return '🟢 Easy';
+    if (rating.rating < 1500) return '🟡 Medium';
+    if (rating.rating < 1800) return '🟠 Hard';
+    return '🔴 Expert';
+}
+
+// "1523" or "1523?" while the rating is still provisional
+function formatRating(rating) {
+    if (!rating) return `${RATING_DEFAULT}?`;
+    return `${Math.round(rating.rating)}${rating.rd > RATING_PROVISIONAL_RD ? '?' : ''}`;
+}
+// --- END GLICKO-2 PUZZLE RATINGS ---
+
+
+// --- ROLES & PERMISSIONS ---
+// Global roles are kept in data.roles and managed with /grant and /revoke; ADMIN_IDS from the environment
+// are always owners (and can't be revoked). Group moderators are stored per group and count as chat admins
+// for that group's bot settings (see isChatAdmin).
+const ROLE_PERMISSIONS = {
+    owner:  ['manageRoles', 'grantRoles', 'managePuzzles', 'createPuzzles', 'reviewSubmissions', 'broadcast', 'manageGroups', 'adjustScores'],
+    admin:  ['grantRoles', 'managePuzzles', 'createPuzzles', 'reviewSubmissions', 'broadcast', 'manageGroups', 'adjustScores'],
+    author: ['createPuzzles']
+};
+const GLOBAL_ROLES = Object.keys(ROLE_PERMISSIONS); // strongest first
+const ROLE_LABELS = { owner: '👑 Owner', admin: '🛡️ Admin', author: '✍️ Puzzle author', moderator: '🔧 Group moderator' };
+
+function roleOf(userId) {
+  if (!userId) return null;
+  if (ADMIN_IDS.includes(Number(userId))) return 'owner';
+  const rec = data.roles && data.roles[String(userId)];
+  return rec ? rec.role : null;
+}
+
+function can(userId, permission) {
+  const role = roleOf(userId);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
 }
 
+// Shared gate for bot-admin commands. Returns false (after explaining, in private chats) when the sender
+// lacks the permission or uses a private-only command in a group. Groups get no reply, to avoid noise.
+function requirePermission(msg, permission, { privateOnly = true } = {}) {
+  const isPrivate = msg.chat.type === 'private';
+  if (!can(msg.from.id, permission)) {
+    if (isPrivate) {
+      const roles = GLOBAL_ROLES.filter(r => ROLE_PERMISSIONS[r].includes(permission)).map(r => ROLE_LABELS[r]);
+      bot.sendMessage(msg.chat.id, `⛔ This command needs one of these roles: ${roles.join(', ')}. See /roles.`);
+    }
+    return false;
+  }
+  if (privateOnly && !isPrivate) {
+    bot.sendMessage(msg.chat.id, 'This command only works in a private chat with me.');
+    return false;
+  }
+  return true;
+}
+
+// Puzzle managers may edit any puzzle, authors only their own
+function canEditPuzzle(userId, puzzle) {
+  if (can(userId, 'managePuzzles')) return true;
+  return can(userId, 'createPuzzles') && String(puzzle.createdBy) === String(userId);
+}
+
+function isGroupModerator(chatId, userId) {
+  const groupRec = data.groups[String(chatId)];
+  return !!(groupRec && groupRec.moderators && groupRec.moderators[String(userId)]);
+}
+
+// Owners and admins, for "ask one of them" hints
+function roleHolderNames(roles) {
+  const names = [];
+  for (const id of ADMIN_IDS) if (roles.includes('owner')) names.push(data.users[String(id)] ? data.users[String(id)].name : String(id));
+  for (const rec of Object.values(data.roles)) if (roles.includes(rec.role)) names.push(rec.name);
+  return [...new Set(names.filter(Boolean))];
+}
+// --- END ROLES & PERMISSIONS ---
+
+// Helpers
+
 function userDisplayName(user){
   if (!user) return 'Unknown';
   return user.username ?
     `@${user.username}` : (user.first_name || '') + (user.last_name ? ` ${user.last_name}` : '');
 }
 
-// UPDATED: makeOptionsKeyboard now accepts puzzleHint
-function makeOptionsKeyboard(options, isBattle = false, puzzleHint = null){
-  const prefix = isBattle ? 'BATTL:' : 'ANS|';
+// UPDATED: makeOptionsKeyboard now accepts puzzleHint, and a callbackPrefix for keyboards outside the ANS|/BATTL: flows
+function makeOptionsKeyboard(options, isBattle = false, puzzleHint = null, callbackPrefix = null){
+  const prefix = callbackPrefix || (isBattle ? 'BATTL:' : 'ANS|');
   
   // Store the mapping from the temporary key (A, B, C...) to the move text
   const postedOptionsMap = {};
@@ -264,6 +1124,222 @@ function makeOptionsKeyboard(options, isBattle = false, puzzleHint = null){
   };
 }
 
+// --- BOARD RENDERING (FEN -> PNG, fully offline) ---
+const BOARD_SQUARE_SIZE = 60;
+const BOARD_MARGIN = 20; // room for the a-h / 1-8 coordinates
+const BOARD_LIGHT = '#f0d9b5';
+const BOARD_DARK = '#b58863';
+const BOARD_HIGHLIGHT = 'rgba(155, 199, 0, 0.41)';
+
+// Piece outlines drawn on a 45x45 grid (same proportions as the usual Lichess/Wikipedia set)
+const PIECE_SHAPES = {
+    p: [
+        'M22.5 9c-2.21 0-4 1.79-4 4 0 .89.29 1.71.78 2.38C17.33 16.5 16 18.59 16 21c0 2.03.94 3.84 2.41 5.03C15.41 27.09 11 31.58 11 39.5h23c0-7.92-4.41-12.41-7.41-13.47 1.47-1.19 2.41-3 2.41-5.03 0-2.41-1.33-4.5-3.28-5.62.49-.67.78-1.49.78-2.38 0-2.21-1.79-4-4-4z'
+    ],
+    r: [
+        'M9 39h27v-3H9z',
+        'M12 36v-4h21v4z',
+        'M11 14V9h4v2h5V9h5v2h5V9h4v5z',
+        'M34 14l-3 3H14l-3-3z',
+        'M31 17v12.5H14V17z',
+        'M31 29.5l1.5 2.5h-20l1.5-2.5z'
+    ],
+    n: [
+        'M22 10c10.5 1 16.5 8 16 29H15c0-9 10-6.5 8-21',
+        'M24 18c.38 2.91-5.55 7.37-8 9-3 2-2.82 4.34-5 4-1.042-.94 1.41-3.04 0-3-1 0 .19 1.23-1 2-1 0-4.003 1-4-4 0-2 6-12 6-12s1.89-1.9 2-3.5c-.73-.994-.5-2-.5-3 1-1 3 2.5 3 2.5h2s.78-1.992 2.5-3c1 0 1 3 1 3'
+    ],
+    b: [
+        'M9 36c3.39-.97 10.11.43 13.5-2 3.39 2.43 10.11 1.03 13.5 2 0 0 1.65.54 3 2-.68.97-1.65.99-3 .5-3.39-.97-10.11.46-13.5-1-3.39 1.46-10.11.03-13.5 1-1.354.49-2.323.47-3-.5 1.354-1.94 3-2 3-2z',
+        'M15 32c2.5 2.5 12.5 2.5 15 0 .5-1.5 0-2 0-2 0-2.5-2.5-4-2.5-4 5.5-1.5 6-11.5-5-15.5-11 4-10.5 14-5 15.5 0 0-2.5 1.5-2.5 4 0 0-.5.5 0 2z',
+        'M25 8a2.5 2.5 0 1 1-5 0 2.5 2.5 0 1 1 5 0z'
+    ],
+    q: [
+        'M9 26c8.5-1.5 21-1.5 27 0l2.5-12.5L31 25l-.3-14.1-5.2 13.6-3-14.5-3 14.5-5.2-13.6L14 25 6.5 13.5 9 26z',
+        'M9 26c0 2 1.5 2 2.5 4 1 1.5 1 1 .5 3.5-1.5 1-1.5 2.5-1.5 2.5-1.5 1.5.5 2.5.5 2.5 6.5 1 16.5 1 23 0 0 0 1.5-1 0-2.5 0 0 .5-1.5-1-2.5-.5-2.5-.5-2 .5-3.5 1-2 2.5-2 2.5-4-8.5-1.5-18.5-1.5-27 0z',
+        'M8 12a2 2 0 1 1-4 0 2 2 0 1 1 4 0z',
+        'M16 9a2 2 0 1 1-4 0 2 2 0 1 1 4 0z',
+        'M24.5 7.5a2 2 0 1 1-4 0 2 2 0 1 1 4 0z',
+        'M33 9a2 2 0 1 1-4 0 2 2 0 1 1 4 0z',
+        'M41 12a2 2 0 1 1-4 0 2 2 0 1 1 4 0z'
+    ],
+    k: [
+        'M22.5 11.63V6M20 8h5',
+        'M22.5 25s4.5-7.5 3-10.5c0 0-1-2.5-3-2.5s-3 2.5-3 2.5c-1.5 3 3 10.5 3 10.5',
+        'M12.5 37c5.5 3.5 14.5 3.5 20 0v-7s9-4.5 6-10.5c-4-6.5-13.5-3.5-16 4V27v-3.5c-2.5-7.5-12-10.5-16-4-3 6 6 10.5 6 10.5v7z'
+    ]
+};
+// Inner detail lines (drawn in the contrasting colour so black pieces stay readable)
+const PIECE_DETAILS = {
+    b: 'M17.5 26h10M15 30h15M22.5 15.5v5M20 18h5',
+    k: 'M12.5 30c5.5-3 14.5-3 20 0M12.5 33.5c5.5-3 14.5-3 20 0M12.5 37c5.5-3 14.5-3 20 0',
+    r: 'M12 35.5h21M13 31.5h19M14 29.5h17M14 16.5h17M11 14h23'
+};
+
+function pieceSvg(piece, x, y) {
+    const isWhite = piece.color === 'w';
+    const fill = isWhite ? '#ffffff' : '#000000';
+    const detail = isWhite ? '#000000' : '#ffffff';
+    const scale = BOARD_SQUARE_SIZE / 45;
+    const shapes = PIECE_SHAPES[piece.type].map(d => `<path d="${d}"/>`).join('');
+    const details = PIECE_DETAILS[piece.type] ? `<path d="${PIECE_DETAILS[piece.type]}" fill="none" stroke="${detail}"/>` : '';
+    return `<g transform="translate(${x} ${y}) scale(${scale})" fill="${fill}" stroke="#000000" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">${shapes}${details}</g>`;
+}
+
+// Builds the SVG diagram for a FEN. `flipped` puts Black at the bottom; `highlight` is a list of squares (e.g. ['e2', 'e4'])
+function renderBoardSvg(fen, { flipped = false, highlight = [] } = {}) {
+    const board = new Chess(fen).board(); // board[0] is rank 8
+    const size = BOARD_SQUARE_SIZE * 8 + BOARD_MARGIN * 2;
+    const files = 'abcdefgh';
+    let squares = '';
+    let pieces = '';
+    let coords = '';
+
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const boardRow = flipped ? 7 - row : row;
+            const boardCol = flipped ? 7 - col : col;
+            const x = BOARD_MARGIN + col * BOARD_SQUARE_SIZE;
+            const y = BOARD_MARGIN + row * BOARD_SQUARE_SIZE;
+            const squareName = files[boardCol] + (8 - boardRow);
+            const isLight = (boardRow + boardCol) % 2 === 0;
+
+            squares += `<rect x="${x}" y="${y}" width="${BOARD_SQUARE_SIZE}" height="${BOARD_SQUARE_SIZE}" fill="${isLight ? BOARD_LIGHT : BOARD_DARK}"/>`;
+            if (highlight.includes(squareName)) {
+                squares += `<rect x="${x}" y="${y}" width="${BOARD_SQUARE_SIZE}" height="${BOARD_SQUARE_SIZE}" fill="${BOARD_HIGHLIGHT}"/>`;
+            }
+            const piece = board[boardRow][boardCol];
+            if (piece) pieces += pieceSvg(piece, x, y);
+        }
+    }
+
+    for (let i = 0; i < 8; i++) {
+        const fileLabel = flipped ? files[7 - i] : files[i];
+        const rankLabel = flipped ? i + 1 : 8 - i;
+        const center = BOARD_MARGIN + i * BOARD_SQUARE_SIZE + BOARD_SQUARE_SIZE / 2;
+        coords += `<text x="${center}" y="${size - 5}" text-anchor="middle">${fileLabel}</text>`;
+        coords += `<text x="${BOARD_MARGIN / 2}" y="${center + 5}" text-anchor="middle">${rankLabel}</text>`;
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+        `<rect width="${size}" height="${size}" fill="#312e2b"/>${squares}${pieces}` +
+        `<g fill="#d9d9d9" font-family="sans-serif" font-size="13">${coords}</g></svg>`;
+}
+
+function renderBoardPng(fen, options = {}) {
+    return new Resvg(renderBoardSvg(fen, options)).render().asPng();
+}
+
+// Sends a puzzle's diagram: the uploaded photo, or a board rendered from its FEN (side to move at the bottom).
+// Telegram's file_id for a rendered board is cached on the puzzle so it is only rendered once.
+async function sendPuzzlePhoto(chatId, p, options) {
+    if (p.photoFileId) return bot.sendPhoto(chatId, p.photoFileId, options);
+
+    const flipped = new Chess(p.fen).turn() === 'b';
+    const sent = await bot.sendPhoto(chatId, renderBoardPng(p.fen, { flipped }), options, { filename: 'board.png', contentType: 'image/png' });
+    if (sent && sent.photo && sent.photo.length > 0) {
+        p.photoFileId = sent.photo[sent.photo.length - 1].file_id;
+        saveData();
+    }
+    return sent;
+}
+// Options shown as buttons when a puzzle is posted: shuffled, or none for open-answer puzzles (answers are typed)
+function postOptions(p) {
+    if (p.answerMode === 'open') return [];
+    return p.options.sort(() => 0.5 - Math.random());
+}
+
+// Caption line telling solvers how to answer an open-answer puzzle (empty for button puzzles)
+function answerPrompt(p) {
+    return p.answerMode === 'open' ? '\n✍️ Reply to this message with your move (e.g. Rxf6, rf6 or e3f6).' : '';
+}
+// --- END BOARD RENDERING ---
+
+// --- MOVE VALIDATION (chess.js) ---
+// Resolves a SAN string against the legal moves of a position.
+// Returns { move } (chess.js verbose move) or { error } for illegal/ambiguous input.
+function parseSanMove(chess, text) {
+    const cleaned = String(text || '').trim().replace(/0/g, 'O').replace(/[+#?!]+$/, '');
+    if (!cleaned) return { error: 'empty move' };
+
+    const legalMoves = chess.moves({ verbose: true });
+    const exact = legalMoves.find(m => m.san.replace(/[+#]$/, '') === cleaned);
+    if (exact) return { move: exact };
+
+    // Not chess.js' exact spelling (e.g. over-qualified "Ngf3", or "Nd2" when two knights can go there):
+    // match by piece, destination and whatever disambiguation was given.
+    const parts = cleaned.match(/^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRBN]))?$/);
+    if (!parts) return { error: `"${text}" is not a valid SAN move` };
+    const [, pieceLetter, fromFile, fromRank, to, promotion] = parts;
+    const piece = (pieceLetter || 'p').toLowerCase();
+
+    const candidates = legalMoves.filter(m =>
+        m.piece === piece &&
+        m.to === to &&
+        (!fromFile || m.from[0] === fromFile) &&
+        (!fromRank || m.from[1] === fromRank) &&
+        (m.promotion || null) === (promotion ? promotion.toLowerCase() : null)
+    );
+
+    if (candidates.length === 1) return { move: candidates[0] };
+    if (candidates.length > 1) return { error: `"${text}" is ambiguous (${candidates.map(m => m.san).join(' or ')})` };
+    return { error: `"${text}" is not a legal move in this position` };
+}
+
+// Reads a move the way people type it: SAN ("Rxf6"), loose SAN ("rf6", "R x f6", "exd8q") or UCI ("e3f6", "e7e8q").
+// Returns { move } or { error } like parseSanMove.
+function parseMoveInput(chess, text) {
+    const compact = String(text || '').trim().replace(/\s+/g, '');
+    if (!compact) return { error: 'empty move' };
+
+    // Castling in any spelling: O-O, 0-0, oo, O-O-O ...
+    const castle = compact.replace(/[+#?!]+$/, '').match(/^[o0]-?[o0](-?[o0])?$/i);
+    if (castle) return parseSanMove(chess, castle[1] ? 'O-O-O' : 'O-O');
+
+    // UCI: from-square, to-square, optional promotion piece (queen if left out)
+    const uci = compact.toLowerCase().match(/^([a-h][1-8])-?([a-h][1-8])=?([qrbn])?$/);
+    if (uci) {
+        const [, fromSquare, toSquare, promotion] = uci;
+        const move = chess.moves({ verbose: true }).find(m =>
+            m.from === fromSquare && m.to === toSquare && (!m.promotion || m.promotion === (promotion || 'q'))
+        );
+        return move ? { move } : { error: `"${text}" is not a legal move in this position` };
+    }
+
+    const strict = parseSanMove(chess, compact);
+    if (strict.move) return strict;
+
+    // Loose SAN: no capture/dash marks, lowercase piece and promotion letters
+    const loose = compact.replace(/[x×:-]/gi, '').replace(/[+#?!]+$/, '')
+        .replace(/([a-h][18])=?([qrbn])$/i, (m, square, piece) => `${square}=${piece.toUpperCase()}`);
+    const readings = [loose];
+    if (/^[kqrn]/.test(loose)) readings.unshift(loose[0].toUpperCase() + loose.slice(1));
+    if (/^b/.test(loose)) readings.push('B' + loose.slice(1)); // "bc3": the b-pawn capture if there is one, else the bishop
+
+    let ambiguous = /ambiguous/.test(strict.error) ? strict : null;
+    for (const reading of readings) {
+        const result = parseSanMove(chess, reading);
+        if (result.move) return result;
+        if (!ambiguous && /ambiguous/.test(result.error)) ambiguous = result;
+    }
+    return ambiguous || { error: `"${text}" is not a legal move in this position` };
+}
+
+// Picks up to `count` legal moves other than the answer to use as wrong options (checks/captures first, they look tempting)
+function pickDistractors(chess, answerSan, count) {
+    const others = chess.moves({ verbose: true })
+        .filter(m => m.san !== answerSan)
+        .sort(() => 0.5 - Math.random());
+    const forcing = others.filter(m => m.san.includes('+') || m.captured);
+    const quiet = others.filter(m => !m.san.includes('+') && !m.captured);
+    return forcing.concat(quiet).slice(0, count).map(m => m.san);
+}
+// --- END MOVE VALIDATION ---
+
+// votes: turns voted in; chosen: of those, the move that was played; proposals: moves added to a vote
+function newTeamStats() {
+    return { games: 0, wins: 0, draws: 0, losses: 0, votes: 0, chosen: 0, proposals: 0 };
+}
+
 function registerUser(user){
   const uid = String(user.id);
   if (!data.users[uid]){
@@ -274,9 +1350,14 @@ function registerUser(user){
         attempts:0, 
         score:0, 
         answers: {}, 
+        firstAttempts: {}, // puzzleId -> { move, credit } of the scored first attempt (see firstAttemptOf)
         lastPuzzleId: null,
         currentStreak: 0, 
-        maxStreak: 0 
+        maxStreak: 0,
+        rating: newRating(),
+        reviews: {}, // puzzleId -> { box, dueAt } for missed puzzles (spaced repetition)
+        duelRating: newRating(), // separate Glicko-2 rating from head-to-head /duel results
+        teamStats: newTeamStats() // /teamgame participation
     };
     saveData();
   }
@@ -291,30 +1372,305 @@ function addGroup(chat){
     registeredAt: Date.now(),
     score: 0, 
     attempts: 0,
-    nextPuzzleIndex: 0, // for /puzzle command
-    battleNextPuzzleIndex: 0 // for /battle command
+    puzzleCursor: 0, // number of the last puzzle /puzzle (and schedules) posted in rotation
+    battleCursor: 0, // number of the last puzzle used by /battle
+    puzzleMode: 'sequential', // or 'adaptive': /puzzle picks for the requesting member
+    schedule: null, // { type: 'daily', time: 'HH:MM', tz } or { type: 'every', hours }, plus nextRunAt / lastRunAt
+    settings: { ...DEFAULT_GROUP_SETTINGS }, // changed by group admins with /settings
+    moderators: {} // userId -> { name, grantedBy, grantedAt }: bot moderators for this group (/grant moderator)
   }; 
   saveData();
 }
 
-// Battle Helper functions (UPDATED FOR PERSISTENCE)
-async function postNextBattlePuzzle(chatId) {
-    const battle = activeBattles[chatId];
-    if (!battle || !battle.isActive) return;
+// True for the chat's creator/administrators (Telegram's own admin list), the group's bot moderators
+// and bot owners/admins (manageGroups)
+async function isChatAdmin(chatId, userId) {
+    if (can(userId, 'manageGroups') || isGroupModerator(chatId, userId)) return true;
+    return isTelegramChatAdmin(chatId, userId);
+}
 
-    const puzzleIndex = battle.currentPuzzleIndex;
-    if (puzzleIndex >= BATTLE_PUZZLE_COUNT) {
-        return endBattle(chatId);
+// Only the chat's creator/administrators on Telegram's side - for decisions bot moderators must not make themselves
+async function isTelegramChatAdmin(chatId, userId) {
+    try {
+        const member = await bot.getChatMember(chatId, userId);
+        return member.status === 'creator' || member.status === 'administrator';
+    } catch (e) {
+        console.warn('getChatMember failed for', chatId, userId, e.message);
+        return false;
     }
-    
-    const puzzleId = battle.puzzles[puzzleIndex].id;
-    const p = data.puzzles[puzzleId];
-    
-    // --- BATTLE FIX: Final Validation before Posting ---
-    if (!p || !p.photoFileId || !p.options || p.options.length === 0 || !p.options.some(opt => opt.isAnswer)) {
-        console.error(`BATTLE ERROR: Puzzle ID ${puzzleId} failed validation (Missing photo/options/answer). Ending game.`);
-        bot.sendMessage(chatId, `❌ Critical Battle Error: Puzzle #${puzzleIndex + 1} (ID: ${puzzleId.substring(0, 8)}...) is corrupted or missing essential data. Ending battle. Please notify admin.`);
-        return endBattle(chatId);
+}
+
+// --- GROUP SETTINGS & LANGUAGES ---
+const LANGUAGES = { en: 'English', es: 'Español', id: 'Bahasa Indonesia' };
+
+// Public group messages. Replies only the answerer sees (pop-ups) stay in English.
+const STRINGS = {
+    en: {
+        announceCorrect: '{who} answered correctly — ✅ ({scoreDisplay}{streak})',
+        announceWrong: '{who} answered incorrectly — ❌ ({base}{streak})',
+        practiceCorrect: '{who} solved it again! (Practice attempt)',
+        practiceWrong: '{who} answered incorrectly. (Practice attempt)',
+        answerRecorded: '{who} answered: Answer recorded.',
+        scoreDisplay: '(+{points} points. Current Score: {score})',
+        streak: ' | Streak: {n}',
+        streakBroken: ' | Streak broken!',
+        revealClosed: '🔔 **Puzzle #{n} is closed!**',
+        revealCorrectMove: 'Correct move: **{move}**',
+        revealSolution: 'Solution: **{line}**',
+        revealFirstSolver: '🥇 First solver: {who} (after {after})',
+        revealNobodyFound: 'Nobody found it this time.',
+        revealNobodyAnswered: 'Nobody answered.',
+        revealAnswers: '📊 {count} answer(s):',
+        puzzleClosed: '🔔 This puzzle is closed - see the reveal.',
+        membersCannotPuzzle: 'In this group only admins can request puzzles.',
+        hintsOff: 'Hints are turned off in this group.'
+    },
+    es: {
+        announceCorrect: '{who} respondió correctamente — ✅ ({scoreDisplay}{streak})',
+        announceWrong: '{who} respondió mal — ❌ ({base}{streak})',
+        practiceCorrect: '¡{who} lo resolvió de nuevo! (Intento de práctica)',
+        practiceWrong: '{who} respondió mal. (Intento de práctica)',
+        answerRecorded: '{who} respondió: respuesta registrada.',
+        scoreDisplay: '(+{points} puntos. Puntuación actual: {score})',
+        streak: ' | Racha: {n}',
+        streakBroken: ' | ¡Racha rota!',
+        revealClosed: '🔔 **¡El puzzle #{n} está cerrado!**',
+        revealCorrectMove: 'Jugada correcta: **{move}**',
+        revealSolution: 'Solución: **{line}**',
+        revealFirstSolver: '🥇 Primero en resolverlo: {who} (tras {after})',
+        revealNobodyFound: 'Esta vez nadie lo encontró.',
+        revealNobodyAnswered: 'Nadie respondió.',
+        revealAnswers: '📊 {count} respuesta(s):',
+        puzzleClosed: '🔔 Este puzzle está cerrado: mira la solución.',
+        membersCannotPuzzle: 'En este grupo solo los administradores pueden pedir puzzles.',
+        hintsOff: 'Las pistas están desactivadas en este grupo.'
+    },
+    id: {
+        announceCorrect: '{who} menjawab dengan benar — ✅ ({scoreDisplay}{streak})',
+        announceWrong: '{who} menjawab salah — ❌ ({base}{streak})',
+        practiceCorrect: '{who} berhasil lagi! (Percobaan latihan)',
+        practiceWrong: '{who} menjawab salah. (Percobaan latihan)',
+        answerRecorded: '{who} menjawab: jawaban dicatat.',
+        scoreDisplay: '(+{points} poin. Skor saat ini: {score})',
+        streak: ' | Runtunan: {n}',
+        streakBroken: ' | Runtunan terputus!',
+        revealClosed: '🔔 **Puzzle #{n} sudah ditutup!**',
+        revealCorrectMove: 'Langkah yang benar: **{move}**',
+        revealSolution: 'Solusi: **{line}**',
+        revealFirstSolver: '🥇 Penjawab pertama: {who} (setelah {after})',
+        revealNobodyFound: 'Kali ini tidak ada yang menemukannya.',
+        revealNobodyAnswered: 'Tidak ada yang menjawab.',
+        revealAnswers: '📊 {count} jawaban:',
+        puzzleClosed: '🔔 Puzzle ini sudah ditutup - lihat jawabannya.',
+        membersCannotPuzzle: 'Di grup ini hanya admin yang bisa meminta puzzle.',
+        hintsOff: 'Petunjuk dimatikan di grup ini.'
+    }
+};
+
+function groupSettings(chatId) {
+    const groupRec = data.groups[String(chatId)];
+    return { ...DEFAULT_GROUP_SETTINGS, ...(groupRec && groupRec.settings) };
+}
+
+// Translated public message for a chat: tr(chatId, 'revealClosed', { n: 12 })
+function tr(chatId, key, vars = {}) {
+    const strings = STRINGS[groupSettings(chatId).language] || STRINGS.en;
+    const template = strings[key] || STRINGS.en[key];
+    return template.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined ? String(vars[name]) : m));
+}
+
+// Drops the 💡 hint button from a puzzle keyboard in chats that turned hints off
+function keyboardForChat(reply_markup, chatId) {
+    if (groupSettings(chatId).hints) return reply_markup;
+    return { inline_keyboard: reply_markup.inline_keyboard.filter(row => !row.some(b => b.callback_data.startsWith('HINT|'))) };
+}
+
+// Minutes until a post of this puzzle in this chat is revealed, or null for no reveal
+function revealMinutesFor(puzzle, chatId) {
+    const setting = groupSettings(chatId).reveal;
+    if (setting === 'off') return null;
+    if (typeof setting === 'number') return setting;
+    return puzzle.revealAfterMinutes || null;
+}
+
+function nextInCycle(steps, current) {
+    const i = steps.indexOf(current);
+    return steps[(i + 1) % steps.length];
+}
+
+function settingsPanel(groupRec) {
+    const st = { ...DEFAULT_GROUP_SETTINGS, ...groupRec.settings };
+    const onOff = v => (v ? 'ON' : 'OFF');
+    const revealLabel = st.reveal === 'puzzle' ? "puzzle's own" : (st.reveal === 'off' ? 'OFF' : `after ${formatDuration(st.reveal * 60 * 1000)}`);
+    return {
+        text: `⚙️ Settings for ${groupRec.title}\nTap a button to change it (group admins only).`,
+        reply_markup: { inline_keyboard: [
+            [{ text: `📢 Answer announcements: ${onOff(st.announcements)}`, callback_data: 'SET|announcements' }],
+            [{ text: `💡 Hints: ${onOff(st.hints)}`, callback_data: 'SET|hints' }],
+            [{ text: `🔔 Reveal: ${revealLabel}`, callback_data: 'SET|reveal' }],
+            [{ text: `🌐 Language: ${LANGUAGES[st.language] || st.language}`, callback_data: 'SET|language' }],
+            [{ text: `⚔️ Battle length: ${st.battleLength}`, callback_data: 'SET|battleLength' }],
+            [{ text: `🧩 Members may /puzzle: ${onOff(st.memberPuzzle)}`, callback_data: 'SET|memberPuzzle' }],
+            [{ text: '✖ Close', callback_data: 'SET|close' }]
+        ] }
+    };
+}
+
+// Applies one panel button press to the group's settings
+function changeGroupSetting(groupRec, field) {
+    const st = groupRec.settings = { ...DEFAULT_GROUP_SETTINGS, ...groupRec.settings };
+    if (field === 'announcements' || field === 'hints' || field === 'memberPuzzle') st[field] = !st[field];
+    else if (field === 'reveal') st.reveal = nextInCycle(SETTINGS_REVEAL_STEPS, st.reveal);
+    else if (field === 'language') st.language = nextInCycle(Object.keys(LANGUAGES), st.language);
+    else if (field === 'battleLength') st.battleLength = nextInCycle(SETTINGS_BATTLE_STEPS, st.battleLength);
+    else return false;
+    return true;
+}
+// --- END GROUP SETTINGS & LANGUAGES ---
+
+// "45m", "5h", "3d" - for countdowns shown to users
+function formatDuration(ms) {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+    return `${Math.round(hours / 24)}d`;
+}
+
+// Personal /puzzle pick: an unseen puzzle near the solver's rating, else a spaced-repetition review that is due.
+// Returns { puzzle, note } or { puzzle: null, message } when there is nothing to serve right now.
+function pickAdaptivePuzzle(userRec, puzzles) {
+    const targetRating = (userRec.rating || newRating()).rating;
+    const unseen = puzzles.filter(p => !userRec.answers[p.id]);
+
+    if (unseen.length > 0) {
+        const closest = unseen
+            .map(p => ({ p, distance: Math.abs((p.rating ? p.rating.rating : RATING_DEFAULT) - targetRating) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, ADAPTIVE_POOL_SIZE);
+        const choice = closest[Math.floor(Math.random() * closest.length)].p;
+        return { puzzle: choice, note: `🎯 Picked for your rating (${formatRating(userRec.rating)})` };
+    }
+
+    const now = Date.now();
+    const allowed = new Set(puzzles.map(p => p.id)); // e.g. only one theme's puzzles
+    const reviews = Object.entries(userRec.reviews || {}).filter(([pid]) => data.puzzles[pid] && allowed.has(pid));
+    const due = reviews.filter(([, r]) => r.dueAt <= now).sort(([, a], [, b]) => a.dueAt - b.dueAt);
+    if (due.length > 0) {
+        return { puzzle: data.puzzles[due[0][0]], note: `🔁 Review: you missed this one before (${due.length} due)` };
+    }
+
+    if (reviews.length > 0) {
+        const nextDue = Math.min(...reviews.map(([, r]) => r.dueAt));
+        return { puzzle: null, message: `🎉 You've seen every puzzle! Your next review is due in ${formatDuration(nextDue - now)}. Meanwhile, replay any puzzle with /puzzle <number>.` };
+    }
+    return { puzzle: null, message: `🎉 You've seen every puzzle and have nothing left to review! Replay any puzzle with /puzzle <number>.` };
+}
+
+// Spaced repetition for missed puzzles: a miss (re)starts the puzzle in the first box, a correct review
+// moves it up a box, and after the last box it counts as learned. Early replays don't move it.
+function updateReview(userRec, puzzleId, credit, isFirstAttempt) {
+    if (!userRec.reviews) userRec.reviews = {};
+    const now = Date.now();
+
+    if (isFirstAttempt) {
+        if (credit < 1) userRec.reviews[puzzleId] = { box: 0, dueAt: now + REVIEW_INTERVALS_DAYS[0] * DAY_MS };
+        return;
+    }
+
+    const review = userRec.reviews[puzzleId];
+    if (!review || review.dueAt > now) return;
+    if (credit >= 1) {
+        review.box++;
+        if (review.box >= REVIEW_INTERVALS_DAYS.length) {
+            delete userRec.reviews[puzzleId];
+            return;
+        }
+    } else {
+        review.box = 0;
+    }
+    review.dueAt = now + REVIEW_INTERVALS_DAYS[review.box] * DAY_MS;
+}
+
+// answers[puzzleId] only marks a puzzle as attempted: practice solves overwrite it with the correct move and a
+// multi-move line stores its correct first move however the line ends. Re-scores and stats read the scored first
+// attempt instead: { move, credit } (credit as in applyFirstAttemptScore, null while the line is still being played).
+// Attempts made before firstAttempts was kept fall back to the stored move, judged against `answer`.
+function firstAttemptOf(userRec, puzzle, answer = puzzleAnswerText(puzzle)) {
+    const recorded = userRec.firstAttempts && userRec.firstAttempts[puzzle.id];
+    if (recorded) return recorded;
+    const move = userRec.answers && userRec.answers[puzzle.id];
+    return move ? { move, credit: move === answer ? 1 : 0 } : null;
+}
+
+function recordFirstAttempt(userRec, puzzle, move, credit) {
+    if (!userRec.firstAttempts) userRec.firstAttempts = {};
+    userRec.firstAttempts[puzzle.id] = { move, credit };
+    if (credit !== null) reportPuzzlePerformance(puzzle);
+}
+
+// Applies a FIRST attempt to the user's stats, score and rating, the puzzle's rating, and the group's score
+// when answered in a group. credit: 1 = solved, 0 = wrong, in between = how far into a multi-move line the solver got.
+// Returns { scoreChange, ratingChange }.
+function applyFirstAttemptScore(userRec, puzzle, chatId, chatType, credit) {
+    let scoreChange = 0;
+    userRec.attempts = (userRec.attempts || 0) + 1;
+
+    if (credit >= 1) {
+        userRec.correct = (userRec.correct || 0) + 1;
+        scoreChange = SCORE_CORRECT;
+
+        // --- STREAK BONUS CALCULATION (ROUNDED) ---
+        const streakBonus = Math.round(userRec.currentStreak * STREAK_BONUS_MULTIPLIER);
+        scoreChange += streakBonus;
+
+        userRec.currentStreak = (userRec.currentStreak || 0) + 1;
+        if (userRec.currentStreak > userRec.maxStreak) {
+            userRec.maxStreak = userRec.currentStreak;
+        }
+    } else if (credit > 0) {
+        // Part of a line solved: a share of the correct score, but the streak is broken
+        scoreChange = Math.max(1, Math.round(SCORE_CORRECT * credit));
+        userRec.currentStreak = 0;
+    } else {
+        scoreChange = SCORE_WRONG;
+        userRec.currentStreak = 0;
+    }
+    userRec.score += scoreChange;
+    const ratingChange = ratePuzzleAttempt(userRec, puzzle, credit);
+    updateReview(userRec, puzzle.id, credit, true);
+
+    // Group Scoring (Only on FIRST attempt, includes streak bonus)
+    if (chatType === 'group' || chatType === 'supergroup') {
+        const groupRec = data.groups[chatId];
+        if (groupRec) {
+            groupRec.score = (groupRec.score || 0) + scoreChange;
+            groupRec.attempts = (groupRec.attempts || 0) + 1;
+        }
+    }
+    saveData();
+    return { scoreChange, ratingChange };
+}
+
+// Battle Helper functions (UPDATED FOR PERSISTENCE)
+async function postNextBattlePuzzle(chatId) {
+    const battle = data.battles[chatId];
+    if (!battle || !battle.isActive) return;
+
+    const puzzleIndex = battle.currentPuzzleIndex;
+    const puzzleCount = battlePuzzleCount(battle);
+    if (puzzleIndex >= puzzleCount) {
+        return endBattle(chatId);
+    }
+    
+    const puzzleId = battle.puzzles[puzzleIndex].id;
+    const p = data.puzzles[puzzleId];
+    
+    // --- BATTLE FIX: Final Validation before Posting ---
+    if (!p || (!p.photoFileId && !p.fen) || !p.options || p.options.length === 0 || !p.options.some(opt => opt.isAnswer)) {
+        console.error(`BATTLE ERROR: Puzzle ID ${puzzleId} failed validation (Missing photo/options/answer). Ending game.`);
+        bot.sendMessage(chatId, `❌ Critical Battle Error: Puzzle #${puzzleIndex + 1} (ID: ${puzzleId.substring(0, 8)}...) is corrupted or missing essential data. Ending battle. Please notify admin.`);
+        return endBattle(chatId);
     }
     // --- END BATTLE FIX ---
 
@@ -328,12 +1684,17 @@ async function postNextBattlePuzzle(chatId) {
 
     const currentPuzzleNumber = puzzleIndex + 1;
     
-    let message = `🧠 **Battle Puzzle ${currentPuzzleNumber} of ${BATTLE_PUZZLE_COUNT}** 🧠\n`;
-    message += `Goal: Answer correctly first! (Scores don't count towards global rank)\n\n`;
+    const roundSeconds = battleRoundSeconds(battle);
+    let message = `🧠 **Battle Puzzle ${currentPuzzleNumber} of ${puzzleCount}** 🧠\n`;
+    message += battle.mode === 'all'
+        ? `Goal: Answer correctly and fast! One answer each. (Scores don't count towards global rank)\n`
+        : `Goal: Answer correctly first! (Scores don't count towards global rank)\n`;
+    if (roundSeconds > 0) message += `⏱ ${roundSeconds}s to answer\n`;
+    message += `\n`;
     message += `${p.title}`;
 
     try {
-        const sent = await bot.sendPhoto(chatId, p.photoFileId, {
+        const sent = await sendPuzzlePhoto(chatId, p, {
             caption: message,
             reply_markup: reply_markup, // Passing the entire reply_markup object { inline_keyboard: [...] }
             parse_mode: 'Markdown'
@@ -343,17 +1704,18 @@ async function postNextBattlePuzzle(chatId) {
         // Store this message's metadata so the callback handler can find the puzzle.
         const battlePuzzle = data.puzzles[puzzleId];
         if (battlePuzzle) {
-            battlePuzzle.postedIn.push({ 
-                chatId: String(chatId), 
-                msgId: sent.message_id, 
-                postedAt: Date.now(),
-                postedOptionsMap: postedOptionsMap // Store map of letter key -> move text
-            });
+            recordPost(battlePuzzle, chatId, sent.message_id, postedOptionsMap, { reveal: false });
             saveData(); // Save the update right away
         }
         // --- END CALLBACK PERSISTENCE FIX ---
 
         battle.messageIds.push(sent.message_id);
+        battle.puzzles[puzzleIndex].msgId = sent.message_id;
+        battle.puzzles[puzzleIndex].postedAt = Date.now();
+        battle.lastActivityAt = Date.now();
+        battle.questionDeadline = roundSeconds > 0 ? Date.now() + roundSeconds * 1000 : null;
+        saveData();
+        armBattleTimer(chatId);
     } catch (e) {
         console.error(`Failed to post battle puzzle ${puzzleId}`, e);
         bot.sendMessage(chatId, "Failed to post the next puzzle. Battle ended.");
@@ -362,23 +1724,13 @@ async function postNextBattlePuzzle(chatId) {
 }
 
 async function endBattle(chatId) {
-    const battle = activeBattles[chatId];
+    const battle = data.battles[chatId];
     if (!battle || !battle.isActive) return;
+    clearBattleTimer(chatId);
     
     // Clean up the temporary postedIn entries created during the battle
-    for (const puzzleState of battle.puzzles) {
-        const puzzle = data.puzzles[puzzleState.id];
-        if (puzzle) {
-            // Find and remove all posted entries related to this battle's messages
-            for (const msgId of battle.messageIds) {
-                 const postedIndex = puzzle.postedIn.findIndex(pi => 
-                    String(pi.chatId) === String(chatId) && pi.msgId === msgId
-                );
-                if (postedIndex !== -1) {
-                    puzzle.postedIn.splice(postedIndex, 1);
-                }
-            }
-        }
+    for (const msgId of battle.messageIds) {
+        forgetPost(chatId, msgId);
     }
     saveData(); 
     
@@ -390,8 +1742,9 @@ async function endBattle(chatId) {
     }));
 
     if (scores.length === 0) {
-        await bot.sendMessage(chatId, "⚔️ **BATTLE CONCLUDED** ⚔️\n\nNo players participated in this battle.");
-        delete activeBattles[chatId];
+        delete data.battles[chatId];
+        saveData();
+        await bot.sendMessage(chatId, "⚔️ **BATTLE CONCLUDED** ⚔️\n\nNo players participated in this battle.").catch(e => console.error('battle end message failed', e.message));
         return;
     }
     
@@ -403,20 +1756,24 @@ async function endBattle(chatId) {
     let winnerMessage = "";
     
     if (winners.length === 1) {
-        const winnerName = userDisplayName(winners[0].user);
+        const winnerName = escapeMarkdown(userDisplayName(winners[0].user));
         winnerMessage = `👑 **CHAMPION: ${winnerName}** 👑\n` + 
-                        `A crushing victory! They clinched the win with **${winnerScore}** brilliant answers!\n` + 
+                        `A crushing victory! They clinched the win with **${winnerScore}** ${battle.mode === 'all' ? 'points' : 'brilliant answers'}!\n` + 
                         `The losers are honor-bound to play the next round!`;
     } else {
-        const winnerNames = winners.map(w => userDisplayName(w.user)).join(', ');
+        const winnerNames = winners.map(w => escapeMarkdown(userDisplayName(w.user))).join(', ');
         winnerMessage = `🤝 **IT'S A TIE!** 🤝\n` + 
-                        `A clash of equals! ${winnerNames} tied for first place with **${winnerScore}** correct answers.\n` + 
+                        `A clash of equals! ${winnerNames} tied for first place with **${winnerScore}** ${battle.mode === 'all' ? 'points' : 'correct answers'}.\n` + 
                         `Victory is shared! Time for a rematch in the next challenge!`;
     }
 
     const scoreboard = scores.map((s, i) => 
         `${i + 1}. ${s.user.name} Score: ${s.score}`
     ).join('\n');
+
+    // Gone from storage before the (fallible) announcement, so a failed send can't leave a dead battle behind
+    delete data.battles[chatId];
+    saveData();
     
     await bot.sendMessage(chatId, 
         `╔═════════════════════════╗\n` +
@@ -424,518 +1781,2481 @@ async function endBattle(chatId) {
         `╠═════════════════════════╣\n` +
         `${winnerMessage}\n\n` +
         `🏆 **FINAL SCOREBOARD** 🏆\n` +
-        `\`\`\`\n${scoreboard}\n\`\`\``,
+        `\`\`\`\n${scoreboard}\n\`\`\`\n` +
+        `📋 **ROUNDS** (${battle.mode || 'classic'})\n${battleRoundsBreakdown(battle)}`,
         { parse_mode: 'Markdown' }
-    );
+    ).catch(e => console.error('battle end message failed', e.message));
     // --- END DRAMATIC MESSAGE GENERATION ---
-    
-    delete activeBattles[chatId];
 }
-// End Battle Helper functions
-
-// Admin: receive photo + caption POST|...
-bot.on('photo', async (msg) => {
-  try{
-    // allow only private chat from admins to create puzzles
-    if (msg.chat.type !== 'private') return; // only accept from private
-    const from = msg.from;
-    if (!isAdmin(from.id)) return; // ignore non-admin
-    const caption = msg.caption || '';
-    if (!caption.startsWith('POST|')){
-      // send instructions for posting (using template literal/backticks)
-      await bot.sendMessage(msg.chat.id, ADMIN_POSTING_INSTRUCTIONS);
-      return;
-    }
-
-    // parse caption
-    const parts = caption.split('|').map(s=>s.trim());
-    
-    // Filter out metadata parts (answer=, expires=, hint=)
-    const metaFilter = p => !p.startsWith('answer=') && !p.startsWith('expires=') && !p.startsWith('hint=');
-    const optionAndMetaParts = parts.slice(2);
-    const optionsParts = optionAndMetaParts.filter(metaFilter);
-    
-    if (parts.length < 3) return bot.sendMessage(msg.chat.id, 'Invalid format - expected at least title and options.');
-    const title = parts[1];
-    
-    // Parse options: store as { key: 'A', text: 'Qd3' }
-    const optionsWithKeys = optionsParts.map((op, idx) => {
-      // detect key like 'A) text'
-      const m = op.match(/^([A-Za-z0-9])\)\s*(.*)$/);
-      if (m) return { key: m[1].toUpperCase(), text: m[2].trim() };
-      return { key: String.fromCharCode(65+idx), text: op };
-    });
-    
-    const answerPart = optionAndMetaParts.find(p => p.startsWith('answer=')) || '';
-    const answerKey = (answerPart.split('=')[1] || '').toUpperCase().trim() || null;
-    
-    // NEW: Parse the hint part
-    const hintPart = optionAndMetaParts.find(p => p.startsWith('hint=')) || '';
-    const hintText = (hintPart.split('=')[1] || '').trim() || null;
-    
-    // REMOVED: Parsing the expiresPart
-    
-    // choose largest photo size
-    const photo = msg.photo[msg.photo.length -1];
-    if (!photo) return bot.sendMessage(msg.chat.id, 'Could not find photo data.');
-
-    // --- NEW STRUCTURE MAPPING ---
-    const rawOptions = optionsWithKeys.map(opt => ({ 
-        text: opt.text, 
-        isAnswer: opt.key === answerKey 
-    }));
-    
-    const puzzleId = uuidv4();
-    const now = Date.now();
-    
-    // REMOVED: Calculating expiresAt
-    
-    // Capture the admin's display name for credit
-    const adminName = userDisplayName(from);
 
-    // NEW: Assign a sequential puzzle number
-    const puzzleNumber = Object.keys(data.puzzles).length + 1;
-
-    data.puzzles[puzzleId] = {
-      id: puzzleId,
-      title,
-      puzzleNumber, // NEW FIELD
-      photoFileId: photo.file_id,
-      options: rawOptions, // Store options without the old 'key' letter, but with the isAnswer flag
-      hint: hintText, // NEW HINT FIELD
-      createdBy: from.id,
-      createdByUserName: adminName, 
-      createdAt: now,
-      // REMOVED: expiresAt field
-      postedIn: []
-    };
+// Moves a battle on to its next puzzle (or ends it) once the current one was answered or timed out.
+function advanceBattle(chatId) {
+    const battle = data.battles[chatId];
+    if (!battle || !battle.isActive) return;
+    clearBattleTimer(chatId);
+    battle.currentPuzzleIndex++;
+    battle.questionDeadline = null;
+    battle.lastActivityAt = Date.now();
     saveData();
 
-    const hintPreview = hintText ? `\nHint: "${hintText}"` : '';
-    const preview = `✅ Puzzle created: ${title} (Puzzle #${puzzleNumber}, Credit: ${adminName})\nID: ${puzzleId}\nOptions: ${rawOptions.map(o=>o.text).join(' / ')}\nAnswer Key: ${answerKey || 'not set'}${hintPreview}\n\nOptions will be SHUFFLED when posted. **(Expiry Disabled)**`;
-    await bot.sendMessage(msg.chat.id, preview);
-    // offer quick actions
-    await bot.sendMessage(msg.chat.id, 'Admin actions:\n/postpreview '+puzzleId+' - preview\n/broadcast '+puzzleId+' - send to registered groups\n/postto <chatId> '+puzzleId+' - send to specific chat');
-  }catch(e){
-    console.error('photo handler err', e);
-  }
-});
-
-// Admin command: postpreview (UPDATED for HINT)
-bot.onText(/^\/postpreview\s+(\S+)/, async (msg, match) => {
-  const from = msg.from;
-  if (!isAdmin(from.id)) return;
-  const puzzleId = match[1];
-  const p = data.puzzles[puzzleId];
-  if (!p) return bot.sendMessage(msg.chat.id, 'Puzzle not found');
-  
-  // Dynamic shuffle for preview
-  const shuffledOptions = p.options.sort(() => 0.5 - Math.random());
-  // PASS HINT TEXT HERE
-  const { reply_markup } = makeOptionsKeyboard(shuffledOptions, false, p.hint);
-  
-  const puzzleNumberText = p.puzzleNumber ? `\n(Puzzle #${p.puzzleNumber})` : '';
+    if (battle.currentPuzzleIndex < battlePuzzleCount(battle)) {
+        // Post the next puzzle in the battle sequence
+        postNextBattlePuzzle(chatId);
+    } else {
+        // Battle finished
+        endBattle(chatId);
+    }
+}
 
-  await bot.sendPhoto(msg.chat.id, p.photoFileId, { caption: `Preview: ${p.title}${puzzleNumberText}\nID: ${p.id}\n(Options are shuffled for preview)`, reply_markup: reply_markup });
-});
+function clearBattleTimer(chatId) {
+    if (battleTimers[chatId]) {
+        clearTimeout(battleTimers[chatId]);
+        delete battleTimers[chatId];
+    }
+}
 
-// NEW ADMIN COMMAND: /showpuzzles <id> for debugging puzzle loading (No changes)
-bot.onText(/^\/showpuzzles$/, (msg) => {
-    const from = msg.from;
-    if (!isAdmin(from.id) || msg.chat.type !== 'private') return;
+// (Re)arms the timeout for the battle's current question from its persisted deadline.
+function armBattleTimer(chatId) {
+    clearBattleTimer(chatId);
+    const battle = data.battles[chatId];
+    if (!battle || !battle.isActive || !battle.questionDeadline) return;
+    const puzzleIndex = battle.currentPuzzleIndex;
+    const delay = Math.max(0, battle.questionDeadline - Date.now());
+    battleTimers[chatId] = setTimeout(() => battleQuestionTimedOut(chatId, puzzleIndex), delay);
+}
 
-    const puzzleKeys = Object.keys(data.puzzles);
-    if (puzzleKeys.length === 0) {
-        return bot.sendMessage(msg.chat.id, 'No puzzles found in data.json.');
+async function battleQuestionTimedOut(chatId, puzzleIndex) {
+    delete battleTimers[chatId];
+    const battle = data.battles[chatId];
+    if (!battle || !battle.isActive || battle.currentPuzzleIndex !== puzzleIndex) return;
+    const puzzleState = battle.puzzles[puzzleIndex];
+    if (puzzleState.closed) return;
+
+    puzzleState.closed = true;
+    puzzleState.timedOut = true;
+    const puzzle = data.puzzles[puzzleState.id];
+    const correctMoveText = puzzle ? (puzzle.options.find(opt => opt.isAnswer)?.text || '?') : '?';
+    let text;
+    if (battle.mode === 'all') {
+        const results = Object.entries(puzzleState.answeredBy)
+            .sort(([, a], [, b]) => (b.points || 0) - (a.points || 0) || a.ms - b.ms)
+            .map(([uid, a]) => `${a.correct ? '✅' : '❌'} ${escapeMarkdown(battleUserName(uid))}${a.correct ? ` +${a.points} (${formatSeconds(a.ms)})` : ''}`);
+        text = `⏰ Round ${puzzleIndex + 1} over! The answer was **${correctMoveText}**.\n` +
+            (results.length > 0 ? results.join('\n') : 'Nobody answered.');
+    } else {
+        text = `⏰ Time's up! Nobody solved Battle Puzzle ${puzzleIndex + 1}. The answer was **${correctMoveText}**.`;
     }
-    
-    // Sort by puzzleNumber
-    const sortedPuzzles = Object.values(data.puzzles).sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+    await bot.sendMessage(chatId, text, { parse_mode: 'Markdown' })
+        .catch(e => console.error('battle timeout message failed', e.message));
+    advanceBattle(chatId);
+}
 
-    const puzzleList = sortedPuzzles.map(p => {
-        const id = p.id;
-        const answerText = p.options.find(opt => opt.isAnswer)?.text || 'N/A';
-        const hintStatus = p.hint ? ' (HINT)' : '';
-        return `- #${p.puzzleNumber}: ID: ${id.substring(0, 8)}... - ${p.title} | Answer: ${answerText}${hintStatus}`;
-    }).join('\n');
+// All valid, non-corrupt puzzles that can be played in battles and duels, sorted by number
+function battlePuzzlePool() {
+    return Object.values(data.puzzles).filter(p => 
+        p && p.id && (p.photoFileId || p.fen) && p.options && p.options.length > 0 && p.options.some(opt => opt.isAnswer)
+    ).sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+}
 
-    bot.sendMessage(msg.chat.id, `Loaded Puzzles (${puzzleKeys.length} total, Sorted by #):\n${puzzleList}\n\nTo view raw JSON data for a specific puzzle, run: /showpuzzles <first 8 chars of ID>`);
-});
+// Index (in a list sorted by number) of the first puzzle numbered above the cursor, wrapping to the start
+function rotationIndex(sortedPuzzles, cursor) {
+    const index = sortedPuzzles.findIndex(p => p.puzzleNumber > (cursor || 0));
+    return index === -1 ? 0 : index;
+}
 
-bot.onText(/^\/showpuzzles\s+(\S+)/, (msg, match) => {
-    const from = msg.from;
-    if (!isAdmin(from.id) || msg.chat.type !== 'private') return;
-    
-    const partialId = match[1];
-    const fullId = Object.keys(data.puzzles).find(id => id.startsWith(partialId));
+// Takes `count` consecutive puzzles from the pool. With a group record the group's battle rotation is
+// continued (and advanced); without one (private duels) the run starts at a random puzzle.
+function takeBattlePuzzles(groupRec, pool, count) {
+    const startIndex = groupRec ? rotationIndex(pool, groupRec.battleCursor) : Math.floor(Math.random() * pool.length);
 
-    if (!fullId) {
-        return bot.sendMessage(msg.chat.id, `Puzzle starting with "${partialId}" not found.`);
+    // This loop ensures that even if the next index wraps around, it selects consecutive puzzles.
+    const puzzleIds = [];
+    for (let i = 0; i < count; i++) {
+        puzzleIds.push(pool[(startIndex + i) % pool.length].id);
     }
+    
+    // The next battle continues after the last puzzle taken
+    if (groupRec) groupRec.battleCursor = pool[(startIndex + count - 1) % pool.length].puzzleNumber;
+    return { puzzleIds, startIndex };
+}
 
-    const p = data.puzzles[fullId];
-    if (!p) return;
+// Battles persisted before formats existed have no puzzleCount/mode; they were 5-puzzle classic battles.
+function battlePuzzleCount(battle) {
+    return battle.puzzleCount || BATTLE_PUZZLE_COUNT;
+}
 
-    // Send the raw JSON of the puzzle data
-    bot.sendMessage(msg.chat.id, `Raw Puzzle Data for ${fullId.substring(0, 8)}... (Puzzle #${p.puzzleNumber}):\n\n\`\`\`json\n${JSON.stringify(p, null, 2)}\n\`\`\``, { parse_mode: 'Markdown' });
-});
+// Seconds per question; "all" rounds always need a timer because nobody's click ends them.
+function battleRoundSeconds(battle) {
+    if (BATTLE_QUESTION_SECONDS > 0) return BATTLE_QUESTION_SECONDS;
+    return battle.mode === 'all' ? BATTLE_ALL_ROUND_SECONDS : 0;
+}
 
-// 🌟 NEW ADMIN COMMAND: /removepuzzle <ID> 🌟
-bot.onText(/^\/removepuzzle\s+(\S+)/, (msg, match) => {
-    const from = msg.from;
-    if (!isAdmin(from.id) || msg.chat.type !== 'private') {
-        return bot.sendMessage(msg.chat.id, 'This command is restricted to admins in a private chat.');
-    }
+// "all" mode: full base points for a correct answer plus a speed bonus shrinking to 0 at the end of the round.
+function battleAllPoints(battle, ms) {
+    const roundMs = battleRoundSeconds(battle) * 1000;
+    const speed = Math.max(0, 1 - ms / roundMs);
+    return BATTLE_ALL_BASE_POINTS + Math.round(BATTLE_ALL_SPEED_POINTS * speed);
+}
 
-    const partialId = match[1];
-    const fullId = Object.keys(data.puzzles).find(id => id.startsWith(partialId));
+function battleUserName(uid) {
+    return data.users[uid] ? data.users[uid].name : `User ${uid}`;
+}
 
-    if (!fullId) {
-        return bot.sendMessage(msg.chat.id, `❌ Error: Puzzle starting with "${partialId}" not found. Run /showpuzzles to check IDs.`);
-    }
+// For names and other user text inside parse_mode 'Markdown' messages: "@john_doe" would otherwise open an italic entity
+function escapeMarkdown(text) {
+    return String(text).replace(/[_*`[]/g, '\\$&');
+}
 
-    const p = data.puzzles[fullId];
-    if (!p) return bot.sendMessage(msg.chat.id, 'Puzzle data is corrupt. Cannot remove.');
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
 
-    // 1. Delete the puzzle
-    delete data.puzzles[fullId];
+// One line per played round for the end-of-battle scoreboard.
+function battleRoundsBreakdown(battle) {
+    const lines = [];
+    battle.puzzles.forEach((ps, i) => {
+        const answers = Object.entries(ps.answeredBy || {}).filter(([, a]) => a && typeof a === 'object');
+        if (!ps.closed && answers.length === 0) return; // never played
+        const puzzle = data.puzzles[ps.id];
+        const label = `${i + 1}. ${puzzle ? `#${puzzle.puzzleNumber}` : '(removed)'}`;
+        const correct = answers.filter(([, a]) => a.correct).sort(([, a], [, b]) => a.ms - b.ms);
+        const wrongCount = answers.length - correct.length;
+
+        if (battle.mode === 'all') {
+            const fastest = correct.length > 0 ? ` · fastest ${escapeMarkdown(battleUserName(correct[0][0]))} (${formatSeconds(correct[0][1].ms)})` : '';
+            lines.push(`${label}: ${correct.length}/${answers.length} correct${fastest}`);
+        } else if (correct.length > 0) {
+            const wrongText = wrongCount > 0 ? `, ${wrongCount} wrong before` : '';
+            lines.push(`${label}: ✅ ${escapeMarkdown(battleUserName(correct[0][0]))} (${formatSeconds(correct[0][1].ms)})${wrongText}`);
+        } else if (answers.length > 0) {
+            lines.push(`${label}: ❌ ${answers.length} wrong${ps.timedOut ? ', time ran out' : ''}`);
+        } else {
+            lines.push(`${label}: ⏰ no answers`);
+        }
+    });
+    return lines.length > 0 ? lines.join('\n') : 'No rounds were played.';
+}
 
-    // 2. Clean up user answer references
-    let userCleanupCount = 0;
-    for (const uid in data.users) {
-        if (data.users[uid].answers[fullId]) {
-            delete data.users[uid].answers[fullId];
-            userCleanupCount++;
+// On startup: resume battles that were running when the bot stopped, and end the stale ones.
+function resumeBattles() {
+    for (const chatId of Object.keys(data.battles)) {
+        const battle = data.battles[chatId];
+        if (!battle || !battle.isActive) {
+            delete data.battles[chatId];
+            saveData();
+            continue;
         }
-        if (data.users[uid].lastPuzzleId === fullId) {
-            data.users[uid].lastPuzzleId = null;
-            userCleanupCount++;
+        if (Date.now() - (battle.lastActivityAt || 0) > BATTLE_STALE_MS) {
+            console.log(`Ending stale battle in ${chatId}`);
+            endBattle(chatId);
+            continue;
+        }
+        const current = battle.puzzles[battle.currentPuzzleIndex];
+        if (!current || !current.msgId) {
+            // Stopped before the current question was posted
+            postNextBattlePuzzle(chatId);
+        } else if (battleRoundSeconds(battle) > 0) {
+            if (!battle.questionDeadline) battle.questionDeadline = Date.now() + battleRoundSeconds(battle) * 1000;
+            armBattleTimer(chatId);
         }
     }
-    
-    // NOTE: Group nextPuzzleIndex/battleNextPuzzleIndex cleanup is handled indirectly by /reindexpuzzles logic.
+}
 
-    saveData();
+// Battles without a question timer can still be abandoned; end them once they go quiet.
+function sweepStaleBattles() {
+    for (const chatId of Object.keys(data.battles)) {
+        const battle = data.battles[chatId];
+        if (battle && battle.isActive && Date.now() - (battle.lastActivityAt || 0) > BATTLE_STALE_MS) {
+            console.log(`Ending stale battle in ${chatId}`);
+            endBattle(chatId);
+        }
+    }
+}
+// End Battle Helper functions
 
-    bot.sendMessage(msg.chat.id, `🗑️ **Puzzle REMOVED!**
-    - **Puzzle ID:** ${fullId.substring(0, 8)}...
-    - **Title:** ${p.title}
-    - **User references cleaned:** ${userCleanupCount}
+// Duel Helper functions: two players solve the same puzzles, one answer each per round,
+// either together in a group or each in their own private chat with the bot.
+function duelRecordKey(uidA, uidB) {
+    return [String(uidA), String(uidB)].sort().join(':');
+}
 
-    **⚠️ Next Step:** Please run \`/reindexpuzzles\` immediately to fix the sequential puzzle numbering!`);
-});
-// 🌟 END NEW ADMIN COMMAND 🌟
+// Private duels are played in each player's private chat (chat id == user id)
+function duelChats(duel) {
+    return duel.groupId ? [duel.groupId] : duel.players;
+}
 
+function sendDuelMessage(duel, text, options = {}) {
+    return Promise.all(duelChats(duel).map(chatId =>
+        bot.sendMessage(chatId, text, options).catch(e => console.error(`duel message to ${chatId} failed`, e.message))
+    ));
+}
 
-// TEMPORARY ADMIN COMMAND: /reindexpuzzles (No changes)
-bot.onText(/^\/reindexpuzzles$/, (msg) => {
-    const from = msg.from;
-    if (!isAdmin(from.id) || msg.chat.type !== 'private') {
-        return bot.sendMessage(msg.chat.id, 'This command is restricted to admins in a private chat.');
+// The pending or running duel a user is part of, if any
+function duelOf(uid, status = null) {
+    return Object.values(data.duels).find(d => d.players.includes(uid) && (!status || d.status === status)) || null;
+}
+
+// Resolves a "@username" to a registered user id (Telegram doesn't tell bots the id behind a mention)
+function findUserIdByUsername(mention) {
+    const wanted = mention.toLowerCase();
+    const user = Object.values(data.users).find(u => u.name && u.name.toLowerCase() === wanted);
+    return user ? String(user.userId) : null;
+}
+
+function headToHeadText(uidA, uidB) {
+    const record = data.duelRecords[duelRecordKey(uidA, uidB)];
+    if (!record) return 'First meeting!';
+    return `Head-to-head: ${battleUserName(uidA)} ${record.wins[uidA] || 0} – ${record.wins[uidB] || 0} ${battleUserName(uidB)}` +
+        (record.draws ? ` (${record.draws} drawn)` : '');
+}
+
+async function startDuel(duelId) {
+    const duel = data.duels[duelId];
+    if (!duel) return;
+    const pool = battlePuzzlePool();
+    if (pool.length < duel.puzzleCount) {
+        delete data.duels[duelId];
+        saveData();
+        return sendDuelMessage(duel, `Cannot start the duel: only ${pool.length} playable puzzles are available.`);
     }
 
-    const oldLength = Object.keys(data.puzzles).length;
-    let newPuzzleNumber = 1;
-    let reindexedCount = 0;
+    const groupRec = duel.groupId ? data.groups[duel.groupId] : null;
+    const { puzzleIds } = takeBattlePuzzles(groupRec, pool, duel.puzzleCount);
+    duel.puzzles = puzzleIds.map(id => ({ id, answers: {}, msgIds: {} }));
+    duel.status = 'active';
+    duel.currentPuzzleIndex = 0;
+    duel.startedAt = Date.now();
+    duel.lastActivityAt = Date.now();
+    saveData();
 
-    // Convert to array, sort by creation time (using createdAt) to maintain a logical order
-    const sortedPuzzleEntries = Object.entries(data.puzzles)
-        .sort(([, a], [, b]) => (a.createdAt || 0) - (b.createdAt || 0)); 
+    const [a, b] = duel.players;
+    await sendDuelMessage(duel,
+        `🤺 **DUEL ON!** ${escapeMarkdown(battleUserName(a))} vs ${escapeMarkdown(battleUserName(b))}\n` +
+        `${duel.puzzleCount} puzzles, the same for both of you. One answer each per round, ${DUEL_ROUND_SECONDS}s per puzzle. ` +
+        `Most correct answers wins; ties go to the faster total time.`,
+        { parse_mode: 'Markdown' }
+    );
+    postNextDuelPuzzle(duelId);
+}
 
-    const reindexedPuzzles = {};
+async function postNextDuelPuzzle(duelId) {
+    const duel = data.duels[duelId];
+    if (!duel || duel.status !== 'active') return;
 
-    for (const [id, p] of sortedPuzzleEntries) {
-        if (p.puzzleNumber !== newPuzzleNumber) {
-            p.puzzleNumber = newPuzzleNumber;
-            reindexedCount++;
-        }
-        reindexedPuzzles[id] = p;
-        newPuzzleNumber++;
+    const puzzleIndex = duel.currentPuzzleIndex;
+    if (puzzleIndex >= duel.puzzles.length) {
+        return endDuel(duelId, 'finished');
+    }
+    const state = duel.puzzles[puzzleIndex];
+    const p = data.puzzles[state.id];
+    if (!p || (!p.photoFileId && !p.fen) || !p.options || !p.options.some(opt => opt.isAnswer)) {
+        console.error(`DUEL ERROR: Puzzle ID ${state.id} failed validation. Ending duel.`);
+        return endDuel(duelId, 'aborted');
     }
 
-    // Replace the old puzzles object with the re-indexed one
-    data.puzzles = reindexedPuzzles;
-    
-    // Reset all group sequential indices to 0/1 to reflect the re-indexing
-    for (const cid in data.groups) {
-        const group = data.groups[cid];
-        // Only reset if the current index is higher than the new total or it's not the start
-        if (group.nextPuzzleIndex > 0 || group.battleNextPuzzleIndex > 0 || oldLength !== Object.keys(data.puzzles).length) {
-            group.nextPuzzleIndex = 0; 
-            group.battleNextPuzzleIndex = 0;
-            reindexedCount++; // Count this as a re-index-related change
+    const shuffledOptions = [...p.options].sort(() => 0.5 - Math.random());
+    const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(shuffledOptions, true, null, `DUEL|${duelId}|`);
+    state.postedOptionsMap = postedOptionsMap;
+
+    const [a, b] = duel.players;
+    const caption = `🤺 **Duel Puzzle ${puzzleIndex + 1} of ${duel.puzzles.length}**\n` +
+        `${escapeMarkdown(battleUserName(a))} vs ${escapeMarkdown(battleUserName(b))} · ⏱ ${DUEL_ROUND_SECONDS}s\n\n${p.title}`;
+
+    for (const chatId of duelChats(duel)) {
+        try {
+            const sent = await sendPuzzlePhoto(chatId, p, { caption, reply_markup, parse_mode: 'Markdown' });
+            state.msgIds[chatId] = sent.message_id;
+        } catch (e) {
+            console.error(`Failed to post duel puzzle ${state.id} to ${chatId}`, e.message);
+            return endDuel(duelId, 'aborted');
         }
     }
-    
-    saveData();
-
-    bot.sendMessage(msg.chat.id, `✅ Puzzle data re-indexed!
-Total Puzzles found: ${oldLength} -> ${Object.keys(data.puzzles).length}
-Puzzles/Groups with updated sequential numbers/indices: ${reindexedCount}
-Run /showpuzzles to confirm the full, sorted list.`);
-});
 
+    state.postedAt = Date.now();
+    duel.lastActivityAt = Date.now();
+    duel.roundDeadline = Date.now() + DUEL_ROUND_SECONDS * 1000;
+    saveData();
+    armDuelTimer(duelId);
+}
 
-// Admin command: postto <chatId> <puzzleId> (UPDATED for HINT)
-bot.onText(/^\/postto\s+(\S+)\s+(\S+)/, async (msg, match) => {
-  const from = msg.from;
-  if (!isAdmin(from.id)) return;
-  const chatId = match[1];
-  const puzzleId = match[2];
-  const p = data.puzzles[puzzleId];
-  if (!p) return bot.sendMessage(msg.chat.id, 'Puzzle not found');
-  
-  const creatorCredit = p.createdByUserName ? ` (Credit: ${p.createdByUserName})` : '';
-  const puzzleNumberText = p.puzzleNumber ? `**Puzzle #${p.puzzleNumber}**\n` : '';
+function clearDuelTimer(duelId) {
+    if (duelTimers[duelId]) {
+        clearTimeout(duelTimers[duelId]);
+        delete duelTimers[duelId];
+    }
+}
 
-  // Dynamic shuffle for post
-  const shuffledOptions = p.options.sort(() => 0.5 - Math.random());
-  // PASS HINT TEXT HERE
-  const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(shuffledOptions, false, p.hint);
+function armDuelTimer(duelId) {
+    clearDuelTimer(duelId);
+    const duel = data.duels[duelId];
+    if (!duel || duel.status !== 'active' || !duel.roundDeadline) return;
+    const puzzleIndex = duel.currentPuzzleIndex;
+    duelTimers[duelId] = setTimeout(() => {
+        delete duelTimers[duelId];
+        const current = data.duels[duelId];
+        if (current && current.currentPuzzleIndex === puzzleIndex) closeDuelRound(duelId);
+    }, Math.max(0, duel.roundDeadline - Date.now()));
+}
 
-  // FIX: Manually inject the puzzleId into the hint button's callback_data string
-  if (p.hint && reply_markup.inline_keyboard.length > 0) {
-      const hintRow = reply_markup.inline_keyboard[reply_markup.inline_keyboard.length - 1][0];
-      // HINT|PLACEHOLDER becomes HINT|puzzleId
-      hintRow.callback_data = `HINT|${puzzleId}`;
-  }
-  
-  try{
-    const sent = await bot.sendPhoto(chatId, p.photoFileId, { 
-      caption: `${puzzleNumberText}${p.title}${creatorCredit}` , 
-      reply_markup: reply_markup, // FIX: Passing the entire reply_markup object
-      parse_mode: 'Markdown'
-    });
-    p.postedIn.push({ 
-        chatId: String(chatId), 
-        msgId: sent.message_id, 
-        postedAt: Date.now(),
-        postedOptionsMap: postedOptionsMap // Store map of letter key -> move text
+// Reveals the round (both answered, or time ran out) and moves on.
+async function closeDuelRound(duelId) {
+    const duel = data.duels[duelId];
+    if (!duel || duel.status !== 'active') return;
+    const state = duel.puzzles[duel.currentPuzzleIndex];
+    if (!state || state.closed) return;
+    state.closed = true;
+    clearDuelTimer(duelId);
+
+    const puzzle = data.puzzles[state.id];
+    const correctMoveText = puzzle ? (puzzle.options.find(opt => opt.isAnswer)?.text || '?') : '?';
+    const results = duel.players.map(uid => {
+        const a = state.answers[uid];
+        const result = !a ? '⏰ no answer' : (a.correct ? `✅ (${formatSeconds(a.ms)})` : '❌');
+        return `${escapeMarkdown(battleUserName(uid))}: ${result}`;
     });
+    const [a, b] = duel.players;
+    await sendDuelMessage(duel,
+        `Round ${duel.currentPuzzleIndex + 1}: the answer was **${correctMoveText}**.\n${results.join('\n')}\n` +
+        `Score: ${escapeMarkdown(battleUserName(a))} ${duel.scores[a]} – ${duel.scores[b]} ${escapeMarkdown(battleUserName(b))}`,
+        { parse_mode: 'Markdown' }
+    );
+
+    duel.currentPuzzleIndex++;
+    duel.roundDeadline = null;
+    duel.lastActivityAt = Date.now();
     saveData();
-    bot.sendMessage(msg.chat.id, `Posted to ${chatId}`);
-  }catch(e){
-    bot.sendMessage(msg.chat.id, `Failed to post to ${chatId}: ${e.message}`);
-  }
-});
+    if (duel.currentPuzzleIndex < duel.puzzles.length) {
+        postNextDuelPuzzle(duelId);
+    } else {
+        endDuel(duelId, 'finished');
+    }
+}
 
-// Admin: broadcast <puzzleId> (UPDATED for HINT)
-bot.onText(/^\/broadcast\s+(\S+)/, async (msg, match) => {
-  const from = msg.from;
-  if (!isAdmin(from.id)) return;
-  const puzzleId = match[1];
-  const p = data.puzzles[puzzleId];
-  if (!p) return bot.sendMessage(msg.chat.id, 'Puzzle not found');
+// Total time spent on correct answers; the tie-break when both players solved the same number
+function duelCorrectTime(duel, uid) {
+    return duel.puzzles.reduce((sum, state) => {
+        const a = state.answers[uid];
+        return sum + (a && a.correct ? a.ms : 0);
+    }, 0);
+}
 
-  const creatorCredit = p.createdByUserName ? ` (Credit: ${p.createdByUserName})` : '';
-  const puzzleNumberText = p.puzzleNumber ? `**Puzzle #${p.puzzleNumber}**\n` : '';
-  
-  // Dynamic shuffle for broadcast
-  const shuffledOptions = p.options.sort(() => 0.5 - Math.random());
-  // PASS HINT TEXT HERE
-  const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(shuffledOptions, false, p.hint);
+// outcome: 'finished' (rated, recorded) | 'aborted' (posting failed) | 'abandoned' (stale)
+async function endDuel(duelId, outcome) {
+    const duel = data.duels[duelId];
+    if (!duel) return;
+    clearDuelTimer(duelId);
+    delete data.duels[duelId];
 
-  // FIX: Manually inject the puzzleId into the hint button's callback_data string
-  if (p.hint && reply_markup.inline_keyboard.length > 0) {
-      const hintRow = reply_markup.inline_keyboard[reply_markup.inline_keyboard.length - 1].find(b => b.callback_data === 'HINT|PLACEHOLDER');
-      if (hintRow) {
-        hintRow.callback_data = `HINT|${puzzleId}`;
-      }
-  }
+    if (outcome !== 'finished') {
+        saveData();
+        const reason = outcome === 'abandoned' ? 'was abandoned' : 'could not continue';
+        return sendDuelMessage(duel, `🤺 The duel ${reason}. No result was recorded.`);
+    }
 
-  const groups = Object.keys(data.groups);
-  if (groups.length === 0) return bot.sendMessage(msg.chat.id, 'No registered groups to broadcast to. Ask groups to use /register in group.');
+    const [a, b] = duel.players;
+    const timeA = duelCorrectTime(duel, a);
+    const timeB = duelCorrectTime(duel, b);
+    let scoreA = 0.5;
+    if (duel.scores[a] !== duel.scores[b]) scoreA = duel.scores[a] > duel.scores[b] ? 1 : 0;
+    else if (duel.scores[a] > 0 && timeA !== timeB) scoreA = timeA < timeB ? 1 : 0;
+
+    // Head-to-head record
+    const key = duelRecordKey(a, b);
+    const record = data.duelRecords[key] || (data.duelRecords[key] = { players: key.split(':'), wins: {}, draws: 0, duels: 0 });
+    record.duels++;
+    record.lastPlayedAt = Date.now();
+    if (scoreA === 0.5) record.draws++;
+    else {
+        const winner = scoreA === 1 ? a : b;
+        record.wins[winner] = (record.wins[winner] || 0) + 1;
+    }
 
-  for (const gid of groups){
-    try{
-      const sent = await bot.sendPhoto(gid, p.photoFileId, { 
-        caption: `${puzzleNumberText}${p.title}${creatorCredit}`, 
-        reply_markup: reply_markup, // FIX: Passing the entire reply_markup object
-        parse_mode: 'Markdown'
-      });
-      p.postedIn.push({ 
-          chatId: gid, 
-          msgId: sent.message_id, 
-          postedAt: Date.now(),
-          postedOptionsMap: postedOptionsMap // Store map of letter key -> move text
-      });
-    }catch(e){
-      console.warn('broadcast to', gid, 'failed', e.message);
+    // Duel rating (Glicko-2, players rated against each other)
+    const userA = data.users[a];
+    const userB = data.users[b];
+    let ratingText = '';
+    if (userA && userB) {
+        if (!userA.duelRating) userA.duelRating = newRating();
+        if (!userB.duelRating) userB.duelRating = newRating();
+        const beforeA = userA.duelRating.rating;
+        const beforeB = userB.duelRating.rating;
+        const newA = glicko2Update(userA.duelRating, userB.duelRating, scoreA);
+        userB.duelRating = glicko2Update(userB.duelRating, userA.duelRating, 1 - scoreA);
+        userA.duelRating = newA;
+        const change = (after, before) => { const d = Math.round(after - before); return `${d >= 0 ? '+' : ''}${d}`; };
+        ratingText = `\n📈 Duel rating: ${escapeMarkdown(userA.name)} ${formatRating(userA.duelRating)} (${change(userA.duelRating.rating, beforeA)}), ` +
+            `${escapeMarkdown(userB.name)} ${formatRating(userB.duelRating)} (${change(userB.duelRating.rating, beforeB)})`;
     }
-  }
-  saveData();
-  bot.sendMessage(msg.chat.id, `Broadcast complete.`);
-});
+    saveData();
 
-// NEW ADMIN COMMAND: /adjustscore <userId> <amount> (No changes)
-bot.onText(/^\/adjustscore\s+(\S+)\s+(-?\d+)/, async (msg, match) => {
-    const from = msg.from;
-    if (!isAdmin(from.id) || msg.chat.type !== 'private') {
-        return bot.sendMessage(msg.chat.id, 'This command is restricted to admins in a private chat.');
+    let headline;
+    if (scoreA === 0.5) headline = `🤝 **DRAW!** ${escapeMarkdown(battleUserName(a))} and ${escapeMarkdown(battleUserName(b))} can't be separated.`;
+    else {
+        const winner = scoreA === 1 ? a : b;
+        const tieBreak = duel.scores[a] === duel.scores[b] ? ' on time' : '';
+        headline = `👑 **${escapeMarkdown(battleUserName(winner))} WINS THE DUEL${tieBreak}!**`;
     }
-    
-    const targetUserId = match[1];
-    const amount = Number(match[2]);
+    const rounds = duel.puzzles.map((state, i) => {
+        const puzzle = data.puzzles[state.id];
+        const marks = duel.players.map(uid => {
+            const ans = state.answers[uid];
+            return !ans ? '⏰' : (ans.correct ? `✅ ${formatSeconds(ans.ms)}` : '❌');
+        });
+        return `${i + 1}. ${puzzle ? `#${puzzle.puzzleNumber}` : '(removed)'}: ${marks.join(' | ')}`;
+    });
 
-    const targetUserRec = data.users[targetUserId];
+    await sendDuelMessage(duel,
+        `🤺 **DUEL OVER** 🤺\n${headline}\n\n` +
+        `${escapeMarkdown(battleUserName(a))} ${duel.scores[a]} – ${duel.scores[b]} ${escapeMarkdown(battleUserName(b))} ` +
+        `(time on correct answers: ${formatSeconds(timeA)} / ${formatSeconds(timeB)})\n\n` +
+        `📋 Rounds (${escapeMarkdown(battleUserName(a))} | ${escapeMarkdown(battleUserName(b))})\n${rounds.join('\n')}\n\n` +
+        `${escapeMarkdown(headToHeadText(a, b))}${ratingText}`,
+        { parse_mode: 'Markdown' }
+    );
+}
 
-    if (!targetUserRec) {
-        return bot.sendMessage(msg.chat.id, `Error: User with ID ${targetUserId} not found in the database.`);
+// On startup: re-arm running duels' round timers; stale ones are ended without a result.
+function resumeDuels() {
+    for (const duel of Object.values(data.duels)) {
+        if (duel.status !== 'active') continue;
+        if (Date.now() - (duel.lastActivityAt || 0) > BATTLE_STALE_MS) {
+            endDuel(duel.id, 'abandoned');
+            continue;
+        }
+        const state = duel.puzzles[duel.currentPuzzleIndex];
+        if (!state || !state.postedAt) postNextDuelPuzzle(duel.id);
+        else armDuelTimer(duel.id);
     }
+}
 
-    targetUserRec.score += amount;
-    saveData();
+// Expires unanswered challenges and ends duels nobody is playing any more
+function sweepDuels() {
+    for (const duel of Object.values(data.duels)) {
+        if (duel.status === 'pending' && Date.now() - duel.createdAt > DUEL_INVITE_TTL_MS) {
+            delete data.duels[duel.id];
+            saveData();
+            bot.sendMessage(duel.groupId || duel.challenger, `⌛ The duel challenge to ${battleUserName(duel.players[1])} expired.`)
+                .catch(e => console.error('duel expiry message failed', e.message));
+        } else if (duel.status === 'active' && Date.now() - (duel.lastActivityAt || 0) > BATTLE_STALE_MS) {
+            endDuel(duel.id, 'abandoned');
+        }
+    }
+}
+// End Duel Helper functions
 
-    const newTitle = getPlayerTitle(targetUserRec.score);
-    const resultMessage = `✅ Score adjusted for **${targetUserRec.name}** (ID: ${targetUserId}).
-Adjustment: ${amount > 0 ? '+' : ''}${amount} points.
-**New Score:** ${targetUserRec.score}
-**New Title:** ${newTitle}`;
+// Takes the group's next puzzle in its /puzzle rotation and advances the rotation. Caller saves.
+function nextGroupPuzzle(groupRec, availablePuzzles) {
+    const puzzle = availablePuzzles[rotationIndex(availablePuzzles, groupRec.puzzleCursor)];
+    groupRec.puzzleCursor = puzzle.puzzleNumber;
+    return puzzle;
+}
 
-    await bot.sendMessage(msg.chat.id, resultMessage, { parse_mode: 'Markdown' });
-});
+// --- SCHEDULED POSTING ---
+// Each group may carry a schedule; a ticker posts the group's next rotation puzzle when nextRunAt passes.
+// Times of day are interpreted in the schedule's IANA time zone (via Intl, so DST is handled).
 
+function isValidTimeZone(tz) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
 
-// MODIFIED: /battle logic now uses sequential rotation (battleNextPuzzleIndex)
-// FIX: Added optional bot username suffix to regex for group commands
-bot.onText(/^\/battle(@\S+)?$/, async (msg) => {
-    const chatId = String(msg.chat.id);
-    const chatType = msg.chat.type;
+// Wall-clock parts of a UTC timestamp in a time zone
+function zonedParts(ts, tz) {
+    const parts = {};
+    for (const { type, value } of new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(ts))) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+    return parts;
+}
 
-    if (chatType !== 'group' && chatType !== 'supergroup') {
-        return bot.sendMessage(chatId, 'Battle mode can only be started in a Telegram group.');
+// UTC timestamp of a wall-clock time in a time zone (month is 1-based; day may overflow into the next month)
+function zonedTimeToUtc(year, month, day, hour, minute, tz) {
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+    let ts = wallAsUtc;
+    // Two passes settle the zone offset, also right next to a DST change
+    for (let i = 0; i < 2; i++) {
+        const p = zonedParts(ts, tz);
+        const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ts;
+        ts = wallAsUtc - offset;
     }
-    
-    if (activeBattles[chatId] && activeBattles[chatId].isActive) {
-        return bot.sendMessage(chatId, 'A battle is already active in this group! Please wait for it to finish.');
+    return ts;
+}
+
+// First slot of the schedule strictly after `after`
+function nextScheduleRun(schedule, after) {
+    if (schedule.type === 'every') {
+        const step = schedule.hours * 60 * 60 * 1000;
+        const anchor = schedule.anchorAt || after;
+        return anchor + (Math.floor((after - anchor) / step) + 1) * step;
     }
-    
-    addGroup(msg.chat); // Ensure group is registered to use battleNextPuzzleIndex
+    const [hour, minute] = schedule.time.split(':').map(Number);
+    const today = zonedParts(after, schedule.tz);
+    let run = zonedTimeToUtc(today.year, today.month, today.day, hour, minute, schedule.tz);
+    if (run <= after) run = zonedTimeToUtc(today.year, today.month, today.day + 1, hour, minute, schedule.tz);
+    return run;
+}
+
+function describeSchedule(schedule) {
+    if (!schedule) return 'off';
+    const when = schedule.type === 'every'
+        ? `every ${schedule.hours} hour${schedule.hours === 1 ? '' : 's'}`
+        : `daily at ${schedule.time} (${schedule.tz})`;
+    return `${when}, next post in ${formatDuration(Math.max(0, schedule.nextRunAt - Date.now()))}`;
+}
+
+// Posts the group's next rotation puzzle, as /puzzle would in sequential mode
+async function postScheduledPuzzle(chatId) {
     const groupRec = data.groups[chatId];
+    const availablePuzzles = Object.values(data.puzzles).sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+    if (!groupRec || availablePuzzles.length === 0) return;
 
-    // --- Battle Puzzle Pool & Selection (Sequential Logic) ---
-    // 1. Get all valid, non-corrupt puzzles, sorted by number
-    const validPuzzles = Object.values(data.puzzles).filter(p => 
-        p && p.id && p.photoFileId && p.options && p.options.length > 0 && p.options.some(opt => opt.isAnswer)
-    ).sort((a, b) => a.puzzleNumber - b.puzzleNumber); 
+    const p = nextGroupPuzzle(groupRec, availablePuzzles);
+    saveData();
 
-    const totalPuzzles = validPuzzles.length;
-    
-    if (totalPuzzles < BATTLE_PUZZLE_COUNT) {
-        return bot.sendMessage(chatId, `Cannot start battle. Need at least ${BATTLE_PUZZLE_COUNT} fully-defined puzzles with answers, but only ${totalPuzzles} are available. Please check puzzles with /showpuzzles.`);
+    const creatorCredit = p.createdByUserName ? `\n(Puzzle by: ${p.createdByUserName})` : '';
+    const puzzleNumberText = `**Puzzle #${p.puzzleNumber}** / ${availablePuzzles.length} · ${puzzleDifficulty(p.rating)}`;
+    const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(postOptions(p), false, p.hint);
+    if (p.hint && reply_markup.inline_keyboard.length > 0) {
+        const hintRow = reply_markup.inline_keyboard[reply_markup.inline_keyboard.length - 1].find(b => b.callback_data === 'HINT|PLACEHOLDER');
+        if (hintRow) hintRow.callback_data = `HINT|${p.id}`;
     }
-    
-    let startIndex = groupRec.battleNextPuzzleIndex;
-    
-    // Wrap around if the index exceeds the total count
-    if (startIndex >= totalPuzzles) {
-        startIndex = 0;
+
+    const sent = await sendPuzzlePhoto(chatId, p, {
+        caption: `${puzzleNumberText}\n${p.title}\n📅 Scheduled puzzle${creatorCredit}${answerPrompt(p)}`,
+        reply_markup: keyboardForChat(reply_markup, chatId),
+        parse_mode: 'Markdown'
+    });
+    recordPost(p, chatId, sent.message_id, postedOptionsMap);
+    saveData();
+}
+
+// Runs every SCHEDULE_TICK_MS (and once on startup, which is where missed slots are caught up or skipped)
+async function runDueSchedules() {
+    const now = Date.now();
+    for (const groupRec of Object.values(data.groups)) {
+        const schedule = groupRec && groupRec.schedule;
+        if (!schedule || schedule.nextRunAt > now) continue;
+
+        const missedBy = now - schedule.nextRunAt;
+        schedule.nextRunAt = nextScheduleRun(schedule, now);
+        saveData();
+        if (missedBy > SCHEDULE_CATCH_UP_MS) {
+            console.log(`Skipping missed scheduled post for ${groupRec.chatId} (${formatDuration(missedBy)} late)`);
+            continue;
+        }
+        try {
+            await postScheduledPuzzle(groupRec.chatId);
+            schedule.lastRunAt = now;
+            saveData();
+        } catch (e) {
+            console.error(`Scheduled post to ${groupRec.chatId} failed:`, e.message);
+        }
     }
+}
+// --- END SCHEDULED POSTING ---
+
+// Line Helper functions: a correct first move on a puzzle with a `solution` line opens a session for that solver.
+// The bot plays the opponent's reply and posts the new position with options for the solver's next move.
+async function startLineSession(puzzle, user, chat, isFirstAttempt) {
+    const session = {
+        id: uuidv4().substring(0, 8),
+        puzzleId: puzzle.id,
+        uid: String(user.id),
+        userName: userDisplayName(user),
+        chatId: String(chat.id),
+        chatType: chat.type,
+        isFirstAttempt,   // only first attempts are scored (partial credit when the line is left unfinished)
+        ply: 1,           // index into puzzle.solution of the next move to be played (the solver already played move 0)
+        solvedMoves: 1,   // solver moves found so far
+        msgId: null,      // message carrying the current options keyboard
+        postedOptionsMap: null,
+        expiresAt: Date.now() + LINE_SESSION_TIMEOUT_MS
+    };
+    data.lines[session.id] = session;
+    saveData();
+    return advanceLine(session);
+}
+
+// Plays the opponent's reply (solution[ply]) and posts the position for the solver's next move
+async function advanceLine(session) {
+    const puzzle = data.puzzles[session.puzzleId];
+    if (!puzzle || !puzzle.solution) return finishLine(session, 'aborted');
 
-    // Select the next 5 puzzles sequentially
-    let selectedPuzzles = [];
-    // This loop ensures that even if the next index wraps around, it selects 5 consecutive puzzles.
-    for (let i = 0; i < BATTLE_PUZZLE_COUNT; i++) {
-        const index = (startIndex + i) % totalPuzzles;
-        // Pushing only the ID and default battle state
-        selectedPuzzles.push({ id: validPuzzles[index].id, answeredBy: {} }); 
+    const chess = new Chess(puzzle.fen);
+    const solverColor = chess.turn();
+    for (let i = 0; i <= session.ply; i++) chess.move(puzzle.solution[i]);
+    const reply = chess.history({ verbose: true }).pop();
+    session.ply++;
+
+    const totalMoves = Math.ceil(puzzle.solution.length / 2);
+    let caption = `🧩 Puzzle #${puzzle.puzzleNumber} — ${session.userName}, move ${session.solvedMoves + 1} of ${totalMoves}\nOpponent replied ${reply.san}. Your move!`;
+    const sendOptions = {};
+
+    if (puzzle.answerMode === 'open') {
+        session.postedOptionsMap = null; // typed answers: the solver replies to this board
+        caption += answerPrompt(puzzle);
+    } else {
+        const answerSan = puzzle.solution[session.ply];
+        const options = [answerSan, ...pickDistractors(chess, answerSan, 3)]
+            .sort(() => 0.5 - Math.random())
+            .map(text => ({ text }));
+        const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(options, false, null, `LINE|${session.id}|`);
+        session.postedOptionsMap = postedOptionsMap;
+        sendOptions.reply_markup = reply_markup;
     }
-    
-    // Update the index for the *next* battle request
-    groupRec.battleNextPuzzleIndex = (startIndex + BATTLE_PUZZLE_COUNT) % totalPuzzles;
-    saveData(); 
+    const png = renderBoardPng(chess.fen(), { flipped: solverColor === 'b', highlight: [reply.from, reply.to] });
 
-    // --- Start Battle ---
-    activeBattles[chatId] = {
-        chatId,
-        puzzles: selectedPuzzles, // This now contains the 5 sequential puzzle IDs
-        currentPuzzleIndex: 0,
-        scores: {}, 
-        isActive: true,
-        messageIds: [] 
-    };
-    
-    await bot.sendMessage(chatId, 
-        `⚔️ **SEQUENTIAL BATTLE MODE STARTED!** ⚔️\nStarting from Puzzle #${validPuzzles[startIndex].puzzleNumber}. Answer correctly to score points.`, 
-        { parse_mode: 'Markdown' }
-    );
-    
-    postNextBattlePuzzle(chatId);
-});
+    try {
+        const sent = await bot.sendPhoto(session.chatId, png, { caption, ...sendOptions }, { filename: 'line.png', contentType: 'image/png' });
+        session.msgId = sent.message_id;
+    } catch (e) {
+        console.error(`Failed to post line step for puzzle ${puzzle.id}`, e.message);
+        return finishLine(session, 'aborted');
+    }
 
-// MODIFIED /puzzle: EXPIRY FILTER ALREADY REMOVED (UPDATED for HINT)
-// FIX: Added optional bot username suffix to regex for group commands
-bot.onText(/^\/puzzle(@\S+)?\s*(\d*)$/, async (msg, match) => {
-  registerUser(msg.from);
-  const chatId = String(msg.chat.id);
-  const uid = String(msg.from.id);
-  const userRec = data.users[uid];
-  // Match index 2 captures the number if present, ignoring the bot handle in index 1
-  const requestedNumber = match[2] ? Number(match[2]) : null; 
+    session.expiresAt = Date.now() + LINE_SESSION_TIMEOUT_MS;
+    saveData();
+    armLineTimer(session);
+}
 
-  // 1. Get all available puzzles, sorted by number (Filter is correctly removed here)
-  const availablePuzzles = Object.values(data.puzzles)
-    .sort((a, b) => a.puzzleNumber - b.puzzleNumber); 
-    
-  const totalPuzzles = availablePuzzles.length;
+function armLineTimer(session) {
+    clearTimeout(lineTimers[session.id]);
+    lineTimers[session.id] = setTimeout(() => finishLine(session, 'expired'), Math.max(0, session.expiresAt - Date.now()));
+}
 
-  if (totalPuzzles === 0) {
-    return bot.sendMessage(msg.chat.id, 'No puzzles are currently available. Admins: Check your puzzle count.');
-  }
+// On startup: re-arm the lines' timers; a line whose time ran out while the bot was down is scored at once
+function resumeLines() {
+    for (const session of Object.values(data.lines)) armLineTimer(session);
+}
 
-  let p = null;
+// outcome: 'solved' | 'failed' (wrong move) | 'expired' (timeout) | 'aborted' (puzzle gone / post failed)
+async function finishLine(session, outcome) {
+    if (!data.lines[session.id]) return; // already finished
+    delete data.lines[session.id];
+    clearTimeout(lineTimers[session.id]);
+    delete lineTimers[session.id];
+    saveData();
 
-  if (requestedNumber) {
-      // --- Case 1: Specific puzzle requested (/puzzle 15) ---
-      p = availablePuzzles.find(puz => puz.puzzleNumber === requestedNumber);
-      
-      if (!p) {
-          return bot.sendMessage(msg.chat.id, `Puzzle #${requestedNumber} not found. Available puzzles are from 1 to ${totalPuzzles}.`);
-      }
-      
-  } else {
-      // --- Case 2: Next sequential puzzle requested (/puzzle) ---
-      
-      addGroup(msg.chat);
-      const groupRec = data.groups[chatId];
-      
-      let puzzleIndex = groupRec.nextPuzzleIndex;
-      
-      if (puzzleIndex >= totalPuzzles) {
-          puzzleIndex = 0; // Wrap around to the first puzzle
-      }
-      
-      p = availablePuzzles[puzzleIndex];
-      
-      // Update the group's index for the *next* request
-      groupRec.nextPuzzleIndex = (puzzleIndex + 1) % totalPuzzles;
-      userRec.lastPuzzleId = p.id; 
-      saveData(); // Save the updated index
-  }
-  
-  if (!p) {
-      // This should never be reached if logic above is correct
-      return bot.sendMessage(msg.chat.id, 'Error in puzzle selection logic. Please try again or contact an admin.');
-  }
+    if (session.msgId && session.postedOptionsMap) {
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: session.chatId, message_id: session.msgId }).catch(() => {});
+    }
 
-  // Common Post Logic:
-  
-  // Check if user has already answered this puzzle and notify them 
-  let captionSuffix = '';
-  // *** FIX 1: HIDE PREVIOUS ANSWER IN CAPTION ***
-  if (userRec.answers[p.id]) {
-    captionSuffix = `\n\n⚠️ You previously attempted this puzzle.`;
-  }
-  // *** END FIX 1 ***
-  
-  // Add puzzle number and creator credit to the caption
-  const creatorCredit = p.createdByUserName ? `\n(Puzzle by: ${p.createdByUserName})` : '';
-  const puzzleNumberText = `**Puzzle #${p.puzzleNumber}** / ${totalPuzzles}`; // Display X/Y
-  
-  // Dynamic shuffle for post
-  const shuffledOptions = p.options.sort(() => 0.5 - Math.random());
-  // PASS HINT TEXT HERE
-  const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(shuffledOptions, false, p.hint);
+    const puzzle = data.puzzles[session.puzzleId];
+    const userRec = data.users[session.uid];
+    if (!puzzle || !puzzle.solution || !userRec) return;
+
+    const totalMoves = Math.ceil(puzzle.solution.length / 2);
+    const credit = outcome === 'solved' ? 1 : session.solvedMoves / totalMoves;
+
+    let scoreText = '(Practice attempt)';
+    if (!session.isFirstAttempt) {
+        updateReview(userRec, puzzle.id, credit, false);
+        saveData();
+    } else {
+        const reserved = userRec.firstAttempts && userRec.firstAttempts[puzzle.id];
+        const { scoreChange, ratingChange } = applyFirstAttemptScore(userRec, puzzle, session.chatId, session.chatType, credit);
+        recordFirstAttempt(userRec, puzzle, reserved ? reserved.move : puzzle.solution[0], credit);
+        const streakMsg = credit >= 1 ? ` | Streak: ${userRec.currentStreak}` : ' | Streak broken!';
+        scoreText = `(${scoreChange > 0 ? '+' : ''}${scoreChange} points. Current Score: ${userRec.score}${streakMsg} | Rating: ${formatRating(userRec.rating)} (${ratingChange >= 0 ? '+' : ''}${ratingChange}))`;
+    }
+
+    let text;
+    if (outcome === 'solved') {
+        text = `🏁 ${session.userName} solved the full line of Puzzle #${puzzle.puzzleNumber}! ${scoreText}`;
+    } else if (outcome === 'expired') {
+        text = `⌛ ${session.userName} ran out of time on Puzzle #${puzzle.puzzleNumber} after ${session.solvedMoves} of ${totalMoves} moves. ${scoreText}`;
+    } else {
+        text = `${session.userName} found ${session.solvedMoves} of ${totalMoves} moves in Puzzle #${puzzle.puzzleNumber} — partial credit. ${scoreText}`;
+    }
+    await bot.sendMessage(session.chatId, text).catch(e => console.error('line result message failed', e.message));
+}
+// Checks the solver's move for the current step (button or typed); `reply` gives private feedback (may be null)
+async function playLineMove(session, chosenMoveText, reply) {
+    const puzzle = data.puzzles[session.puzzleId];
+    const expectedMove = puzzle && puzzle.solution ? puzzle.solution[session.ply] : null;
+    if (session.postedOptionsMap) {
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: session.chatId, message_id: session.msgId }).catch(() => {});
+    }
+    session.msgId = null; // this step is spent; ignore double clicks while the next one is posted
+
+    if (!expectedMove || chosenMoveText !== expectedMove) {
+        if (reply) await reply(expectedMove ? `❌ Wrong. The line continues with ${expectedMove}.` : 'Puzzle no longer exists.');
+        return finishLine(session, 'failed');
+    }
+
+    session.solvedMoves++;
+    session.ply++;
+    if (session.ply >= puzzle.solution.length) {
+        if (reply) await reply('✅ Correct! Line complete!');
+        return finishLine(session, 'solved');
+    }
+    if (reply) await reply('✅ Correct! Keep going.');
+    return advanceLine(session);
+}
+// End Line Helper functions
+
+// Parses the option/metadata parts of a POST|... or POSTFEN|... caption (everything after the title/FEN)
+function parsePuzzleParts(optionAndMetaParts) {
+    // Filter out metadata parts (answer=, expires=, hint=, line=, mode=, reveal=, explain=, tags=)
+    const metaKeys = ['answer=', 'expires=', 'hint=', 'line=', 'mode=', 'reveal=', 'explain=', 'tags='];
+    const metaFilter = p => !metaKeys.some(k => p.startsWith(k));
+    const optionsParts = optionAndMetaParts.filter(metaFilter);
+
+    // Parse options: store as { key: 'A', text: 'Qd3' }
+    const optionsWithKeys = optionsParts.map((op, idx) => {
+      // detect key like 'A) text'
+      const m = op.match(/^([A-Za-z0-9])\)\s*(.*)$/);
+      if (m) return { key: m[1].toUpperCase(), text: m[2].trim() };
+      return { key: String.fromCharCode(65+idx), text: op };
+    });
+
+    const answerPart = optionAndMetaParts.find(p => p.startsWith('answer=')) || '';
+    const answerValue = (answerPart.split('=')[1] || '').trim() || null; // raw value: a key ('A') or, for FEN puzzles, a move
+    const answerKey = answerValue ? answerValue.toUpperCase() : null;
+
+    const hintPart = optionAndMetaParts.find(p => p.startsWith('hint=')) || '';
+    const hintText = (hintPart.split('=')[1] || '').trim() || null;
+
+    // FEN puzzles only: the full solution line (e.g. line=Rxf6 gxf6 Qg4+ Kh8 Qg7#)
+    const linePart = optionAndMetaParts.find(p => p.startsWith('line=')) || '';
+    const lineText = (linePart.split('=')[1] || '').trim() || null;
+
+    // FEN puzzles only: mode=open lets solvers type their move instead of picking a button
+    const modePart = optionAndMetaParts.find(p => p.startsWith('mode=')) || '';
+    const modeText = (modePart.split('=')[1] || '').trim().toLowerCase() || null;
+
+    // reveal=30m: close posts in groups after this long and post the answer; explain= is shown with it
+    const revealPart = optionAndMetaParts.find(p => p.startsWith('reveal=')) || '';
+    const revealText = (revealPart.split('=')[1] || '').trim() || null;
+    const explainPart = optionAndMetaParts.find(p => p.startsWith('explain=')) || '';
+    const explainText = explainPart.slice('explain='.length).trim() || null;
+
+    // tags=fork,pin: themes for /puzzle <theme> and per-theme stats
+    const tagsPart = optionAndMetaParts.find(p => p.startsWith('tags=')) || '';
+    const tagsText = (tagsPart.split('=')[1] || '').trim() || null;
+
+    return { optionsWithKeys, answerKey, answerValue, hintText, lineText, modeText, revealText, explainText, tagsText };
+}
+
+// --- PUZZLE THEMES (TAGS) ---
+// Tags are stored lowercase and hyphenated ("mate-in-2"); Lichess theme names (mateIn2, backRankMate) map to the same form.
+function normalizeTag(raw) {
+    return String(raw).trim()
+        .replace(/([a-z])([A-Z0-9])/g, '$1-$2') // camelCase and mateIn2 -> mate-In-2
+        .toLowerCase()
+        .replace(/[\s_]+/g, '-')
+        .replace(/[^a-z0-9-]/g, '')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+// "fork, mate in 2" / ["fork", "mateIn2"] -> ['fork', 'mate-in-2']
+function parseTags(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(',');
+    return [...new Set(list.map(normalizeTag).filter(Boolean))].slice(0, MAX_PUZZLE_TAGS);
+}
+
+// A query matches a whole tag or a run of its words: "mate" finds mate-in-2 and back-rank-mate
+function puzzleHasTheme(puzzle, theme) {
+    return (puzzle.tags || []).some(tag => `-${tag}-`.includes(`-${theme}-`));
+}
+
+function themeCounts() {
+    const counts = {};
+    for (const p of Object.values(data.puzzles)) for (const tag of p.tags || []) counts[tag] = (counts[tag] || 0) + 1;
+    return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+// Per-theme accuracy from the user's scored first attempts (puzzles removed since are skipped)
+function themeAccuracy(userRec) {
+    const stats = {};
+    for (const pid of Object.keys(userRec.answers || {})) {
+        const puzzle = data.puzzles[pid];
+        if (!puzzle || !puzzle.tags || puzzle.tags.length === 0) continue;
+        const attempt = firstAttemptOf(userRec, puzzle); // not answers[pid]: a later practice solve overwrites that
+        if (!attempt || attempt.credit === null) continue;
+        const correct = attempt.credit >= 1;
+        for (const tag of puzzle.tags) {
+            if (!stats[tag]) stats[tag] = { tag, attempts: 0, correct: 0 };
+            stats[tag].attempts++;
+            if (correct) stats[tag].correct++;
+        }
+    }
+    return Object.values(stats).sort((a, b) => b.attempts - a.attempts || a.tag.localeCompare(b.tag));
+}
+// --- END PUZZLE THEMES ---
+
+// "45" / "45m" -> minutes, also "2h" and "1d". Returns null when unreadable.
+function parseDurationMinutes(text) {
+    const m = /^(\d+)\s*(m|min|h|d)?$/i.exec(String(text).trim());
+    if (!m) return null;
+    const factor = { m: 1, min: 1, h: 60, d: 1440 }[(m[2] || 'm').toLowerCase()];
+    const minutes = Number(m[1]) * factor;
+    return minutes > 0 ? minutes : null;
+}
+
+// Admin: receive photo + caption POST|...
+bot.on('photo', async (msg) => {
+  try{
+    // allow only private chat from admins to create puzzles
+    if (msg.chat.type !== 'private') return; // only accept from private
+    const from = msg.from;
+    const caption = msg.caption || '';
+    // Members without the author role may submit POST|... puzzles for review; their other photos are ignored
+    const isAuthor = can(from.id, 'createPuzzles');
+    if (!isAuthor && !caption.startsWith('POST|')) return;
+    if (isAuthor && await handlePhotoReplacement(msg)) return;
+    if (!caption.startsWith('POST|')){
+      // send instructions for posting (using template literal/backticks)
+      await bot.sendMessage(msg.chat.id, ADMIN_POSTING_INSTRUCTIONS);
+      return;
+    }
+
+    // parse caption
+    const parts = caption.split('|').map(s=>s.trim());
+    
+    if (parts.length < 3) return bot.sendMessage(msg.chat.id, 'Invalid format - expected at least title and options.');
+    const title = parts[1];
+    const { optionsWithKeys, answerKey, hintText, revealText, explainText, tagsText } = parsePuzzleParts(parts.slice(2));
+    const revealAfterMinutes = revealText ? parseDurationMinutes(revealText) : null;
+    if (revealText && !revealAfterMinutes) return bot.sendMessage(msg.chat.id, 'Invalid reveal= - use minutes like reveal=30m, reveal=2h or reveal=1d.');
+    
+    // REMOVED: Parsing the expiresPart
+    
+    // choose largest photo size
+    const photo = msg.photo[msg.photo.length -1];
+    if (!photo) return bot.sendMessage(msg.chat.id, 'Could not find photo data.');
+
+    // --- NEW STRUCTURE MAPPING ---
+    const rawOptions = optionsWithKeys.map(opt => ({ 
+        text: opt.text, 
+        isAnswer: opt.key === answerKey 
+    }));
+    
+    const puzzleId = uuidv4();
+    const now = Date.now();
+    
+    // REMOVED: Calculating expiresAt
+    
+    // Capture the admin's display name for credit
+    const adminName = userDisplayName(from);
+
+    const newPuzzle = {
+      id: puzzleId,
+      title,
+      puzzleNumber: null, // permanent public number, assigned by addPuzzle
+      photoFileId: photo.file_id,
+      options: rawOptions, // Store options without the old 'key' letter, but with the isAnswer flag
+      hint: hintText, // NEW HINT FIELD
+      revealAfterMinutes, // null = posts stay open
+      explanation: explainText,
+      tags: parseTags(tagsText),
+      createdBy: from.id,
+      createdByUserName: adminName, 
+      createdAt: now,
+      // REMOVED: expiresAt field
+      rating: newRating(), // Glicko-2, moves with every first attempt
+      difficulty: puzzleDifficulty(null),
+      postedIn: []
+    };
+    if (!isAuthor) return submitPuzzle(msg, newPuzzle);
+    const { puzzleNumber } = addPuzzle(newPuzzle);
+    saveData();
+
+    const hintPreview = hintText ? `\nHint: "${hintText}"` : '';
+    const revealPreview = revealPreviewText(data.puzzles[puzzleId]);
+    const tagsPreview = newPuzzle.tags.length ? `\nTags: ${newPuzzle.tags.join(', ')}` : '';
+    const preview = `✅ Puzzle created: ${title} (Puzzle #${puzzleNumber}, Credit: ${adminName})\nID: ${puzzleId}\nOptions: ${rawOptions.map(o=>o.text).join(' / ')}\nAnswer Key: ${answerKey || 'not set'}${hintPreview}${revealPreview}${tagsPreview}\n\nOptions will be SHUFFLED when posted. **(Expiry Disabled)**`;
+    await bot.sendMessage(msg.chat.id, preview);
+    // offer quick actions
+    await bot.sendMessage(msg.chat.id, 'Admin actions:\n/postpreview '+puzzleId+' - preview\n/broadcast '+puzzleId+' - send to registered groups\n/postto <chatId> '+puzzleId+' - send to specific chat');
+  }catch(e){
+    console.error('photo handler err', e);
+  }
+});
+
+// Validates a FEN puzzle spec and builds the puzzle record (not yet stored). Shared by POSTFEN|... and bulk imports.
+// spec: { title, fen, optionsWithKeys, answerKey, answerValue, hintText, lineText, modeText, revealText, explainText, tagsText }
+// Returns { puzzle, answerSan } or { errors: [...] }.
+function buildFenPuzzle(spec, from) {
+    let chess;
+    try {
+      chess = new Chess(spec.fen);
+    } catch (e) {
+      return { errors: [e.message] };
+    }
+    const fen = chess.fen();
+    if (chess.isGameOver()) return { errors: ['The game is already over in this position - there is no move to find.'] };
+
+    const { optionsWithKeys = [], answerKey = null, answerValue = null, hintText = null, lineText = null, modeText = null, revealText = null, explainText = null, tagsText = null } = spec;
+    if (modeText && modeText !== 'open' && modeText !== 'options') return { errors: ['mode= must be "open" (typed answers) or "options" (buttons).'] };
+    const revealAfterMinutes = revealText ? parseDurationMinutes(revealText) : null;
+    if (revealText && !revealAfterMinutes) return { errors: ['reveal= must be a duration like 30m, 2h or 1d.'] };
+    if (!answerValue && !lineText) return { errors: ['Missing answer= (an option key like A, or the move itself like Rxf6) or line=...'] };
+
+    const errors = [];
+
+    // Optional solution line: solver and opponent moves alternate, starting and ending with the solver's move
+    let solution = null;
+    if (lineText) {
+      const lineChess = new Chess(fen);
+      solution = [];
+      for (const san of lineText.split(/\s+/).filter(t => !/^\d+\.+$/.test(t))) { // move numbers like "1." are allowed
+        const result = parseSanMove(lineChess, san);
+        if (result.error) { errors.push(`line move ${solution.length + 1}: ${result.error}`); break; }
+        lineChess.move(result.move.san);
+        solution.push(result.move.san);
+      }
+      if (errors.length === 0 && solution.length % 2 === 0) errors.push('line: must end with the solver\'s move (odd number of moves)');
+    }
+
+    // Every option must be a legal, unambiguous move; store the canonical SAN so answers compare reliably
+    const options = [];
+    for (const opt of optionsWithKeys) {
+      const result = parseSanMove(chess, opt.text);
+      if (result.error) { errors.push(`${opt.key}) ${result.error}`); continue; }
+      if (options.some(o => o.text === result.move.san)) { errors.push(`${opt.key}) ${result.move.san} is listed twice`); continue; }
+      options.push({ key: opt.key, text: result.move.san });
+    }
+
+    // The answer is either one of the option keys or a move
+    let answerSan = (options.find(o => o.key === answerKey) || {}).text || null;
+    if (answerValue && !answerSan && !optionsWithKeys.some(o => o.key === answerKey)) {
+      const result = parseSanMove(chess, answerValue);
+      if (result.error) errors.push(`answer: ${result.error}`);
+      else answerSan = result.move.san;
+    }
+    // With a line, the answer is its first move
+    if (solution && solution.length > 0) {
+      if (answerSan && answerSan !== solution[0]) errors.push(`answer: ${answerSan} does not match the first move of the line (${solution[0]})`);
+      answerSan = solution[0];
+    }
+    if (errors.length > 0) return { errors };
+
+    if (!options.some(o => o.text === answerSan)) options.push({ text: answerSan });
+    // No wrong options given (or only the answer): let the position supply some
+    if (options.length < 2) {
+      for (const san of pickDistractors(chess, answerSan, 3)) options.push({ text: san });
+    }
+    if (options.length < 2) return { errors: ['The answer is the only legal move here - that is not much of a puzzle.'] };
+
+    const puzzleId = uuidv4();
+    const puzzle = {
+      id: puzzleId,
+      title: spec.title,
+      puzzleNumber: null, // permanent public number, assigned by addPuzzle when stored
+      fen,
+      photoFileId: null, // filled in with the rendered board's file_id on first send
+      options: options.map(o => ({ text: o.text, isAnswer: o.text === answerSan })),
+      solution: solution && solution.length > 1 ? solution : null, // full line, solved move by move
+      answerMode: modeText === 'open' ? 'open' : 'options', // 'open': solvers reply with a typed move (options stay for battles)
+      hint: hintText,
+      revealAfterMinutes,
+      explanation: explainText,
+      tags: parseTags(tagsText),
+      createdBy: from.id,
+      createdByUserName: userDisplayName(from),
+      createdAt: Date.now(),
+      rating: newRating(),
+      difficulty: puzzleDifficulty(null),
+      postedIn: []
+    };
+    return { puzzle, answerSan };
+}
+
+// Admin: create a puzzle from a FEN position (text message POSTFEN|...) - the board is rendered, no photo needed
+bot.onText(/^POSTFEN\|/, async (msg) => {
+  try{
+    if (msg.chat.type !== 'private') return;
+    const from = msg.from;
+    const isAuthor = can(from.id, 'createPuzzles'); // everyone else submits for review
+
+    const parts = msg.text.split('|').map(s=>s.trim());
+    if (parts.length < 4) return bot.sendMessage(msg.chat.id, 'Invalid format - expected POSTFEN|title|<fen>|...|answer=...');
+    const title = parts[1];
+
+    const { puzzle, answerSan, errors } = buildFenPuzzle({ title, fen: parts[2], ...parsePuzzleParts(parts.slice(3)) }, from);
+    if (errors) {
+      return bot.sendMessage(msg.chat.id, errors.length === 1 ? `❌ ${errors[0]}` : `❌ Puzzle rejected:\n${errors.join('\n')}`);
+    }
+    if (!isAuthor) return submitPuzzle(msg, puzzle);
+    addPuzzle(puzzle);
+    saveData();
+    const puzzleId = puzzle.id;
+    const puzzleNumber = puzzle.puzzleNumber;
+    const adminName = puzzle.createdByUserName;
+    const hintText = puzzle.hint;
+    const rawOptions = puzzle.options;
+    const chess = new Chess(puzzle.fen);
+
+    const p = data.puzzles[puzzleId];
+    const hintPreview = hintText ? `\nHint: "${hintText}"` : '';
+    const linePreview = p.solution ? `\nLine: ${p.solution.join(' ')} (${Math.ceil(p.solution.length / 2)} moves to find)` : '';
+    const revealPreview = revealPreviewText(p) + (p.tags.length ? `\nTags: ${p.tags.join(', ')}` : '');
+    const modePreview = p.answerMode === 'open' ? 'OPEN ANSWER: solvers type their move (options are only used in battles).' : 'Options will be SHUFFLED when posted.';
+    const preview = `✅ FEN puzzle created: ${title} (Puzzle #${puzzleNumber}, Credit: ${adminName})\nID: ${puzzleId}\nOptions: ${rawOptions.map(o=>o.text).join(' / ')}\nAnswer: ${answerSan}${linePreview}${hintPreview}${revealPreview}\n\n${modePreview}`;
+    await sendPuzzlePhoto(msg.chat.id, p, { caption: `${title}\n${chess.turn() === 'w' ? 'White' : 'Black'} to move` });
+    await bot.sendMessage(msg.chat.id, preview);
+    await bot.sendMessage(msg.chat.id, 'Admin actions:\n/postpreview '+puzzleId+' - preview\n/broadcast '+puzzleId+' - send to registered groups\n/postto <chatId> '+puzzleId+' - send to specific chat');
+  }catch(e){
+    console.error('POSTFEN handler err', e);
+  }
+});
+
+// --- COMMUNITY SUBMISSIONS ---
+// Members without the author role send POST|... / POSTFEN|... exactly like authors. The puzzle waits in
+// data.submissions until a reviewer (reviewSubmissions permission) approves, edits or rejects it via /review.
+
+function pendingSubmissions() {
+    return Object.values(data.submissions)
+        .filter(sub => sub.status === 'pending')
+        .sort((a, b) => a.submittedAt - b.submittedAt);
+}
+
+function reviewerIds() {
+    const ids = new Set(ADMIN_IDS.map(String));
+    for (const [uid, rec] of Object.entries(data.roles)) {
+        if (ROLE_PERMISSIONS[rec.role].includes('reviewSubmissions')) ids.add(uid);
+    }
+    return [...ids];
+}
+
+async function submitPuzzle(msg, puzzle) {
+    registerUser(msg.from);
+    const uid = String(msg.from.id);
+    if (!puzzleAnswerText(puzzle)) {
+        return bot.sendMessage(msg.chat.id, '❌ Please mark the correct option with answer= (e.g. answer=B) so reviewers can check it.');
+    }
+    const waiting = pendingSubmissions().filter(sub => sub.submittedBy === uid).length;
+    if (waiting >= SUBMISSION_MAX_PENDING) {
+        return bot.sendMessage(msg.chat.id, `You already have ${waiting} puzzles waiting for review - please wait for a decision on those first.`);
+    }
+
+    const { id } = addSubmission(puzzle, { id: uid, name: userDisplayName(msg.from) });
+    saveData();
+
+    await bot.sendMessage(msg.chat.id, `📬 Thanks! "${puzzle.title}" was submitted for review (ref ${id}). You'll get a message when a reviewer decides - /mypuzzles shows your submissions.`);
+    const queued = pendingSubmissions().length;
+    for (const reviewer of reviewerIds()) {
+        // Reviewers who never opened a chat with the bot can't be messaged; /review still shows the queue
+        bot.sendMessage(reviewer, `📬 New puzzle submission from ${data.submissions[id].submittedByName}: "${puzzle.title}". ${queued} waiting - /review`).catch(() => {});
+    }
+}
+
+// Puts a puzzle in the review queue. origin: 'member' (POST/POSTFEN) or 'engine' (/findpuzzles drafts). Caller saves.
+function addSubmission(puzzle, submitter, origin = 'member') {
+    const id = uuidv4().slice(0, 8); // short: it travels in callback data and commands
+    data.submissions[id] = {
+        id,
+        status: 'pending', // 'pending' | 'approved' | 'rejected'
+        origin,
+        title: puzzle.title,
+        puzzle, // the complete puzzle record, numbered and stored on approval
+        submittedBy: String(submitter.id),
+        submittedByName: submitter.name,
+        submittedAt: Date.now(),
+        reviewedBy: null,
+        reviewedAt: null,
+        puzzleId: null
+    };
+    return data.submissions[id];
+}
+
+function submissionCaption(sub) {
+    const p = sub.puzzle;
+    const queue = pendingSubmissions();
+    const position = queue.findIndex(q => q.id === sub.id);
+    const lines = [
+        `📬 Submission ${sub.id}${position >= 0 ? ` (${position + 1} of ${queue.length} waiting)` : ''}`,
+        `${sub.origin === 'engine' ? '⛏️ Engine draft for' : 'By'} ${sub.submittedByName}, ${formatDuration(Date.now() - sub.submittedAt)} ago`,
+        `Title: ${p.title}`,
+        `Options: ${p.options.map(o => o.text).join(' / ')}`,
+        `Answer: ${puzzleAnswerText(p)}`
+    ];
+    if (p.solution) lines.push(`Line: ${p.solution.join(' ')}`);
+    if (p.hint) lines.push(`Hint: ${p.hint}`);
+    if (p.tags && p.tags.length) lines.push(`Tags: ${p.tags.join(', ')}`);
+    if (p.explanation) lines.push(`Explanation: ${p.explanation}`);
+    if (p.revealAfterMinutes) lines.push(`Reveal after: ${formatDuration(p.revealAfterMinutes * 60 * 1000)}`);
+    if (p.answerMode === 'open') lines.push('Mode: open answer');
+    return lines.join('\n');
+}
+
+async function showSubmission(chatId, sub) {
+    const reply_markup = { inline_keyboard: [
+        [{ text: '✅ Approve', callback_data: `SUB|approve|${sub.id}` }, { text: '❌ Reject', callback_data: `SUB|reject|${sub.id}` }],
+        [{ text: '✏️ Edit', callback_data: `SUB|edit|${sub.id}` }, { text: '⏭️ Next', callback_data: `SUB|next|${sub.id}` }]
+    ] };
+    return sendPuzzlePhoto(chatId, sub.puzzle, { caption: submissionCaption(sub), reply_markup });
+}
+
+// First attempts scored so far on a puzzle: { attempts, solved } (lines still being played are not counted yet)
+function puzzleAttemptCounts(puzzle) {
+    const answer = puzzleAnswerText(puzzle);
+    let attempts = 0, solved = 0;
+    for (const userRec of Object.values(data.users)) {
+        const attempt = firstAttemptOf(userRec, puzzle, answer);
+        if (!attempt || attempt.credit === null) continue;
+        attempts++;
+        if (attempt.credit >= 1) solved++;
+    }
+    return { attempts, solved };
+}
+
+// How a puzzle has done so far: its scored first attempts and its Glicko-2 rating
+function puzzlePerformance(puzzle) {
+    const { attempts, solved } = puzzleAttemptCounts(puzzle);
+    const rate = attempts ? ` (${Math.round(solved / attempts * 100)}% solved)` : '';
+    return `${attempts} attempts${rate}, rated ${formatRating(puzzle.rating)} ${puzzleDifficulty(puzzle.rating)}`;
+}
+
+// Once a member's approved puzzle has AUTHOR_REPORT_ATTEMPTS first attempts, its author is told how it did
+function reportPuzzlePerformance(puzzle) {
+    if (!puzzle.reviewedBy || puzzle.performanceReported || !puzzle.createdBy) return;
+    if (puzzleAttemptCounts(puzzle).attempts < AUTHOR_REPORT_ATTEMPTS) return;
+    puzzle.performanceReported = true;
+    saveData();
+    bot.sendMessage(puzzle.createdBy, `📊 Your Puzzle #${puzzle.puzzleNumber} "${puzzle.title}" so far: ${puzzlePerformance(puzzle)}. /mypuzzles keeps the numbers up to date.`)
+        .catch(e => console.warn('puzzle performance notice failed', puzzle.createdBy, e.message));
+}
+
+// Approves (stores the puzzle under the submitter's name) or rejects a pending submission and tells its author
+async function decideSubmission(sub, approve, reviewer) {
+    sub.status = approve ? 'approved' : 'rejected';
+    sub.reviewedBy = userDisplayName(reviewer);
+    sub.reviewedAt = Date.now();
+    let authorText;
+    if (approve) {
+        const puzzle = sub.puzzle;
+        puzzle.createdBy = Number(sub.submittedBy);
+        puzzle.createdByUserName = sub.submittedByName; // credit stays with the member who found it
+        puzzle.reviewedBy = sub.reviewedBy;
+        puzzle.createdAt = Date.now();
+        addPuzzle(puzzle);
+        sub.puzzleId = puzzle.id;
+        authorText = `✅ Your puzzle "${sub.title}" was approved by ${sub.reviewedBy} and is now Puzzle #${puzzle.puzzleNumber}. /mypuzzles shows how solvers do on it, and I'll send you its numbers after its first ${AUTHOR_REPORT_ATTEMPTS} attempts.`;
+    } else {
+        authorText = `❌ Your puzzle "${sub.title}" was not accepted by ${sub.reviewedBy}. Thanks for sending it - feel free to submit others.`;
+    }
+    delete sub.puzzle; // approved: lives in data.puzzles now; rejected: not kept
+    saveData();
+    if (String(reviewer.id) === sub.submittedBy) return; // e.g. an admin reviewing their own /findpuzzles drafts
+    bot.sendMessage(sub.submittedBy, authorText).catch(e => console.warn('submission notice failed', sub.submittedBy, e.message));
+}
+
+// Reviewer: step through the queue
+bot.onText(/^\/review$/, async (msg) => {
+    if (!requirePermission(msg, 'reviewSubmissions')) return;
+    const queue = pendingSubmissions();
+    if (queue.length === 0) return bot.sendMessage(msg.chat.id, '📭 No puzzle submissions are waiting for review.');
+    showSubmission(msg.chat.id, queue[0]);
+});
+
+// Reviewer: /editsubmission <ref> field=value|field=value (same fields as /editpuzzle)
+bot.onText(/^\/editsubmission(?:\s+(\S+))?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+    if (!requirePermission(msg, 'reviewSubmissions')) return;
+    if (!match[1] || !match[2]) return bot.sendMessage(msg.chat.id, `Usage: /editsubmission <ref> field=value|field=value\nFields: ${EDITABLE_FIELDS.join(', ')}`);
+    const sub = data.submissions[match[1]];
+    if (!sub || sub.status !== 'pending') return bot.sendMessage(msg.chat.id, `❌ No pending submission ${match[1]}.`);
+
+    const { error, changes } = applyPuzzleEdits(sub.puzzle, match[2], msg.from);
+    if (error) return bot.sendMessage(msg.chat.id, `❌ ${error} Nothing was changed.`);
+    if (changes.length === 0) return bot.sendMessage(msg.chat.id, 'Those values are already set - nothing changed.');
+    sub.title = sub.puzzle.title;
+    saveData();
+    await bot.sendMessage(msg.chat.id, `✏️ Submission ${sub.id} updated:\n${changes.join('\n')}`);
+    showSubmission(msg.chat.id, sub);
+});
+
+// Members: their submissions and how their published puzzles perform
+bot.onText(/^\/mypuzzles(@\S+)?$/, (msg) => {
+    const uid = String(msg.from.id);
+    const published = Object.values(data.puzzles)
+        .filter(p => String(p.createdBy) === uid)
+        .sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+    const waiting = pendingSubmissions().filter(sub => sub.submittedBy === uid);
+    const rejected = Object.values(data.submissions).filter(sub => sub.submittedBy === uid && sub.status === 'rejected');
+    if (published.length === 0 && waiting.length === 0 && rejected.length === 0) {
+        return bot.sendMessage(msg.chat.id, 'You have no puzzles yet. Send me a photo with a POST|... caption (or a POSTFEN|... text) to submit one - /start in private shows the format.');
+    }
+    const lines = [];
+    if (published.length) lines.push('🧩 Published:', ...published.map(p => `#${p.puzzleNumber} ${p.title} - ${puzzlePerformance(p)}`));
+    if (waiting.length) lines.push('', '⏳ Waiting for review:', ...waiting.map(sub => `${sub.title} (ref ${sub.id})`));
+    if (rejected.length) lines.push('', `❌ Not accepted: ${rejected.length}`);
+    bot.sendMessage(msg.chat.id, lines.join('\n').trim());
+});
+// --- END COMMUNITY SUBMISSIONS ---
+
+// --- BULK IMPORT / EXPORT ---
+// Each parser turns a file into entries: { where, spec } (a buildFenPuzzle spec), { where, photo } (JSON only)
+// or { where, error }. `extra` fields are copied onto the created puzzle.
+
+function optionSpecs(moves) {
+    return moves.map((text, idx) => ({ key: String.fromCharCode(65 + idx), text }));
+}
+
+function unquote(text) {
+    return text.replace(/\\(["\\])/g, '$1');
+}
+
+function detectPuzzleFileFormat(fileName, text) {
+    const ext = path.extname(fileName || '').slice(1).toLowerCase();
+    if (PUZZLE_FILE_FORMATS.includes(ext)) return ext;
+    const head = text.trimStart();
+    if (/^\[\w+\s+"/.test(head)) return 'pgn';
+    if (head.startsWith('[') || head.startsWith('{')) return 'json';
+    if (head.startsWith('PuzzleId,') || /^[^,\s]+,[^,]*\/[^,]*,/.test(head)) return 'csv';
+    return 'epd';
+}
+
+// PGN: one puzzle per game. [FEN] is the position, the mainline is the solution (one move = answer, more = line).
+// Our own export adds [Options], [Hint], [Explanation], [Mode] and [Reveal] headers, which are read back.
+function splitPgnGames(text) {
+    const games = [];
+    let game = null;
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        const header = line.match(/^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/);
+        if (header) {
+            if (!game || game.movetext.trim()) games.push(game = { line: i + 1, headers: {}, movetext: '' });
+            game.headers[header[1]] = unquote(header[2]);
+        } else if (line && !line.startsWith('%')) {
+            if (!game) games.push(game = { line: i + 1, headers: {}, movetext: '' });
+            game.movetext += ' ' + line;
+        }
+    });
+    return games;
+}
+
+// Mainline SAN moves: comments, variations, NAGs, move numbers and the result are dropped
+function pgnMainline(movetext) {
+    let text = movetext.replace(/\{[^}]*\}/g, ' ').replace(/;[^\n]*/g, ' ').replace(/\$\d+/g, ' ');
+    while (/\([^()]*\)/.test(text)) text = text.replace(/\([^()]*\)/g, ' '); // nested variations, innermost first
+    return text.split(/\s+/)
+        .map(t => t.replace(/^\d+\.+/, '').replace(/[!?]+$/, ''))
+        .filter(t => t && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(t));
+}
+
+function pgnImportEntries(text) {
+    return splitPgnGames(text).map(game => {
+        const where = `game at line ${game.line}`;
+        const h = game.headers;
+        if (!h.FEN) return { where, error: 'no [FEN "..."] header - only positions can be imported (send whole games with /findpuzzles as the caption to search them for puzzles)' };
+        const moves = pgnMainline(game.movetext);
+        if (moves.length === 0) return { where, error: 'no solution moves after the headers' };
+        return { where, spec: {
+            title: h.Event && h.Event !== '?' ? h.Event : 'Imported puzzle',
+            fen: h.FEN,
+            optionsWithKeys: optionSpecs((h.Options || '').split(/\s+/).filter(Boolean)),
+            answerValue: moves.length === 1 ? moves[0] : null,
+            lineText: moves.length > 1 ? moves.join(' ') : null,
+            hintText: h.Hint || null,
+            explainText: h.Explanation || null,
+            modeText: h.Mode || null,
+            revealText: h.Reveal || null,
+            tagsText: h.Tags || null
+        } };
+    });
+}
+
+// EPD: "<board> <turn> <castling> <ep> opcode operands; ..." - bm is the answer, pv a full line,
+// am moves become the wrong options, id the title, c0 the hint and c1 the explanation
+function parseEpdOpcodes(text) {
+    const ops = {};
+    const re = /([A-Za-z]\w*)((?:\s+(?:"(?:[^"\\]|\\.)*"|[^;"\s]+))*)\s*;/g;
+    let m;
+    while ((m = re.exec(text))) {
+        ops[m[1]] = [...m[2].matchAll(/"((?:[^"\\]|\\.)*)"|([^;"\s]+)/g)].map(x => x[1] !== undefined ? unquote(x[1]) : x[2]);
+    }
+    return ops;
+}
+
+function epdImportEntries(text) {
+    const entries = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+        const where = `line ${i + 1}`;
+        const m = line.match(/^(\S+\s+\S+\s+\S+\s+\S+)\s*(.*)$/);
+        if (!m) return entries.push({ where, error: 'expected four FEN fields followed by opcodes' });
+        const ops = parseEpdOpcodes(m[2]);
+        const bm = ops.bm || [];
+        if (bm.length === 0 && !ops.pv) return entries.push({ where, error: 'no bm (best move) opcode' });
+        if (bm.length > 1) return entries.push({ where, error: `several best moves (bm ${bm.join(' ')}) - a puzzle needs exactly one answer` });
+        const answer = bm[0] || ops.pv[0];
+        entries.push({ where, spec: {
+            title: (ops.id && ops.id[0]) || `EPD ${where}`,
+            fen: `${m[1]} ${(ops.hmvc && ops.hmvc[0]) || 0} ${(ops.fmvn && ops.fmvn[0]) || 1}`,
+            optionsWithKeys: ops.am ? optionSpecs([answer, ...ops.am]) : [],
+            answerValue: answer,
+            lineText: ops.pv && ops.pv.length > 1 ? ops.pv.join(' ') : null,
+            hintText: (ops.c0 && ops.c0[0]) || null,
+            explainText: (ops.c1 && ops.c1[0]) || null
+        } });
+    });
+    return entries;
+}
+
+// Lichess puzzle CSV: FEN is the position BEFORE the opponent's move; Moves (UCI) start with that move,
+// followed by the solution. The original row is kept in puzzle.source so /exportpuzzles csv can write it back.
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else cell += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') { cells.push(cell); cell = ''; }
+        else cell += c;
+    }
+    cells.push(cell);
+    return cells;
+}
+
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function lichessCsvEntries(text) {
+    const entries = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('PuzzleId,')) return;
+        const where = `line ${i + 1}`;
+        const [puzzleId, fen, moves, rating, rd, popularity, nbPlays, themes, gameUrl, openingTags] = splitCsvLine(line);
+        if (!fen || !moves) return entries.push({ where, error: `expected ${LICHESS_CSV_HEADER}` });
+
+        let chess;
+        try {
+            chess = new Chess(fen);
+        } catch (e) {
+            return entries.push({ where, error: e.message });
+        }
+        const uci = moves.trim().split(/\s+/);
+        if (uci.length < 2) return entries.push({ where, error: 'Moves needs the opponent\'s move followed by the solution' });
+        let puzzleFen = null;
+        const solution = [];
+        for (const [n, move] of uci.entries()) {
+            const result = parseMoveInput(chess, move);
+            if (result.error) return entries.push({ where, error: `move ${n + 1}: ${result.error}` });
+            chess.move(result.move.san);
+            if (n === 0) puzzleFen = chess.fen();
+            else solution.push(result.move.san);
+        }
+
+        const extra = {
+            source: {
+                format: 'lichess', id: puzzleId, fen, moves: uci.join(' '),
+                popularity: popularity || '', nbPlays: nbPlays || '',
+                themes: (themes || '').split(/\s+/).filter(Boolean), gameUrl: gameUrl || '', openingTags: openingTags || ''
+            }
+        };
+        if (Number(rating) > 0) {
+            extra.rating = { rating: Number(rating), rd: Number(rd) || RATING_RD_DEFAULT, vol: RATING_VOL_DEFAULT };
+        }
+        extra.tags = parseTags(extra.source.themes);
+        entries.push({ where, extra, spec: {
+            title: `Lichess ${puzzleId}`,
+            fen: puzzleFen,
+            lineText: solution.join(' ')
+        } });
+    });
+    return entries;
+}
+
+// JSON: the /exportpuzzles json format (an array, or { puzzles: [...] }). Photo puzzles keep their Telegram file_id,
+// which only works with the same bot.
+function jsonImportEntries(text) {
+    let list;
+    try {
+        list = JSON.parse(text);
+    } catch (e) {
+        return [{ where: 'file', error: `not valid JSON (${e.message})` }];
+    }
+    if (!Array.isArray(list)) list = list && Array.isArray(list.puzzles) ? list.puzzles : null;
+    if (!list) return [{ where: 'file', error: 'expected an array of puzzles or { "puzzles": [...] }' }];
+
+    return list.map((p, i) => {
+        const where = `entry ${i + 1}`;
+        if (!p || typeof p !== 'object' || !p.title) return { where, error: 'missing title' };
+        const options = Array.isArray(p.options) ? p.options.filter(o => o && o.text) : [];
+        const answer = (options.find(o => o.isAnswer) || {}).text || null;
+        const extra = {};
+        if (p.rating && Number(p.rating.rating) > 0) extra.rating = { rating: Number(p.rating.rating), rd: Number(p.rating.rd) || RATING_RD_DEFAULT, vol: Number(p.rating.vol) || RATING_VOL_DEFAULT };
+        if (p.source) extra.source = p.source;
+
+        if (!p.fen) {
+            if (!p.photoFileId) return { where, error: 'needs a fen or a photoFileId' };
+            if (options.length < 2 || options.filter(o => o.isAnswer).length !== 1) return { where, error: 'a photo puzzle needs at least two options and exactly one answer' };
+            return { where, extra, photo: {
+                title: p.title,
+                photoFileId: p.photoFileId,
+                options: options.map(o => ({ text: String(o.text), isAnswer: !!o.isAnswer })),
+                hint: p.hint || null,
+                revealAfterMinutes: Number(p.revealAfterMinutes) || null,
+                explanation: p.explanation || null,
+                tags: parseTags(p.tags)
+            } };
+        }
+        return { where, extra, spec: {
+            title: p.title,
+            fen: p.fen,
+            optionsWithKeys: optionSpecs(options.map(o => String(o.text))),
+            answerValue: answer,
+            lineText: Array.isArray(p.solution) && p.solution.length > 1 ? p.solution.join(' ') : null,
+            hintText: p.hint || null,
+            explainText: p.explanation || null,
+            modeText: p.answerMode || null,
+            revealText: p.revealAfterMinutes ? `${p.revealAfterMinutes}m` : null,
+            tagsText: Array.isArray(p.tags) ? p.tags.join(',') : null
+        } };
+    });
+}
+
+const PUZZLE_IMPORTERS = { pgn: pgnImportEntries, epd: epdImportEntries, csv: lichessCsvEntries, json: jsonImportEntries };
+
+// Same position (ignoring move counters) and answer, or the same photo
+function puzzleIdentityKey(puzzle) {
+    if (!puzzle.fen) return `photo:${puzzle.photoFileId}`;
+    const answer = (puzzle.options || []).find(o => o.isAnswer);
+    return `${puzzle.fen.split(' ').slice(0, 4).join(' ')}|${answer ? answer.text : ''}`;
+}
+
+// Validates and stores every entry of a puzzle file. Returns { created: [puzzle], failures: ['where: why'] }.
+function importPuzzles(format, text, from) {
+    const entries = PUZZLE_IMPORTERS[format](text);
+    const known = new Map(Object.values(data.puzzles).map(p => [puzzleIdentityKey(p), p.puzzleNumber]));
+    const created = [];
+    const failures = [];
+
+    for (const entry of entries.slice(0, IMPORT_MAX_ENTRIES)) {
+        if (entry.error) { failures.push(`${entry.where}: ${entry.error}`); continue; }
+
+        let puzzle;
+        if (entry.photo) {
+            puzzle = {
+                id: uuidv4(),
+                puzzleNumber: null,
+                ...entry.photo,
+                createdBy: from.id,
+                createdByUserName: userDisplayName(from),
+                createdAt: Date.now(),
+                rating: newRating(),
+                postedIn: []
+            };
+        } else {
+            const built = buildFenPuzzle(entry.spec, from);
+            if (built.errors) { failures.push(`${entry.where}: ${built.errors.join('; ')}`); continue; }
+            puzzle = built.puzzle;
+        }
+        Object.assign(puzzle, entry.extra || {});
+        puzzle.difficulty = puzzleDifficulty(puzzle.rating);
+
+        const key = puzzleIdentityKey(puzzle);
+        if (known.has(key)) { failures.push(`${entry.where}: already in the bot as Puzzle #${known.get(key)}`); continue; }
+        addPuzzle(puzzle); // numbered only once accepted, so rejected entries don't use up numbers
+        known.set(key, puzzle.puzzleNumber);
+        created.push(puzzle);
+    }
+    if (entries.length > IMPORT_MAX_ENTRIES) {
+        failures.push(`${entries.length - IMPORT_MAX_ENTRIES} entries after the first ${IMPORT_MAX_ENTRIES} were not read - send them in another file`);
+    }
+    if (created.length > 0) saveData();
+    return { created, failures };
+}
+
+// "1. Rxf6 gxf6 2. Qg4+" / "12... Qxe5" - move numbers continue from the FEN
+function pgnMovetext(fen, moves) {
+    const [, turn, , , , fullmove] = fen.split(' ');
+    let number = Number(fullmove) || 1;
+    let white = turn === 'w';
+    const tokens = [];
+    moves.forEach((san, i) => {
+        if (white) tokens.push(`${number}.`);
+        else if (i === 0) tokens.push(`${number}...`);
+        tokens.push(san);
+        if (!white) number++;
+        white = !white;
+    });
+    return tokens.join(' ');
+}
+
+function pgnQuote(value) {
+    return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+// One exported entry per puzzle; null = the puzzle can't be written in this format
+const PUZZLE_EXPORTERS = {
+    pgn(p) {
+        if (!p.fen) return null;
+        const moves = p.solution || [puzzleAnswerText(p)];
+        const headers = [['Event', p.title], ['Site', (p.source && p.source.gameUrl) || '?'], ['Result', '*'], ['SetUp', '1'], ['FEN', p.fen]];
+        if (p.options.length > 1) headers.push(['Options', p.options.map(o => o.text).join(' ')]);
+        if (p.hint) headers.push(['Hint', p.hint]);
+        if (p.explanation) headers.push(['Explanation', p.explanation]);
+        if (p.answerMode === 'open') headers.push(['Mode', 'open']);
+        if (p.revealAfterMinutes) headers.push(['Reveal', `${p.revealAfterMinutes}m`]);
+        if (p.tags && p.tags.length) headers.push(['Tags', p.tags.join(',')]);
+        return `${headers.map(([k, v]) => `[${k} ${pgnQuote(v)}]`).join('\n')}\n\n${pgnMovetext(p.fen, moves)} *`;
+    },
+    epd(p) {
+        if (!p.fen) return null;
+        const [board, turn, castling, ep, halfmove, fullmove] = p.fen.split(' ');
+        const ops = [`bm ${puzzleAnswerText(p)}`];
+        const wrong = p.options.filter(o => !o.isAnswer).map(o => o.text);
+        if (wrong.length) ops.push(`am ${wrong.join(' ')}`);
+        if (p.solution) ops.push(`pv ${p.solution.join(' ')}`);
+        ops.push(`id ${pgnQuote(p.title)}`);
+        if (p.hint) ops.push(`c0 ${pgnQuote(p.hint)}`);
+        if (p.explanation) ops.push(`c1 ${pgnQuote(p.explanation)}`);
+        ops.push(`hmvc ${halfmove}`, `fmvn ${fullmove}`);
+        return `${board} ${turn} ${castling} ${ep} ${ops.join('; ')};`;
+    },
+    csv(p) {
+        const src = p.source;
+        if (!src || src.format !== 'lichess') return null;
+        const rating = p.rating ? Math.round(p.rating.rating) : '';
+        const rd = p.rating ? Math.round(p.rating.rd) : '';
+        return [src.id, src.fen, src.moves, rating, rd, src.popularity, src.nbPlays, (src.themes || []).join(' '), src.gameUrl, src.openingTags].map(csvCell).join(',');
+    },
+    json(p) {
+        const { id, puzzleNumber, title, fen, photoFileId, options, solution, answerMode, hint, explanation, revealAfterMinutes, tags, rating, source, createdByUserName, createdAt } = p;
+        return { id, puzzleNumber, title, fen, photoFileId, options, solution, answerMode, hint, explanation, revealAfterMinutes, tags, rating, source, createdByUserName, createdAt };
+    }
+};
+
+const EXPORT_SKIP_REASONS = {
+    pgn: 'photo puzzles have no position',
+    epd: 'photo puzzles have no position',
+    csv: 'only puzzles imported from a Lichess CSV keep the opponent move that format starts with'
+};
+
+function exportPuzzles(format) {
+    const rows = [];
+    let skipped = 0;
+    for (const p of Object.values(data.puzzles).sort((a, b) => a.puzzleNumber - b.puzzleNumber)) {
+        const row = PUZZLE_EXPORTERS[format](p);
+        if (row === null) skipped++;
+        else rows.push(row);
+    }
+    let text;
+    if (format === 'json') text = JSON.stringify(rows, null, 2);
+    else if (format === 'csv') text = [LICHESS_CSV_HEADER, ...rows].join('\n');
+    else text = rows.join(format === 'pgn' ? '\n\n' : '\n');
+    return { text: text + '\n', count: rows.length, skipped };
+}
+
+// Reads a Telegram document into a string, giving up past maxBytes
+function downloadFileText(fileId, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const stream = bot.getFileStream(fileId);
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) { stream.destroy(); return reject(new Error('file is too large')); }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, '')));
+        stream.on('error', reject);
+    });
+}
+
+// Admin: a document sent in private chat is imported as a puzzle file
+bot.on('document', async (msg) => {
+  try{
+    if (msg.chat.type !== 'private' || !can(msg.from.id, 'createPuzzles')) return;
+    const doc = msg.document;
+    // Whole games to search for puzzles rather than positions to import
+    const mining = /^\/findpuzzles\b/.test(msg.caption || '');
+    if (mining && !requirePermission(msg, 'managePuzzles')) return;
+    if (doc.file_size > IMPORT_MAX_BYTES) {
+      return bot.sendMessage(msg.chat.id, `❌ ${doc.file_name || 'This file'} is too large to import (max ${IMPORT_MAX_BYTES / 1024 / 1024} MB) - split it into several files.`);
+    }
+
+    const text = await downloadFileText(doc.file_id, IMPORT_MAX_BYTES);
+    if (mining) return queueMining(msg, text);
+    const format = detectPuzzleFileFormat(doc.file_name, text);
+    const { created, failures } = importPuzzles(format, text, msg.from);
+
+    const numbers = created.length ? ` (Puzzle #${created[0].puzzleNumber}${created.length > 1 ? `-#${created[created.length - 1].puzzleNumber}` : ''})` : '';
+    let report = `📥 ${doc.file_name || 'File'} read as ${format.toUpperCase()}: ${created.length} puzzles created${numbers}, ${failures.length} skipped.`;
+    if (failures.length > 0 && failures.length <= IMPORT_REPORT_LINES) report += `\n\n${failures.join('\n')}`;
+    await bot.sendMessage(msg.chat.id, report);
+    if (failures.length > IMPORT_REPORT_LINES) {
+      await bot.sendDocument(msg.chat.id, Buffer.from(failures.join('\n') + '\n', 'utf8'),
+        { caption: `${failures.length} entries were skipped - see the report.` },
+        { filename: 'import-report.txt', contentType: 'text/plain' });
+    }
+    if (created.length > 0) await bot.sendMessage(msg.chat.id, 'Use /showpuzzles to see the new IDs, /postpreview <id> to check one.');
+  }catch(e){
+    console.error('document handler err', e);
+    bot.sendMessage(msg.chat.id, `❌ Import failed: ${e.message}`).catch(() => {});
+  }
+});
+
+// Admin: /exportpuzzles [pgn|epd|csv|json] - all puzzles as a file (JSON includes photo puzzles)
+bot.onText(/^\/exportpuzzles(?:\s+(\S+))?/, async (msg, match) => {
+  if (!requirePermission(msg, 'managePuzzles')) return;
+  const format = (match[1] || 'json').toLowerCase();
+  if (!PUZZLE_FILE_FORMATS.includes(format)) return bot.sendMessage(msg.chat.id, `Usage: /exportpuzzles ${PUZZLE_FILE_FORMATS.join('|')}`);
+
+  const { text, count, skipped } = exportPuzzles(format);
+  const skippedNote = skipped ? ` (${skipped} skipped: ${EXPORT_SKIP_REASONS[format]})` : '';
+  if (count === 0) return bot.sendMessage(msg.chat.id, `Nothing to export as ${format.toUpperCase()}${skippedNote}.`);
+  await bot.sendDocument(msg.chat.id, Buffer.from(text, 'utf8'),
+    { caption: `📤 ${count} puzzles${skippedNote}` },
+    { filename: `puzzles.${format}`, contentType: format === 'json' ? 'application/json' : 'text/plain' });
+});
+// --- END BULK IMPORT / EXPORT ---
+
+// Admin command: postpreview (UPDATED for HINT)
+bot.onText(/^\/postpreview\s+(\S+)/, async (msg, match) => {
+  const from = msg.from;
+  if (!requirePermission(msg, 'createPuzzles', { privateOnly: false })) return;
+  const puzzleId = match[1];
+  const p = data.puzzles[puzzleId];
+  if (!p) return bot.sendMessage(msg.chat.id, 'Puzzle not found');
+  
+  // Dynamic shuffle for preview
+  const shuffledOptions = postOptions(p);
+  // PASS HINT TEXT HERE
+  const { reply_markup } = makeOptionsKeyboard(shuffledOptions, false, p.hint);
+  
+  const puzzleNumberText = p.puzzleNumber ? `\n(Puzzle #${p.puzzleNumber})` : '';
+
+  await sendPuzzlePhoto(msg.chat.id, p, { caption: `Preview: ${p.title}${puzzleNumberText}\nID: ${p.id}\n(Options are shuffled for preview)${answerPrompt(p)}`, reply_markup: reply_markup });
+});
+
+// NEW ADMIN COMMAND: /showpuzzles <id> for debugging puzzle loading (No changes)
+bot.onText(/^\/showpuzzles$/, (msg) => {
+    const from = msg.from;
+    if (!requirePermission(msg, 'managePuzzles')) return;
+
+    const puzzleKeys = Object.keys(data.puzzles);
+    if (puzzleKeys.length === 0) {
+        return bot.sendMessage(msg.chat.id, 'No puzzles found in data.json.');
+    }
+    
+    // Sort by puzzleNumber
+    const sortedPuzzles = Object.values(data.puzzles).sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+
+    const puzzleList = sortedPuzzles.map(p => {
+        const id = p.id;
+        const answerText = p.options.find(opt => opt.isAnswer)?.text || 'N/A';
+        const hintStatus = p.hint ? ' (HINT)' : '';
+        const lineStatus = p.solution ? ` (LINE: ${Math.ceil(p.solution.length / 2)} moves)` : '';
+        const tagStatus = p.tags && p.tags.length ? ` [${p.tags.join(', ')}]` : '';
+        return `- #${p.puzzleNumber}: ID: ${id.substring(0, 8)}... - ${p.title}${tagStatus} | Answer: ${answerText}${hintStatus}${lineStatus} | ${puzzleDifficulty(p.rating)} ${formatRating(p.rating)}`;
+    }).join('\n');
+
+    bot.sendMessage(msg.chat.id, `Loaded Puzzles (${puzzleKeys.length} total, Sorted by #):\n${puzzleList}\n\nTo view raw JSON data for a specific puzzle, run: /showpuzzles <first 8 chars of ID>`);
+});
+
+bot.onText(/^\/showpuzzles\s+(\S+)/, (msg, match) => {
+    const from = msg.from;
+    if (!requirePermission(msg, 'managePuzzles')) return;
+    
+    const partialId = match[1];
+    const fullId = Object.keys(data.puzzles).find(id => id.startsWith(partialId));
+
+    if (!fullId) {
+        return bot.sendMessage(msg.chat.id, `Puzzle starting with "${partialId}" not found.`);
+    }
+
+    const p = data.puzzles[fullId];
+    if (!p) return;
+
+    // Send the raw JSON of the puzzle data
+    bot.sendMessage(msg.chat.id, `Raw Puzzle Data for ${fullId.substring(0, 8)}... (Puzzle #${p.puzzleNumber}):\n\n\`\`\`json\n${JSON.stringify(p, null, 2)}\n\`\`\``, { parse_mode: 'Markdown' });
+});
+
+// 🌟 NEW ADMIN COMMAND: /removepuzzle <ID> 🌟
+bot.onText(/^\/removepuzzle\s+(\S+)/, (msg, match) => {
+    const from = msg.from;
+    if (!requirePermission(msg, 'managePuzzles')) return;
+
+    const partialId = match[1];
+    const fullId = Object.keys(data.puzzles).find(id => id.startsWith(partialId));
+
+    if (!fullId) {
+        return bot.sendMessage(msg.chat.id, `❌ Error: Puzzle starting with "${partialId}" not found. Run /showpuzzles to check IDs.`);
+    }
+
+    const p = data.puzzles[fullId];
+    if (!p) return bot.sendMessage(msg.chat.id, 'Puzzle data is corrupt. Cannot remove.');
+
+    // 1. Delete the puzzle
+    delete data.puzzles[fullId];
+
+    // 2. Clean up user answer references
+    let userCleanupCount = 0;
+    for (const uid in data.users) {
+        if (data.users[uid].answers[fullId]) {
+            delete data.users[uid].answers[fullId];
+            userCleanupCount++;
+        }
+        if (data.users[uid].firstAttempts) delete data.users[uid].firstAttempts[fullId];
+        if (data.users[uid].lastPuzzleId === fullId) {
+            data.users[uid].lastPuzzleId = null;
+            userCleanupCount++;
+        }
+    }
+    
+    // Group rotation cursors hold puzzle numbers, so they simply continue with the next remaining puzzle.
+    // The removed puzzle's number is not reused.
+
+    saveData();
+
+    bot.sendMessage(msg.chat.id, `🗑️ **Puzzle REMOVED!**
+    - **Puzzle ID:** ${fullId.substring(0, 8)}...
+    - **Title:** ${p.title}
+    - **User references cleaned:** ${userCleanupCount}
+
+    Puzzle #${p.puzzleNumber} stays retired - other puzzles keep their numbers.`);
+});
+// 🌟 END NEW ADMIN COMMAND 🌟
+
+// --- PUZZLE EDITING ---
+// "Reply to this message with the new photo" prompts, keyed "chatId:msgId" -> puzzleId (in memory)
+let pendingPhotoEdits = {};
+
+const EDITABLE_FIELDS = ['title', 'hint', 'explain', 'reveal', 'answer', 'options', 'mode', 'tags'];
+
+function findPuzzleByPrefix(partialId) {
+    const fullId = Object.keys(data.puzzles).find(id => id.startsWith(partialId));
+    return fullId ? data.puzzles[fullId] : null;
+}
+
+function puzzleAnswerText(puzzle) {
+    return puzzle.options.find(opt => opt.isAnswer)?.text || null;
+}
+
+// Appends an audit entry to the puzzle's history (no-op edits are not recorded). Caller saves.
+function recordPuzzleEdit(puzzle, from, field, before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    if (!puzzle.history) puzzle.history = [];
+    puzzle.history.push({ at: Date.now(), by: String(from.id), byName: userDisplayName(from), field, from: before, to: after });
+}
+
+// Applies one field=value edit to the puzzle. Returns an error string, or null when applied.
+function applyPuzzleEdit(puzzle, field, value, from) {
+    const clear = value === '' || value.toLowerCase() === 'none';
+    const legalMove = text => {
+        if (!puzzle.fen) return { move: { san: text } };
+        return parseSanMove(new Chess(puzzle.fen), text);
+    };
+
+    if (field === 'title') {
+        if (clear) return 'The title cannot be empty.';
+        recordPuzzleEdit(puzzle, from, 'title', puzzle.title, value);
+        puzzle.title = value;
+    } else if (field === 'hint') {
+        recordPuzzleEdit(puzzle, from, 'hint', puzzle.hint, clear ? null : value);
+        puzzle.hint = clear ? null : value;
+    } else if (field === 'explain') {
+        recordPuzzleEdit(puzzle, from, 'explanation', puzzle.explanation || null, clear ? null : value);
+        puzzle.explanation = clear ? null : value;
+    } else if (field === 'reveal') {
+        const minutes = clear || value.toLowerCase() === 'off' ? null : parseDurationMinutes(value);
+        if (minutes === null && !(clear || value.toLowerCase() === 'off')) return 'reveal= must be a duration like 30m, 2h or 1d (or off).';
+        recordPuzzleEdit(puzzle, from, 'revealAfterMinutes', puzzle.revealAfterMinutes || null, minutes);
+        puzzle.revealAfterMinutes = minutes;
+    } else if (field === 'tags') {
+        const tags = clear ? [] : parseTags(value);
+        recordPuzzleEdit(puzzle, from, 'tags', puzzle.tags || [], tags);
+        puzzle.tags = tags;
+    } else if (field === 'mode') {
+        if (!puzzle.fen) return 'mode= only applies to FEN puzzles.';
+        if (value !== 'open' && value !== 'options') return 'mode= must be "open" or "options".';
+        recordPuzzleEdit(puzzle, from, 'answerMode', puzzle.answerMode, value);
+        puzzle.answerMode = value;
+    } else if (field === 'options') {
+        // options=Qd3, Rxf6, Bxe5 - the current answer must stay among them (or change answer= in the same command)
+        const texts = [];
+        for (const raw of value.split(',').map(t => t.trim()).filter(Boolean)) {
+            const result = legalMove(raw);
+            if (result.error) return `Option "${raw}": ${result.error}`;
+            texts.push(result.move.san);
+        }
+        if (texts.length < 2) return 'Give at least two options, separated by commas.';
+        const answer = puzzleAnswerText(puzzle);
+        const before = puzzle.options.map(o => o.text);
+        puzzle.options = texts.map(text => ({ text, isAnswer: text === answer }));
+        recordPuzzleEdit(puzzle, from, 'options', before, texts);
+    } else if (field === 'answer') {
+        // answer= takes the option text itself; stored option order is shuffled by battles, so letters would be ambiguous
+        const result = legalMove(value);
+        if (result.error) return `answer=${value}: ${result.error}`;
+        const index = puzzle.options.findIndex(o => o.text === result.move.san);
+        if (index === -1) return `answer=${value} is not one of the options (${puzzle.options.map(o => o.text).join(', ')}).`;
+        const before = puzzleAnswerText(puzzle);
+        puzzle.options.forEach((o, i) => { o.isAnswer = i === index; });
+        recordPuzzleEdit(puzzle, from, 'answer', before, puzzle.options[index].text);
+        if (puzzle.solution && puzzle.solution[0] !== puzzle.options[index].text) {
+            // The old line no longer starts with the answer: it is cut to the answer alone, listed among the changes
+            recordPuzzleEdit(puzzle, from, 'solution', puzzle.solution, [puzzle.options[index].text]);
+            puzzle.solution = [puzzle.options[index].text];
+        }
+    } else {
+        return `Unknown field "${field}". Editable: ${EDITABLE_FIELDS.join(', ')}, or "photo".`;
+    }
+    return null;
+}
+
+// Applies "field=value|field=value" to the puzzle, all or nothing.
+// Returns { error } or { changes: ['• field: from → to', ...], edits: [history entries] } (empty when nothing changed). Caller saves.
+function applyPuzzleEdits(p, text, from) {
+    const before = JSON.stringify(p);
+    const historyLength = (p.history || []).length;
+    // Restores the puzzle exactly, including dropping fields the failed edit added (explanation, tags, history...)
+    const rollback = error => {
+        const original = JSON.parse(before);
+        for (const key of Object.keys(p)) if (!(key in original)) delete p[key];
+        Object.assign(p, original);
+        return { error };
+    };
+    for (const part of text.split('|').map(x => x.trim()).filter(Boolean)) {
+        const eq = part.indexOf('=');
+        if (eq === -1) return rollback(`"${part}" is not field=value.`);
+        const error = applyPuzzleEdit(p, part.slice(0, eq).trim().toLowerCase(), part.slice(eq + 1).trim(), from);
+        if (error) return rollback(error);
+    }
+    if (!puzzleAnswerText(p)) return rollback('The options no longer contain the answer - set answer= in the same command.');
+    const edits = (p.history || []).slice(historyLength);
+    return { changes: edits.map(h => `• ${h.field}: ${JSON.stringify(h.from)} → ${JSON.stringify(h.to)}`), edits };
+}
+
+// Users whose scored first attempt would be judged differently under the current answer.
+// Lines still being played, and lines solved only in part, keep what they get.
+function rescoreCandidates(puzzle, oldAnswer) {
+    const newAnswer = puzzleAnswerText(puzzle);
+    const flips = [];
+    for (const userRec of Object.values(data.users)) {
+        const attempt = firstAttemptOf(userRec, puzzle, oldAnswer);
+        if (!attempt || (attempt.credit !== 0 && attempt.credit !== 1)) continue;
+        const wasCorrect = attempt.credit === 1;
+        const nowCorrect = attempt.move === newAnswer;
+        if (wasCorrect !== nowCorrect) flips.push({ userRec, move: attempt.move, nowCorrect });
+    }
+    return flips;
+}
+
+// Re-scores past attempts after an answer change: the difference between a correct and a wrong first attempt
+// is moved for every user whose scored first attempt flips. Streak bonuses and ratings are left as they were.
+function rescorePuzzle(puzzle, oldAnswer, from) {
+    const flips = rescoreCandidates(puzzle, oldAnswer);
+    const delta = SCORE_CORRECT - SCORE_WRONG;
+    for (const { userRec, move, nowCorrect } of flips) {
+        userRec.score += nowCorrect ? delta : -delta;
+        userRec.correct = Math.max(0, (userRec.correct || 0) + (nowCorrect ? 1 : -1));
+        recordFirstAttempt(userRec, puzzle, move, nowCorrect ? 1 : 0); // a second answer change is judged from here
+    }
+    recordPuzzleEdit(puzzle, from, 'rescore', oldAnswer, `${flips.length} attempts re-scored`);
+    saveData();
+    return flips.length;
+}
+
+// Admin: /editpuzzle <id> field=value|field=value...  or  /editpuzzle <id> photo
+bot.onText(/^\/editpuzzle(?:\s+(\S+))?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+    const from = msg.from;
+    if (!requirePermission(msg, 'createPuzzles')) return; // authors may edit their own puzzles
+    const usage = `Usage: /editpuzzle <id> field=value|field=value\nFields: ${EDITABLE_FIELDS.join(', ')} (hint=none clears)\nNew image: /editpuzzle <id> photo`;
+    if (!match[1] || !match[2]) return bot.sendMessage(msg.chat.id, usage);
+
+    const p = findPuzzleByPrefix(match[1]);
+    if (!p) return bot.sendMessage(msg.chat.id, `❌ Puzzle starting with "${match[1]}" not found. Run /showpuzzles to check IDs.`);
+    if (!canEditPuzzle(from.id, p)) return bot.sendMessage(msg.chat.id, '⛔ Puzzle authors can only edit their own puzzles.');
+
+    if (match[2].trim().toLowerCase() === 'photo') {
+        if (p.fen) return bot.sendMessage(msg.chat.id, 'FEN puzzles are drawn from their position - there is no photo to replace.');
+        const prompt = await bot.sendMessage(msg.chat.id, `📷 Reply to this message with the new photo for Puzzle #${p.puzzleNumber} (${p.title}).`);
+        pendingPhotoEdits[`${msg.chat.id}:${prompt.message_id}`] = p.id;
+        return;
+    }
+
+    const oldAnswer = puzzleAnswerText(p);
+    const { error, changes, edits } = applyPuzzleEdits(p, match[2], from);
+    if (error) return bot.sendMessage(msg.chat.id, `❌ ${error} Nothing was changed.`);
+    if (changes.length === 0) return bot.sendMessage(msg.chat.id, 'Those values are already set - nothing changed.');
+    saveData();
+    await bot.sendMessage(msg.chat.id, `✏️ Puzzle #${p.puzzleNumber} updated:\n${changes.join('\n')}`);
+
+    const newAnswer = puzzleAnswerText(p);
+    if (newAnswer !== oldAnswer) {
+        const flips = rescoreCandidates(p, oldAnswer);
+        if (flips.length === 0) return bot.sendMessage(msg.chat.id, 'The answer changed; no recorded attempt is affected.');
+        const answerEditIndex = p.history.indexOf(edits.filter(h => h.field === 'answer').pop()); // the offer is tied to this entry
+        const toCorrect = flips.filter(f => f.nowCorrect).length;
+        await bot.sendMessage(msg.chat.id,
+            `The answer changed from ${oldAnswer} to ${newAnswer}. ${flips.length} recorded first attempts would be judged differently ` +
+            `(${toCorrect} become correct, ${flips.length - toCorrect} become wrong). Re-score them?\n` +
+            `(Points and correct counts move by ${SCORE_CORRECT - SCORE_WRONG} each; streaks and ratings stay as they are.)`,
+            { reply_markup: { inline_keyboard: [[
+                { text: `✅ Re-score ${flips.length}`, callback_data: `RESCORE|${p.id}|${answerEditIndex}` },
+                { text: 'Keep scores', callback_data: `RESCORE|${p.id}|keep` }
+            ]] } }
+        );
+    }
+});
+
+// Admin: replying with a photo to an /editpuzzle <id> photo prompt (or to a posted puzzle) replaces its image
+async function handlePhotoReplacement(msg) {
+    const replied = msg.reply_to_message;
+    if (!replied) return false;
+    const key = `${msg.chat.id}:${replied.message_id}`;
+    let puzzle = pendingPhotoEdits[key] ? data.puzzles[pendingPhotoEdits[key]] : null;
+    if (!puzzle) puzzle = findPostedPuzzle(msg.chat.id, replied.message_id).puzzle;
+    if (!puzzle || !canEditPuzzle(msg.from.id, puzzle)) return false;
+    if (puzzle.fen) {
+        await bot.sendMessage(msg.chat.id, 'FEN puzzles are drawn from their position - there is no photo to replace.');
+        return true;
+    }
+
+    const photo = msg.photo[msg.photo.length - 1];
+    recordPuzzleEdit(puzzle, msg.from, 'photo', puzzle.photoFileId, photo.file_id);
+    puzzle.photoFileId = photo.file_id;
+    delete pendingPhotoEdits[key];
+    saveData();
+    await bot.sendMessage(msg.chat.id, `🖼️ Photo of Puzzle #${puzzle.puzzleNumber} replaced. Already-posted messages keep the old image.`);
+    return true;
+}
+// --- END PUZZLE EDITING ---
+
+
+// ADMIN COMMAND: /reindexpuzzles - numbers are permanent, so this only repairs missing or duplicate ones
+// (see repairPuzzleNumbers); puzzles that already have a unique number and group rotations are left alone.
+bot.onText(/^\/reindexpuzzles$/, (msg) => {
+    const from = msg.from;
+    if (!requirePermission(msg, 'managePuzzles')) return;
+
+    const renumbered = repairPuzzleNumbers();
+    if (renumbered > 0) saveData();
+
+    bot.sendMessage(msg.chat.id, `✅ Puzzle numbers checked.
+Total puzzles: ${Object.keys(data.puzzles).length} (highest number ever used: #${data.settings.lastPuzzleNumber})
+Puzzles given a new number (missing or duplicate): ${renumbered}
+Gaps left by removed puzzles are expected - numbers are never reused.`);
+});
+
+
+// Admin command: postto <chatId> <puzzleId> (UPDATED for HINT)
+bot.onText(/^\/postto\s+(\S+)\s+(\S+)/, async (msg, match) => {
+  const from = msg.from;
+  if (!requirePermission(msg, 'broadcast', { privateOnly: false })) return;
+  const chatId = match[1];
+  const puzzleId = match[2];
+  const p = data.puzzles[puzzleId];
+  if (!p) return bot.sendMessage(msg.chat.id, 'Puzzle not found');
+  
+  const creatorCredit = p.createdByUserName ? ` (Credit: ${p.createdByUserName})` : '';
+  const puzzleNumberText = p.puzzleNumber ? `**Puzzle #${p.puzzleNumber}**\n` : '';
+
+  // Dynamic shuffle for post
+  const shuffledOptions = postOptions(p);
+  // PASS HINT TEXT HERE
+  const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(shuffledOptions, false, p.hint);
+
+  // FIX: Manually inject the puzzleId into the hint button's callback_data string
+  if (p.hint && reply_markup.inline_keyboard.length > 0) {
+      const hintRow = reply_markup.inline_keyboard[reply_markup.inline_keyboard.length - 1][0];
+      // HINT|PLACEHOLDER becomes HINT|puzzleId
+      hintRow.callback_data = `HINT|${puzzleId}`;
+  }
+  
+  try{
+    const sent = await sendPuzzlePhoto(chatId, p, { 
+      caption: `${puzzleNumberText}${p.title}${creatorCredit}${answerPrompt(p)}` , 
+      reply_markup: keyboardForChat(reply_markup, chatId), // FIX: Passing the entire reply_markup object
+      parse_mode: 'Markdown'
+    });
+    recordPost(p, chatId, sent.message_id, postedOptionsMap);
+    saveData();
+    bot.sendMessage(msg.chat.id, `Posted to ${chatId}`);
+  }catch(e){
+    bot.sendMessage(msg.chat.id, `Failed to post to ${chatId}: ${e.message}`);
+  }
+});
+
+// Admin: broadcast <puzzleId> (UPDATED for HINT)
+bot.onText(/^\/broadcast\s+(\S+)/, async (msg, match) => {
+  const from = msg.from;
+  if (!requirePermission(msg, 'broadcast', { privateOnly: false })) return;
+  const puzzleId = match[1];
+  const p = data.puzzles[puzzleId];
+  if (!p) return bot.sendMessage(msg.chat.id, 'Puzzle not found');
+
+  const creatorCredit = p.createdByUserName ? ` (Credit: ${p.createdByUserName})` : '';
+  const puzzleNumberText = p.puzzleNumber ? `**Puzzle #${p.puzzleNumber}**\n` : '';
+  
+  // Dynamic shuffle for broadcast
+  const shuffledOptions = postOptions(p);
+  // PASS HINT TEXT HERE
+  const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(shuffledOptions, false, p.hint);
+
+  // FIX: Manually inject the puzzleId into the hint button's callback_data string
+  if (p.hint && reply_markup.inline_keyboard.length > 0) {
+      const hintRow = reply_markup.inline_keyboard[reply_markup.inline_keyboard.length - 1].find(b => b.callback_data === 'HINT|PLACEHOLDER');
+      if (hintRow) {
+        hintRow.callback_data = `HINT|${puzzleId}`;
+      }
+  }
+
+  const groups = Object.keys(data.groups);
+  if (groups.length === 0) return bot.sendMessage(msg.chat.id, 'No registered groups to broadcast to. Ask groups to use /register in group.');
+
+  // Sends go through the outgoing queue (rate limits, 429 waits, retries); the admin sees progress
+  // in one message that is edited as groups are done, then a summary with every failure.
+  const heading = `📣 Broadcast of Puzzle #${p.puzzleNumber}`;
+  const progress = await bot.sendMessage(msg.chat.id, `${heading}: sending to ${groups.length} group(s)...`);
+  const updateProgress = text => bot.editMessageText(text, { chat_id: msg.chat.id, message_id: progress.message_id })
+    .catch(() => bot.sendMessage(msg.chat.id, text));
+  const failures = [];
+  let delivered = 0;
+  let lastProgressAt = Date.now();
+
+  for (const gid of groups){
+    try{
+      const sent = await sendPuzzlePhoto(gid, p, { 
+        caption: `${puzzleNumberText}${p.title}${creatorCredit}${answerPrompt(p)}`, 
+        reply_markup: keyboardForChat(reply_markup, gid), // FIX: Passing the entire reply_markup object
+        parse_mode: 'Markdown'
+      });
+      recordPost(p, gid, sent.message_id, postedOptionsMap);
+      delivered++;
+    }catch(e){
+      console.warn('broadcast to', gid, 'failed', e.message);
+      failures.push(`- ${data.groups[gid] ? data.groups[gid].title : 'removed group'} (${gid}): ${e.message}`);
+    }
+    const done = delivered + failures.length;
+    if (done < groups.length && Date.now() - lastProgressAt >= BROADCAST_PROGRESS_MS) {
+      lastProgressAt = Date.now();
+      updateProgress(`${heading}: ${done}/${groups.length} done (${failures.length} failed)...`);
+    }
+  }
+  saveData();
+
+  let summary = `${heading} finished: delivered to ${delivered}/${groups.length} group(s).`;
+  if (failures.length > 0) {
+    const shown = failures.slice(0, 20);
+    summary += `\n\n❌ Failed (${failures.length}):\n${shown.join('\n')}`;
+    if (failures.length > shown.length) summary += `\n...and ${failures.length - shown.length} more (see the bot log).`;
+    summary += '\nGroups that removed the bot can be unregistered with /remgroup <chatId>.';
+  }
+  updateProgress(summary);
+});
+
+// NEW ADMIN COMMAND: /adjustscore <userId> <amount> (No changes)
+bot.onText(/^\/adjustscore\s+(\S+)\s+(-?\d+)/, async (msg, match) => {
+    const from = msg.from;
+    if (!requirePermission(msg, 'adjustScores')) return;
+    
+    const targetUserId = match[1];
+    const amount = Number(match[2]);
+
+    const targetUserRec = data.users[targetUserId];
+
+    if (!targetUserRec) {
+        return bot.sendMessage(msg.chat.id, `Error: User with ID ${targetUserId} not found in the database.`);
+    }
+
+    targetUserRec.score += amount;
+    saveData();
+
+    const newTitle = getPlayerTitle(targetUserRec.score);
+    const resultMessage = `✅ Score adjusted for **${targetUserRec.name}** (ID: ${targetUserId}).
+Adjustment: ${amount > 0 ? '+' : ''}${amount} points.
+**New Score:** ${targetUserRec.score}
+**New Title:** ${newTitle}`;
+
+    await bot.sendMessage(msg.chat.id, resultMessage, { parse_mode: 'Markdown' });
+});
+
+
+// --- ROLE MANAGEMENT COMMANDS ---
+// /grant <owner|admin|author|moderator> <@username|userId> [groupChatId]   (or reply to the user's message)
+// /revoke <role> <@username|userId> [groupChatId]
+// Owners grant anything; admins grant authors and moderators; a group's Telegram admins may grant moderators there.
+
+// The user a role command points at: the replied-to message's sender, a numeric id, or an @username the bot has seen
+function roleCommandTarget(msg, arg) {
+    if (msg.reply_to_message && msg.reply_to_message.from && !arg) {
+        registerUser(msg.reply_to_message.from);
+        return String(msg.reply_to_message.from.id);
+    }
+    if (!arg) return null;
+    if (/^\d+$/.test(arg)) return arg;
+    return findUserIdByUsername(arg.startsWith('@') ? arg : `@${arg}`);
+}
+
+function roleUserName(uid) {
+    return data.users[uid] ? data.users[uid].name : uid;
+}
+
+// Checks whether `from` may grant/revoke `role` (for moderators: in chat `groupId`). Returns an error text or null.
+async function roleChangeError(from, role, targetId, groupId) {
+    if (role === 'moderator') {
+        if (!groupId || !data.groups[groupId]) return 'Which group? Use the command inside the group, or add its chat id (see /listgroups).';
+        if (!can(from.id, 'grantRoles') && !(await isTelegramChatAdmin(groupId, from.id))) return 'Only bot owners/admins and the group\'s own admins can manage its moderators.';
+        return null;
+    }
+    if (!GLOBAL_ROLES.includes(role)) return `Unknown role "${role}". Roles: ${[...GLOBAL_ROLES, 'moderator'].join(', ')}.`;
+    if (!can(from.id, 'grantRoles')) return 'Only owners and admins can manage roles.';
+    if (role !== 'author' && !can(from.id, 'manageRoles')) return 'Only owners can manage owners and admins.';
+    const current = roleOf(targetId);
+    if (current && current !== 'author' && !can(from.id, 'manageRoles')) return `${roleUserName(targetId)} is ${ROLE_LABELS[current]} - only owners can change that.`;
+    if (ADMIN_IDS.includes(Number(targetId))) return `${roleUserName(targetId)} is an owner through ADMIN_IDS - change the environment to alter that.`;
+    return null;
+}
+
+bot.onText(/^\/(grant|revoke)(@\S+)?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(-?\d+))?/, async (msg, match) => {
+    const chatId = String(msg.chat.id);
+    const action = match[1];
+    const role = (match[3] || '').toLowerCase();
+    const usage = `Usage: /${action} <${[...GLOBAL_ROLES, 'moderator'].join('|')}> <@username|userId> [groupChatId], or reply to the user's message with /${action} <role>`;
+    if (!role) return bot.sendMessage(chatId, usage);
+
+    const targetId = roleCommandTarget(msg, match[4]);
+    if (!targetId) {
+        return bot.sendMessage(chatId, match[4] ? `I don't know ${match[4]} - they need to send me /start first (or use their numeric id).` : usage);
+    }
+    const groupId = role === 'moderator' ? (match[5] || (msg.chat.type === 'private' ? null : chatId)) : null;
+    const error = await roleChangeError(msg.from, role, targetId, groupId && String(groupId));
+    if (error) return bot.sendMessage(chatId, `⛔ ${error}`);
+
+    const name = roleUserName(targetId);
+    const grant = { name, grantedBy: String(msg.from.id), grantedAt: Date.now() };
+    let text;
+    if (role === 'moderator') {
+        const groupRec = data.groups[String(groupId)];
+        if (!groupRec.moderators) groupRec.moderators = {};
+        if (action === 'grant') {
+            groupRec.moderators[targetId] = grant;
+            text = `✅ ${name} is now a ${ROLE_LABELS.moderator} in ${groupRec.title}: /settings, /schedule and /puzzlemode there.`;
+        } else {
+            if (!groupRec.moderators[targetId]) return bot.sendMessage(chatId, `${name} is not a moderator in ${groupRec.title}.`);
+            delete groupRec.moderators[targetId];
+            text = `✅ ${name} is no longer a moderator in ${groupRec.title}.`;
+        }
+    } else if (action === 'grant') {
+        data.roles[targetId] = { role, ...grant };
+        text = `✅ ${name} is now ${ROLE_LABELS[role]}.`;
+    } else {
+        if (!data.roles[targetId] || data.roles[targetId].role !== role) return bot.sendMessage(chatId, `${name} does not have the ${role} role.`);
+        if (role === 'owner' && ADMIN_IDS.length === 0 && Object.values(data.roles).filter(r => r.role === 'owner').length === 1) {
+            return bot.sendMessage(chatId, '⛔ That is the last owner - grant someone else the owner role first.');
+        }
+        delete data.roles[targetId];
+        text = `✅ ${name} no longer has the ${role} role.`;
+    }
+    saveData();
+    bot.sendMessage(chatId, text);
+});
+
+// /roles - who holds which role (in a group: also that group's moderators)
+bot.onText(/^\/roles(@\S+)?$/, (msg) => {
+    const lines = [];
+    for (const role of GLOBAL_ROLES) {
+        const names = role === 'owner' ? roleHolderNames(['owner']) : Object.values(data.roles).filter(r => r.role === role).map(r => r.name);
+        lines.push(`${ROLE_LABELS[role]}s: ${names.length ? names.join(', ') : '-'}`);
+    }
+    const groupRec = data.groups[String(msg.chat.id)];
+    if (groupRec && msg.chat.type !== 'private') {
+        const mods = Object.values(groupRec.moderators || {}).map(m => m.name);
+        lines.push(`${ROLE_LABELS.moderator}s here: ${mods.length ? mods.join(', ') : '-'} (plus the group's Telegram admins)`);
+    }
+    const own = roleOf(msg.from.id);
+    lines.push('', `Your role: ${own ? ROLE_LABELS[own] : 'none'}`);
+    lines.push('Authors create and edit their own puzzles; admins manage all puzzles, groups and broadcasts; owners also manage admins.');
+    bot.sendMessage(msg.chat.id, lines.join('\n'));
+});
+// --- END ROLE MANAGEMENT COMMANDS ---
+
+// MODIFIED: /battle logic now uses sequential rotation (battleCursor)
+// FIX: Added optional bot username suffix to regex for group commands
+// Usage: /battle [count] [speed|all|classic], options in any order
+bot.onText(/^\/battle(@\S+)?(?:\s+(.*))?$/, async (msg, match) => {
+    const chatId = String(msg.chat.id);
+    const chatType = msg.chat.type;
+
+    if (chatType !== 'group' && chatType !== 'supergroup') {
+        return bot.sendMessage(chatId, 'Battle mode can only be started in a Telegram group.');
+    }
+
+    let puzzleCount = groupSettings(chatId).battleLength;
+    let mode = BATTLE_DEFAULT_MODE;
+    for (const arg of (match[2] || '').trim().toLowerCase().split(/\s+/).filter(Boolean)) {
+        if (/^\d+$/.test(arg)) {
+            puzzleCount = Number(arg);
+        } else if (BATTLE_MODES[arg]) {
+            mode = arg;
+        } else {
+            return bot.sendMessage(chatId, `Unknown battle option "${arg}". Usage: /battle [${BATTLE_MIN_PUZZLES}-${BATTLE_MAX_PUZZLES}] [${Object.keys(BATTLE_MODES).join('|')}]`);
+        }
+    }
+    if (puzzleCount < BATTLE_MIN_PUZZLES || puzzleCount > BATTLE_MAX_PUZZLES) {
+        return bot.sendMessage(chatId, `A battle has between ${BATTLE_MIN_PUZZLES} and ${BATTLE_MAX_PUZZLES} puzzles.`);
+    }
+    
+    if (data.battles[chatId] && data.battles[chatId].isActive) {
+        return bot.sendMessage(chatId, 'A battle is already active in this group! Please wait for it to finish.');
+    }
+    
+    addGroup(msg.chat); // Ensure group is registered to use battleCursor
+    const groupRec = data.groups[chatId];
+
+    // --- Battle Puzzle Pool & Selection (Sequential Logic) ---
+    const validPuzzles = battlePuzzlePool();
+    const totalPuzzles = validPuzzles.length;
+    
+    if (totalPuzzles < puzzleCount) {
+        return bot.sendMessage(chatId, `Cannot start battle. Need at least ${puzzleCount} fully-defined puzzles with answers, but only ${totalPuzzles} are available. Please check puzzles with /showpuzzles.`);
+    }
+    
+    const { puzzleIds, startIndex } = takeBattlePuzzles(groupRec, validPuzzles, puzzleCount);
+    // Pushing only the ID and default battle state
+    const selectedPuzzles = puzzleIds.map(id => ({ id, answeredBy: {} }));
+    saveData(); 
+
+    // --- Start Battle ---
+    data.battles[chatId] = {
+        chatId,
+        puzzles: selectedPuzzles, // The sequential puzzle IDs for this battle
+        puzzleCount,
+        mode,
+        currentPuzzleIndex: 0,
+        scores: {}, 
+        isActive: true,
+        messageIds: [],
+        startedAt: Date.now(),
+        lastActivityAt: Date.now(),
+        questionDeadline: null
+    };
+    saveData();
+    
+    await bot.sendMessage(chatId, 
+        `⚔️ **SEQUENTIAL BATTLE MODE STARTED!** ⚔️\n${puzzleCount} puzzles, ${mode.toUpperCase()} mode: ${BATTLE_MODES[mode]}\nStarting from Puzzle #${validPuzzles[startIndex].puzzleNumber}. Answer correctly to score points.`, 
+        { parse_mode: 'Markdown' }
+    );
+    
+    postNextBattlePuzzle(chatId);
+});
+
+// /duel @user [count] (or reply to the opponent's message with /duel [count])
+// In a group both play there; in a private chat each player gets the puzzles in their own chat with the bot.
+bot.onText(/^\/duel(@\S+)?(?:\s+(.*))?$/, async (msg, match) => {
+    registerUser(msg.from);
+    const chatId = String(msg.chat.id);
+    const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+    const uid = String(msg.from.id);
+
+    let opponentId = null;
+    let puzzleCount = DUEL_PUZZLE_COUNT;
+    const replied = msg.reply_to_message && msg.reply_to_message.from;
+    if (replied && !replied.is_bot) {
+        registerUser(replied);
+        opponentId = String(replied.id);
+    }
+    const textMention = (msg.entities || []).find(e => e.type === 'text_mention' && e.user);
+    if (textMention) {
+        registerUser(textMention.user);
+        opponentId = String(textMention.user.id);
+    }
+    for (const arg of (match[2] || '').trim().split(/\s+/).filter(Boolean)) {
+        if (/^\d+$/.test(arg)) {
+            puzzleCount = Number(arg);
+        } else if (arg.startsWith('@')) {
+            opponentId = findUserIdByUsername(arg);
+            if (!opponentId) {
+                return bot.sendMessage(chatId, `I don't know ${arg} yet. They need to use the bot once (e.g. /start), or reply to one of their messages with /duel.`);
+            }
+        } else if (!textMention) {
+            return bot.sendMessage(chatId, 'Usage: /duel @username [count] (or reply to their message with /duel [count])');
+        }
+    }
+
+    if (!opponentId) {
+        return bot.sendMessage(chatId, 'Usage: /duel @username [count] (or reply to their message with /duel [count])');
+    }
+    if (opponentId === uid) {
+        return bot.sendMessage(chatId, "You can't duel yourself.");
+    }
+    if (puzzleCount < BATTLE_MIN_PUZZLES || puzzleCount > BATTLE_MAX_PUZZLES) {
+        return bot.sendMessage(chatId, `A duel has between ${BATTLE_MIN_PUZZLES} and ${BATTLE_MAX_PUZZLES} puzzles.`);
+    }
+    if (duelOf(uid)) {
+        return bot.sendMessage(chatId, 'You already have a duel pending or in progress.');
+    }
+    if (duelOf(opponentId)) {
+        return bot.sendMessage(chatId, `${battleUserName(opponentId)} is already in a duel.`);
+    }
+    const available = battlePuzzlePool().length;
+    if (available < puzzleCount) {
+        return bot.sendMessage(chatId, `Cannot start a duel. Need at least ${puzzleCount} playable puzzles, but only ${available} are available.`);
+    }
+    if (isGroup) addGroup(msg.chat);
+
+    const duel = {
+        id: uuidv4(),
+        players: [uid, opponentId],
+        challenger: uid,
+        groupId: isGroup ? chatId : null,
+        puzzleCount,
+        status: 'pending',
+        createdAt: Date.now(),
+        scores: { [uid]: 0, [opponentId]: 0 },
+        puzzles: [],
+        currentPuzzleIndex: 0
+    };
+    const reply_markup = { inline_keyboard: [[
+        { text: '✅ Accept', callback_data: `DUELACC|${duel.id}` },
+        { text: '❌ Decline', callback_data: `DUELDEC|${duel.id}` }
+    ]] };
+    const text = `🤺 ${battleUserName(uid)} challenges ${battleUserName(opponentId)} to a ${puzzleCount}-puzzle duel!\n` +
+        (isGroup ? '' : 'You will both get the same puzzles in your private chats with me.\n') +
+        headToHeadText(uid, opponentId);
+
+    try {
+        const sent = await bot.sendMessage(isGroup ? chatId : opponentId, text, { reply_markup });
+        duel.inviteChatId = String(sent.chat.id);
+        duel.inviteMsgId = sent.message_id;
+    } catch (e) {
+        console.warn('duel invite failed', e.message);
+        return bot.sendMessage(chatId, `Couldn't reach ${battleUserName(opponentId)}. They need to open a private chat with me and press Start first.`);
+    }
+    data.duels[duel.id] = duel;
+    saveData();
+    if (!isGroup) bot.sendMessage(chatId, `Challenge sent to ${battleUserName(opponentId)}. It expires in ${Math.round(DUEL_INVITE_TTL_MS / 60000)} minutes.`);
+});
+
+// /duelstats: duel rating, overall record and the most frequent opponents
+bot.onText(/^\/duelstats(@\S+)?$/, (msg) => {
+    registerUser(msg.from);
+    const uid = String(msg.from.id);
+    const u = data.users[uid];
+    const records = Object.values(data.duelRecords).filter(r => r.players.includes(uid));
+    if (records.length === 0) {
+        return bot.sendMessage(msg.chat.id, `Duel rating: ${formatRating(u.duelRating)}\nNo duels played yet. Challenge someone with /duel @username!`);
+    }
+    let wins = 0, losses = 0, draws = 0;
+    const rivals = records.map(r => {
+        const rivalId = r.players.find(p => p !== uid);
+        const w = r.wins[uid] || 0;
+        const l = r.wins[rivalId] || 0;
+        wins += w; losses += l; draws += r.draws;
+        return { rivalId, w, l, d: r.draws, duels: r.duels };
+    }).sort((x, y) => y.duels - x.duels).slice(0, 5);
+
+    const lines = rivals.map(r => `vs ${battleUserName(r.rivalId)}: ${r.w}W ${r.l}L ${r.d}D`);
+    bot.sendMessage(msg.chat.id, `Duel rating: ${formatRating(u.duelRating)}\nRecord: ${wins}W ${losses}L ${draws}D\n\nTop rivals:\n${lines.join('\n')}`);
+});
+
+// MODIFIED /puzzle: EXPIRY FILTER ALREADY REMOVED (UPDATED for HINT)
+// FIX: Added optional bot username suffix to regex for group commands
+// /puzzle <number> for a specific puzzle, /puzzle <theme> (e.g. fork, mate, mate in 2) for a themed pick
+bot.onText(/^\/puzzle(@\S+)?(?:\s+(.+?))?\s*$/, async (msg, match) => {
+  registerUser(msg.from);
+  const chatId = String(msg.chat.id);
+  const uid = String(msg.from.id);
+  const userRec = data.users[uid];
+  // Match index 2 captures the number or theme if present, ignoring the bot handle in index 1
+  const arg = (match[2] || '').trim();
+  const requestedNumber = /^\d+$/.test(arg) ? Number(arg) : null;
+  const theme = arg && !requestedNumber ? normalizeTag(arg) : null;
+
+  if (msg.chat.type !== 'private' && !groupSettings(chatId).memberPuzzle && !(await isChatAdmin(chatId, msg.from.id))) {
+    return bot.sendMessage(msg.chat.id, tr(chatId, 'membersCannotPuzzle'));
+  }
+
+  // 1. Get all available puzzles, sorted by number (Filter is correctly removed here)
+  const availablePuzzles = Object.values(data.puzzles)
+    .sort((a, b) => a.puzzleNumber - b.puzzleNumber); 
+    
+  const totalPuzzles = availablePuzzles.length;
+
+  if (totalPuzzles === 0) {
+    return bot.sendMessage(msg.chat.id, 'No puzzles are currently available. Admins: Check your puzzle count.');
+  }
+
+  let p = null;
+  let selectionNote = ''; // why an adaptive pick was chosen
+
+  if (requestedNumber) {
+      // --- Case 1: Specific puzzle requested (/puzzle 15) ---
+      p = availablePuzzles.find(puz => puz.puzzleNumber === requestedNumber);
+      
+      if (!p) {
+          return bot.sendMessage(msg.chat.id, `Puzzle #${requestedNumber} not found (it may have been removed). Puzzle numbers go up to #${data.settings.lastPuzzleNumber}.`);
+      }
+      
+  } else if (theme) {
+      // --- Case 2: Themed practice - always a personal pick, so the group's rotation isn't disturbed ---
+      const themed = availablePuzzles.filter(puz => puzzleHasTheme(puz, theme));
+      if (themed.length === 0) {
+          const known = themeCounts().slice(0, 15).map(([tag, n]) => `${tag} (${n})`).join(', ');
+          return bot.sendMessage(msg.chat.id, `No puzzles tagged "${theme}" yet.${known ? ` Themes: ${known}` : ''}`);
+      }
+      const pick = pickAdaptivePuzzle(userRec, themed);
+      // Every themed puzzle seen and nothing due: replay a random one rather than stopping the practice
+      p = pick.puzzle || themed[Math.floor(Math.random() * themed.length)];
+      selectionNote = `\n🏷️ Theme: ${theme}${pick.puzzle ? ` · ${pick.note}` : ' · 🔁 replay - you have seen all of them'}`;
+      userRec.lastPuzzleId = p.id;
+      saveData();
+
+  } else if (msg.chat.type === 'private' || (data.groups[chatId] && data.groups[chatId].puzzleMode === 'adaptive')) {
+      // --- Case 3: Personal pick (private chats, and groups set to /puzzlemode adaptive) ---
+      const pick = pickAdaptivePuzzle(userRec, availablePuzzles);
+      if (!pick.puzzle) {
+          return bot.sendMessage(msg.chat.id, pick.message);
+      }
+      p = pick.puzzle;
+      selectionNote = `\n${pick.note}`;
+      userRec.lastPuzzleId = p.id;
+      saveData();
+
+  } else {
+      // --- Case 4: Next sequential puzzle requested (/puzzle) ---
+      
+      addGroup(msg.chat);
+      p = nextGroupPuzzle(data.groups[chatId], availablePuzzles);
+      userRec.lastPuzzleId = p.id; 
+      saveData(); // Save the updated index
+  }
+  
+  if (!p) {
+      // This should never be reached if logic above is correct
+      return bot.sendMessage(msg.chat.id, 'Error in puzzle selection logic. Please try again or contact an admin.');
+  }
+
+  // Common Post Logic:
+  
+  // Check if user has already answered this puzzle and notify them 
+  let captionSuffix = '';
+  // *** FIX 1: HIDE PREVIOUS ANSWER IN CAPTION ***
+  if (userRec.answers[p.id] && !selectionNote) {
+    captionSuffix = `\n\n⚠️ You previously attempted this puzzle.`;
+  }
+  // *** END FIX 1 ***
+  
+  // Add puzzle number and creator credit to the caption
+  const creatorCredit = p.createdByUserName ? `\n(Puzzle by: ${p.createdByUserName})` : '';
+  const puzzleNumberText = `**Puzzle #${p.puzzleNumber}** / ${totalPuzzles} · ${puzzleDifficulty(p.rating)}`; // Display X/Y and difficulty
+  
+  // Dynamic shuffle for post
+  const shuffledOptions = postOptions(p);
+  // PASS HINT TEXT HERE
+  const { reply_markup, postedOptionsMap } = makeOptionsKeyboard(shuffledOptions, false, p.hint);
 
   // FIX: Manually inject the puzzleId into the hint button's callback_data string
   if (p.hint && reply_markup.inline_keyboard.length > 0) {
@@ -947,193 +4267,1761 @@ bot.onText(/^\/puzzle(@\S+)?\s*(\d*)$/, async (msg, match) => {
 
   // Post it to the chat
   try {
-    const sent = await bot.sendPhoto(msg.chat.id, p.photoFileId, {
-      caption: `${puzzleNumberText}\n${p.title} (Requested by ${userDisplayName(msg.from)})${captionSuffix}${creatorCredit}`,
-      reply_markup: reply_markup, // FIX: Passing the entire reply_markup object
+    const sent = await sendPuzzlePhoto(msg.chat.id, p, {
+      caption: `${puzzleNumberText}\n${p.title} (Requested by ${userDisplayName(msg.from)})${selectionNote}${captionSuffix}${creatorCredit}${answerPrompt(p)}`,
+      reply_markup: keyboardForChat(reply_markup, chatId), // FIX: Passing the entire reply_markup object
       parse_mode: 'Markdown'
     });
     // Record the posting so callback_query can find it
-    p.postedIn.push({ 
-        chatId: chatId, 
-        msgId: sent.message_id, 
-        postedAt: Date.now(),
-        postedOptionsMap: postedOptionsMap // Store map of letter key -> move text
+    recordPost(p, chatId, sent.message_id, postedOptionsMap);
+    saveData();
+  } catch (e) {
+    // ENHANCED ERROR LOGGING HERE
+    console.error(`Failed to post puzzle #${p.puzzleNumber} (${p.id}) via /puzzle command to chat ${chatId}. Telegram API Error:`, e.message, e);
+    bot.sendMessage(msg.chat.id, 'Sorry, I failed to post the puzzle. This usually means the photo file is corrupted or Telegram access failed. An error has been logged for the admin.');
+  }
+});
+
+
+// Group registration commands (No changes)
+// FIX: Added optional bot username suffix to regex
+bot.onText(/^\/register(@\S+)?$/, (msg) => {
+  // only allow in groups
+  if (msg.chat.type === 'group' || msg.chat.type === 'supergroup'){
+    addGroup(msg.chat);
+    bot.sendMessage(msg.chat.id, 'Group registered for puzzles. Admins can later broadcast puzzles here.');
+  }else{
+    bot.sendMessage(msg.chat.id, 'Use this command inside a group to register the group for puzzle broadcasts.');
+  }
+});
+
+// Group admins: choose how /puzzle (without a number) picks puzzles in this group
+// FIX: Added optional bot username suffix to regex
+bot.onText(/^\/puzzlemode(@\S+)?(?:\s+(\S+))?$/, async (msg, match) => {
+  if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+    return bot.sendMessage(msg.chat.id, 'Use this command inside a group. In private chats /puzzle always picks puzzles for your rating.');
+  }
+  addGroup(msg.chat);
+  const groupRec = data.groups[String(msg.chat.id)];
+  const mode = (match[2] || '').toLowerCase();
+
+  if (!mode) {
+    return bot.sendMessage(msg.chat.id, `Puzzle mode: ${groupRec.puzzleMode}\n\n/puzzlemode sequential - everyone shares the group's rotation (#1, #2, #3...)\n/puzzlemode adaptive - /puzzle picks an unseen puzzle near the requester's rating`);
+  }
+  if (mode !== 'sequential' && mode !== 'adaptive') {
+    return bot.sendMessage(msg.chat.id, 'Usage: /puzzlemode sequential | adaptive');
+  }
+  if (!(await isChatAdmin(msg.chat.id, msg.from.id))) {
+    return bot.sendMessage(msg.chat.id, 'Only group admins can change the puzzle mode.');
+  }
+
+  groupRec.puzzleMode = mode;
+  saveData();
+  bot.sendMessage(msg.chat.id, mode === 'adaptive'
+    ? '🎯 Puzzle mode set to ADAPTIVE: /puzzle now picks for whoever asks.'
+    : '🔢 Puzzle mode set to SEQUENTIAL: /puzzle follows the group rotation.');
+});
+
+// Group admins: settings panel (announcements, hints, reveal timer, language, battle length, member /puzzle)
+// FIX: Added optional bot username suffix to regex
+bot.onText(/^\/settings(@\S+)?$/, async (msg) => {
+  if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+    return bot.sendMessage(msg.chat.id, 'Use /settings inside a group.');
+  }
+  if (!(await isChatAdmin(msg.chat.id, msg.from.id))) {
+    return bot.sendMessage(msg.chat.id, 'Only group admins can open the settings.');
+  }
+  addGroup(msg.chat);
+  const panel = settingsPanel(data.groups[String(msg.chat.id)]);
+  bot.sendMessage(msg.chat.id, panel.text, { reply_markup: panel.reply_markup });
+});
+
+// Group admins: /schedule daily HH:MM [Time/Zone] | /schedule every N hours | /schedule off
+// FIX: Added optional bot username suffix to regex
+bot.onText(/^\/schedule(@\S+)?(?:\s+(.*))?$/, async (msg, match) => {
+  if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+    return bot.sendMessage(msg.chat.id, 'Use /schedule inside a group. Admins can see all schedules with /schedules.');
+  }
+  addGroup(msg.chat);
+  const groupRec = data.groups[String(msg.chat.id)];
+  const args = (match[2] || '').trim().split(/\s+/).filter(Boolean);
+  const usage = 'Usage:\n/schedule daily 09:00 Europe/Berlin\n/schedule every 6 hours\n/schedule off';
+
+  if (args.length === 0) {
+    return bot.sendMessage(msg.chat.id, `📅 Puzzle schedule: ${describeSchedule(groupRec.schedule)}\n\n${usage}`);
+  }
+  if (!(await isChatAdmin(msg.chat.id, msg.from.id))) {
+    return bot.sendMessage(msg.chat.id, 'Only group admins can change the puzzle schedule.');
+  }
+
+  let schedule;
+  const kind = args[0].toLowerCase();
+  if (kind === 'off') {
+    groupRec.schedule = null;
+    saveData();
+    return bot.sendMessage(msg.chat.id, '📅 Scheduled puzzles turned off.');
+  } else if (kind === 'daily') {
+    const time = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(args[1] || '');
+    const tz = args[2] || 'UTC';
+    if (!time) return bot.sendMessage(msg.chat.id, `Give the time as HH:MM (24h).\n\n${usage}`);
+    if (!isValidTimeZone(tz)) return bot.sendMessage(msg.chat.id, `Unknown time zone "${tz}". Use an IANA name like Europe/Berlin or America/New_York.`);
+    schedule = { type: 'daily', time: `${time[1].padStart(2, '0')}:${time[2]}`, tz };
+  } else if (kind === 'every') {
+    const hours = Number(args[1]);
+    if (!Number.isInteger(hours) || hours < 1 || hours > SCHEDULE_MAX_HOURS || (args[2] && !/^h(ou)?rs?$/i.test(args[2]))) {
+      return bot.sendMessage(msg.chat.id, `Give a whole number of hours from 1 to ${SCHEDULE_MAX_HOURS}.\n\n${usage}`);
+    }
+    schedule = { type: 'every', hours, anchorAt: Date.now() };
+  } else {
+    return bot.sendMessage(msg.chat.id, usage);
+  }
+
+  schedule.createdBy = String(msg.from.id);
+  schedule.lastRunAt = null;
+  schedule.nextRunAt = nextScheduleRun(schedule, Date.now());
+  groupRec.schedule = schedule;
+  saveData();
+  bot.sendMessage(msg.chat.id, `📅 Scheduled puzzles: ${describeSchedule(schedule)}.`);
+});
+
+// Admin: every group's posting schedule
+bot.onText(/^\/schedules$/, (msg) => {
+  if (!requirePermission(msg, 'manageGroups')) return;
+  const scheduled = Object.values(data.groups).filter(g => g.schedule)
+    .sort((a, b) => a.schedule.nextRunAt - b.schedule.nextRunAt);
+  if (scheduled.length === 0) return bot.sendMessage(msg.chat.id, 'No group has a puzzle schedule.');
+  const lines = scheduled.map(g => {
+    const last = g.schedule.lastRunAt ? `, last posted ${formatDuration(Date.now() - g.schedule.lastRunAt)} ago` : '';
+    return `${g.chatId} - ${g.title}: ${describeSchedule(g.schedule)}${last}`;
+  });
+  bot.sendMessage(msg.chat.id, `Scheduled groups:\n${lines.join('\n')}`);
+});
+
+// Admin list commands (No changes)
+bot.onText(/^\/remgroup\s+(\S+)/, (msg, match) => {
+  const from = msg.from;
+  if (!requirePermission(msg, 'manageGroups', { privateOnly: false })) return;
+  const chatId = match[1];
+  if (data.groups[String(chatId)]){
+    delete data.groups[String(chatId)];
+    saveData();
+    bot.sendMessage(msg.chat.id, `Removed group ${chatId}`);
+  } else bot.sendMessage(msg.chat.id, `Group ${chatId} not found`);
+});
+
+bot.onText(/^\/addgroup\s+(\S+)/, (msg, match) => {
+  const from = msg.from;
+  if (!requirePermission(msg, 'manageGroups', { privateOnly: false })) return;
+  const chatId = match[1];
+  data.groups[String(chatId)] = { chatId: String(chatId), title: `manual-${chatId}`, registeredAt: Date.now(), puzzleCursor: 0, moderators: {} };
+  saveData();
+  bot.sendMessage(msg.chat.id, `Added group ${chatId} to registry`);
+});
+
+bot.onText(/^\/listgroups$/, (msg) => {
+  const from = msg.from;
+  if (!requirePermission(msg, 'manageGroups', { privateOnly: false })) return;
+  const rows = Object.values(data.groups).map(g=>`${g.chatId} - ${g.title} (Last Puzzle: #${g.puzzleCursor || 0}) (Last Battle Puzzle: #${g.battleCursor || 0}) (Mode: ${g.puzzleMode || 'sequential'})`);
+  bot.sendMessage(msg.chat.id, 'Registered groups:\n' + (rows.length ? rows.join('\n') : '(none)'));
+});
+
+bot.onText(/^\/listpuzzles$/, (msg) => {
+  const from = msg.from;
+  if (!requirePermission(msg, 'managePuzzles', { privateOnly: false })) return;
+  
+  // Sort by puzzle number for admin list
+  const sortedPuzzles = Object.values(data.puzzles).sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+
+  const rows = sortedPuzzles.map(p=>`#${p.puzzleNumber} | ${p.id.substring(0, 8)}... - ${p.title} (opts: ${p.options.find(o=>o.isAnswer)?.text || 'N/A'})`);
+  bot.sendMessage(msg.chat.id, 'Puzzles:\n' + (rows.length ? rows.join('\n') : '(none)'));
+});
+
+
+// User commands (start, help, stats, leaderboards - logic unchanged)
+// FIX: Added optional bot username suffix to regex
+bot.onText(/^\/start(@\S+)?/, (msg) => {
+  registerUser(msg.from);
+  const fromId = msg.from.id;
+  
+  let welcomeMessage = `Hi ${userDisplayName(msg.from)}! Send /help to see available commands.`;
+  const role = roleOf(fromId);
+
+  if (!role && msg.chat.type === 'private') {
+    const granters = roleHolderNames(['owner', 'admin']);
+    welcomeMessage += `\nFound a good position? Send it to me as a puzzle (see /help) - reviewers check it and credit you.`;
+    if (granters.length) welcomeMessage += `\nRegular authors can ask ${granters.join(', ')} for the author role.`;
+  } else if (role === 'author' && msg.chat.type === 'private') {
+    welcomeMessage = ADMIN_ACCESS_MESSAGE_STYLED + `
+
+You are a ${ROLE_LABELS.author}. Your commands:
+/postpreview <id> - preview a puzzle
+/editpuzzle <id> field=value - edit one of your puzzles
+Send me a PGN/EPD/CSV file to create many puzzles at once.
+`;
+  } else if (role && msg.chat.type === 'private') {
+    welcomeMessage = ADMIN_ACCESS_MESSAGE_STYLED + `
+
+Your Admin Commands (${ROLE_LABELS[role]}):
+/postpreview <id>, /broadcast <id>, /addgroup <chatId>, /remgroup <chatId>, /listgroups, /listpuzzles
+/showpuzzles - Displays all loaded puzzle IDs (for debugging).
+/removepuzzle <id> - **NEW:** Permanently removes a puzzle by ID.
+/exportpuzzles pgn|epd|csv|json - Downloads all puzzles; send me such a file to import puzzles in bulk.
+/editpuzzle <id> field=value - Edits title, hint, explain, reveal, answer, options, mode or tags; /editpuzzle <id> photo replaces the image.
+/reindexpuzzles - Repairs missing or duplicate puzzle numbers (numbers are never reused).
+/grant <role> @user, /revoke <role> @user, /roles - Manage owners, admins, puzzle authors and group moderators.
+/review - Step through community puzzle submissions (approve, reject, edit).
+/findpuzzles <PGN> - Searches games for tactics (or send a .pgn file with /findpuzzles as caption); the drafts go to /review.
+`;
+  }
+  
+  bot.sendMessage(msg.chat.id, welcomeMessage, { parse_mode: 'Markdown' });
+});
+
+// FIX: Added optional bot username suffix to regex
+bot.onText(/^\/help(@\S+)?/, (msg) => {
+  const help = `Commands:\n/start - register\n/puzzle - get the next puzzle (in private: an unseen one near your rating, or a due review)\n/puzzle <number> - get a specific puzzle by its number (e.g., /puzzle 15)\n/puzzle <theme> - practice a theme, e.g. /puzzle fork or /puzzle mate\n/battle [count] [speed|all|classic] - start a battle match (fun mode), e.g. /battle 10 all\n/duel @user [count] - challenge someone to a head-to-head duel (in a group, or privately)\n/duelstats - your duel rating and head-to-head records\n/play bot [1-8] [white|black] - a game against the engine; /play @user [10+5|1d] - a game against a member (default: a day per move)\n/move <move> - play your move (or reply to the board with it, or tap 🎯 Move); /draw, /resign, /game shows the board again\n/teamgame bot [1-8] or /teamgame group <name> [5m] - (group admins) the group plays the engine or another group, voting on every move; /teamgame shows the board, /teamgame resign gives up\n/stats - your personal score and stats\n/leaderboard - top players globally\n/groupleaderboard - top groups\n/puzzlemode - (group admins) sequential or adaptive /puzzle in a group\n/schedule - (group admins) auto-post puzzles daily at a time or every N hours\n/settings - (group admins) announcements, hints, reveal timer, language, battle length\n/roles - who are the bot's owners, admins, puzzle authors and moderators\n/mypuzzles - puzzles you submitted, and how solvers do on them\n/streakleaderboard - top correct streak players\n/ratingleaderboard - top puzzle ratings\n/analyze <PGN> - engine analysis of a game: accuracy, mistakes and blunders, an evaluation chart and an annotated PGN (e.g., /analyze 1. e4 e5...)\n\nOpen-answer puzzles (✍️): reply to the puzzle with your move, e.g. Rxf6, rf6 or e3f6.\n\nFound a good position? Send me a photo with caption POST|title|A) ..|B) ..|answer=A (or a text POSTFEN|title|<fen>|answer=<move>) in private - reviewers check it and you're credited when it's published. Authors' puzzles go live directly. Expiry is now DISABLED.`;
+  bot.sendMessage(msg.chat.id, help);
+});
+
+// --- GAME ANALYSIS (LOCAL UCI ENGINE) ---
+// /analyze <PGN> (or /analyze as a reply to a PGN): the game is read with chess.js, every position is
+// evaluated by a local UCI engine (ENGINE_PATH) and each move is graded by how much of the mover's
+// winning chances it gave away. Games are analysed one at a time from a small queue.
+const analysisQueue = []; // engine jobs (/analyze, /findpuzzles): { chatId, userId, statusMessageId, run(status) -> report }
+let analysisRunning = null;
+
+// Reads the first game of a PGN (or bare movetext) into { headers, startFen, moves } or { error }
+function parseGameForAnalysis(pgn) {
+    const chess = new Chess();
+    try {
+        chess.loadPgn(pgn);
+    } catch (e) {
+        return { error: e.message };
+    }
+    const moves = chess.history({ verbose: true });
+    if (moves.length === 0) return { error: 'no moves found' };
+    if (moves.length > ANALYSIS_MAX_PLIES) return { error: `the game is too long (${moves.length} half-moves, the limit is ${ANALYSIS_MAX_PLIES})` };
+    return { game: { headers: chess.getHeaders(), startFen: moves[0].before, moves } };
+}
+
+// Starts the engine and completes the UCI handshake; the caller must stopEngine() it
+async function startEngine() {
+    const proc = spawn(ENGINE_PATH, [], { stdio: ['pipe', 'pipe', 'ignore'] });
+    const engine = { proc, name: path.basename(ENGINE_PATH), pending: null, failure: null };
+    const fail = error => {
+        if (!engine.failure) engine.failure = error;
+        if (engine.pending) engine.pending.reject(engine.failure);
+    };
+    proc.on('error', e => fail(e.code === 'ENOENT' ? new Error(`no chess engine found at "${ENGINE_PATH}" - install Stockfish or set ENGINE_PATH`) : e));
+    proc.on('exit', code => fail(new Error(`the engine stopped unexpectedly (exit code ${code})`)));
+    proc.stdin.on('error', () => {}); // a write after a crash; the crash itself is reported by 'exit'
+
+    let buffer = '';
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', chunk => {
+        const lines = (buffer + chunk).split('\n');
+        buffer = lines.pop();
+        for (const line of lines) handleEngineLine(engine, line.trim());
+    });
+
+    try {
+        await engineRequest(engine, ['uci'], 'uciok', ENGINE_START_TIMEOUT_MS);
+        await engineRequest(engine, [
+            `setoption name Threads value ${ENGINE_THREADS}`,
+            `setoption name Hash value ${ENGINE_HASH_MB}`,
+            'ucinewgame',
+            'isready'
+        ], 'readyok', ENGINE_START_TIMEOUT_MS);
+    } catch (e) {
+        stopEngine(engine);
+        throw e;
+    }
+    return engine;
+}
+
+function handleEngineLine(engine, line) {
+    if (line.startsWith('id name ')) engine.name = line.slice('id name '.length);
+    const pending = engine.pending;
+    if (!pending) return;
+    pending.lines.push(line);
+    if (line.startsWith(pending.until)) pending.resolve(pending.lines);
+}
+
+// Sends UCI commands and collects the engine's output up to the line starting with `until`
+function engineRequest(engine, commands, until, timeoutMs) {
+    if (engine.failure) return Promise.reject(engine.failure);
+    return new Promise((resolve, reject) => {
+        const done = () => { clearTimeout(timer); engine.pending = null; };
+        const timer = setTimeout(() => { done(); reject(new Error(`the engine did not answer in time (waiting for ${until})`)); }, timeoutMs);
+        engine.pending = {
+            until,
+            lines: [],
+            resolve: lines => { done(); resolve(lines); },
+            reject: e => { done(); reject(e); }
+        };
+        engine.proc.stdin.write(commands.join('\n') + '\n');
+    });
+}
+
+function stopEngine(engine) {
+    engine.proc.stdin.end('quit\n');
+    // An engine stuck in a search gets killed (only this child process)
+    setTimeout(() => { if (engine.proc.exitCode === null) engine.proc.kill(); }, 2000).unref();
+}
+
+// Evaluation of a position from White's point of view: { cp, mate?, best?, lines? }.
+// cp is always set (mates become ±(MATE_CP - n)); mate is signed like "#-3", and 0 when already mated.
+// With multiPv > 1, lines holds the engine's top moves, best first: [{ cp, mate?, move: { uci, san } }].
+async function evaluatePosition(engine, fen, multiPv = 1) {
+    const chess = new Chess(fen);
+    const sign = chess.turn() === 'w' ? 1 : -1;
+    if (chess.isCheckmate()) return { cp: -sign * MATE_CP, mate: 0 };
+    if (chess.isDraw()) return { cp: 0 };
+
+    const output = await engineRequest(engine, [
+        `setoption name MultiPV value ${multiPv}`,
+        `position fen ${fen}`,
+        `go depth ${ANALYSIS_DEPTH} movetime ${ANALYSIS_MOVETIME_MS}`
+    ], 'bestmove', ANALYSIS_MOVETIME_MS + ENGINE_START_TIMEOUT_MS);
+
+    // The last score reported for each line is the deepest; UCI scores are from the side to move
+    const variations = [];
+    for (const line of output) {
+        const score = line.match(/^info\b.*\bscore (cp|mate) (-?\d+)/);
+        if (!score) continue;
+        const index = Number((line.match(/\bmultipv (\d+)/) || [null, 1])[1]) - 1;
+        const pv = line.match(/\bpv (\S+)/);
+        const value = Number(score[2]);
+        variations[index] = score[1] === 'cp'
+            ? { cp: sign * value }
+            : { cp: sign * Math.sign(value || -1) * (MATE_CP - Math.abs(value)), mate: sign * value };
+        variations[index].uci = pv ? pv[1] : null;
+    }
+    if (!variations[0]) throw new Error('the engine returned no evaluation');
+
+    const toMove = uci => {
+        const move = uci ? parseMoveInput(chess, uci).move : null;
+        return move ? { uci: move.lan, san: move.san } : null;
+    };
+    const { cp, mate } = variations[0];
+    const evaluation = mate === undefined ? { cp } : { cp, mate };
+    const best = output[output.length - 1].match(/^bestmove (\S+)/);
+    evaluation.best = toMove(best ? best[1] : variations[0].uci);
+    if (multiPv > 1) {
+        evaluation.lines = variations.filter(Boolean)
+            .map(v => ({ cp: v.cp, ...(v.mate !== undefined && { mate: v.mate }), move: toMove(v.uci) }))
+            .filter(v => v.move);
+    }
+    return evaluation;
+}
+
+// Lichess' curves: centipawns -> winning chances (0-100), and winning chances lost -> move accuracy
+function winPercent(cp) {
+    const clamped = Math.max(-1000, Math.min(1000, cp));
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * clamped)) - 1);
+}
+
+function moveAccuracy(winLoss) {
+    return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * winLoss) - 3.1669));
+}
+
+// Winning chances given away by one move (in % points): 5+ inaccuracy, 10+ mistake, 15+ blunder
+const MOVE_CLASSES = [
+    { name: 'blunder', minLoss: 15, mark: '??' },
+    { name: 'mistake', minLoss: 10, mark: '?' },
+    { name: 'inaccuracy', minLoss: 5, mark: '?!' }
+];
+
+function classifyMove(winLoss, playedBest) {
+    if (playedBest) return null;
+    const found = MOVE_CLASSES.find(c => winLoss >= c.minLoss);
+    return found ? found.name : null;
+}
+
+// Game accuracy per side: mean of the arithmetic and harmonic means of its move accuracies,
+// so a single blunder weighs more than in a plain average (an estimate of Lichess' method)
+function gameAccuracy(accuracies) {
+    if (accuracies.length === 0) return null;
+    const mean = accuracies.reduce((a, b) => a + b, 0) / accuracies.length;
+    const harmonic = accuracies.length / accuracies.reduce((a, b) => a + 1 / Math.max(b, 1), 0);
+    return (mean + harmonic) / 2;
+}
+
+// evals[i] is the position before move i; only moves with an evaluation on both sides are graded
+function buildAnalysis(game, evals, engineName, stoppedEarly) {
+    // Move numbers continue from the start position (a game set up with Black to move starts on "n...")
+    const firstMoveNumber = Number(game.startFen.split(' ')[5]) || 1;
+    const blackStarts = game.startFen.split(' ')[1] === 'b' ? 1 : 0;
+    const moves = game.moves.slice(0, Math.max(evals.length - 1, 0)).map((m, i) => {
+        const sign = m.color === 'w' ? 1 : -1;
+        const before = evals[i];
+        const after = evals[i + 1];
+        const winLoss = Math.max(0, winPercent(sign * before.cp) - winPercent(sign * after.cp));
+        const playedBest = before.best ? before.best.uci === m.lan : false;
+        return {
+            ply: i + 1,
+            moveNumber: firstMoveNumber + Math.floor((i + blackStarts) / 2),
+            color: m.color,
+            san: m.san,
+            uci: m.lan,
+            fenBefore: m.before,
+            evalBefore: before,
+            evalAfter: after,
+            best: before.best || null,
+            winLoss,
+            accuracy: moveAccuracy(winLoss),
+            classification: classifyMove(winLoss, playedBest)
+        };
+    });
+
+    const sides = {};
+    for (const color of ['w', 'b']) {
+        const own = moves.filter(m => m.color === color);
+        const counts = { inaccuracy: 0, mistake: 0, blunder: 0 };
+        own.forEach(m => { if (m.classification) counts[m.classification]++; });
+        sides[color] = { accuracy: gameAccuracy(own.map(m => m.accuracy)), counts, moves: own.length };
+    }
+    return {
+        engine: engineName,
+        depth: ANALYSIS_DEPTH,
+        headers: game.headers,
+        startFen: game.startFen,
+        moves,
+        sides,
+        sanMoves: game.moves.map(m => m.san), // the whole game, also past a time limit
+        totalPlies: game.moves.length,
+        stoppedEarly
+    };
+}
+
+// Engine runs wait their turn here - /analyze and /findpuzzles jobs, /play moves and team vote candidates alike -
+// so the host never runs two searches side by side
+let engineQueue = Promise.resolve();
+
+// Runs fn(engine) with a freshly started engine, which is stopped afterwards whatever happens
+function withEngine(fn) {
+    const run = async () => {
+        const engine = await startEngine();
+        try {
+            return await fn(engine);
+        } finally {
+            stopEngine(engine);
+        }
+    };
+    const result = engineQueue.then(run, run);
+    engineQueue = result.catch(() => {});
+    return result;
+}
+
+async function analyzeGame(engine, game, onProgress) {
+    const positions = [game.startFen, ...game.moves.map(m => m.after)];
+    const deadline = Date.now() + ANALYSIS_GAME_TIMEOUT_MS;
+    const evals = [];
+    for (const fen of positions) {
+        if (Date.now() > deadline) break;
+        evals.push(await evaluatePosition(engine, fen));
+        onProgress(evals.length, positions.length);
+    }
+    return buildAnalysis(game, evals, engine.name, evals.length < positions.length);
+}
+
+function formatEval(evaluation) {
+    if (evaluation.mate !== undefined) return evaluation.mate === 0 ? '#' : `#${evaluation.mate}`;
+    const pawns = evaluation.cp / 100;
+    return `${pawns > 0 ? '+' : ''}${pawns.toFixed(1)}`;
+}
+
+function gamePlayers(headers) {
+    const name = (tag, fallback) => (headers[tag] && headers[tag] !== '?' ? headers[tag] : fallback);
+    return `${name('White', 'White')} vs ${name('Black', 'Black')}`;
+}
+
+function moveLabel(m) {
+    return `${m.moveNumber}${m.color === 'w' ? '.' : '...'} ${m.san}`;
+}
+
+// The costliest mistakes and blunders, in game order
+function keyMoments(analysis) {
+    return analysis.moves
+        .filter(m => m.classification === 'mistake' || m.classification === 'blunder')
+        .sort((x, y) => y.winLoss - x.winLoss)
+        .slice(0, ANALYSIS_KEY_MOMENTS)
+        .sort((x, y) => x.ply - y.ply);
+}
+
+function moveMark(m) {
+    return m.classification ? MOVE_CLASSES.find(c => c.name === m.classification).mark : '';
+}
+
+// "14... Qxb2?? blunder (+0.3 → +3.1), best was Rb8"
+function momentText(m) {
+    const best = m.best ? `, best was ${m.best.san}` : '';
+    return `${moveLabel(m)}${moveMark(m)} ${m.classification} (${formatEval(m.evalBefore)} → ${formatEval(m.evalAfter)})${best}`;
+}
+
+function analysisReport(analysis) {
+    const h = analysis.headers;
+    const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    const sideLine = (label, side) => `${label}: ${count(side.counts.inaccuracy, 'inaccuracy', 'inaccuracies')}, ${count(side.counts.mistake, 'mistake', 'mistakes')}, ${count(side.counts.blunder, 'blunder', 'blunders')}`;
+    const accuracy = side => (side.accuracy === null ? 'N/A' : `${Math.round(side.accuracy)}%`);
+    const { w, b } = analysis.sides;
+
+    const lines = [
+        `📈 Game analysis - ${analysis.engine} (depth ${analysis.depth})`,
+        `${gamePlayers(h)}${h.Result && h.Result !== '*' ? ` · ${h.Result}` : ''}`,
+        '',
+        `🎯 Accuracy: White ${accuracy(w)} · Black ${accuracy(b)}`,
+        sideLine('White', w),
+        sideLine('Black', b)
+    ];
+
+    const moments = keyMoments(analysis);
+    if (moments.length > 0) {
+        lines.push('', 'Key moments (tap one to see the position):');
+        for (const m of moments) lines.push(momentText(m));
+    }
+
+    if (analysis.stoppedEarly) {
+        const lastMove = analysis.moves[analysis.moves.length - 1];
+        lines.push('', `⏱️ Time limit reached: analysed up to ${lastMove ? moveLabel(lastMove) : 'the start'} (${analysis.moves.length} of ${analysis.totalPlies} half-moves).`);
+    }
+    return lines.join('\n');
+}
+
+// Evaluation chart: White's winning chances over the game (White's share is the light area),
+// with inaccuracies, mistakes and blunders marked on the curve
+const MOVE_CLASS_COLORS = { inaccuracy: '#56b4e9', mistake: '#e69f00', blunder: '#db3031' };
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+}
+
+function renderEvalGraphSvg(analysis) {
+    const width = EVAL_GRAPH_WIDTH;
+    const height = EVAL_GRAPH_HEIGHT;
+    const margin = EVAL_GRAPH_MARGIN;
+    const plotWidth = width - margin * 2;
+    const plotHeight = height - margin * 2;
+    const bottom = margin + plotHeight;
+    // The x axis spans the whole game, so a report cut short by the time limit ends early on it
+    const x = ply => (margin + plotWidth * ply / analysis.totalPlies).toFixed(1);
+    const y = evaluation => (margin + plotHeight * (1 - winPercent(evaluation.cp) / 100)).toFixed(1);
+
+    const evals = [analysis.moves[0].evalBefore, ...analysis.moves.map(m => m.evalAfter)];
+    const curve = evals.map((evaluation, ply) => `${x(ply)},${y(evaluation)}`).join(' L');
+    const area = `M${x(0)},${bottom} L${curve} L${x(evals.length - 1)},${bottom} Z`;
+
+    const markers = analysis.moves.filter(m => m.classification)
+        .map(m => `<circle cx="${x(m.ply)}" cy="${y(m.evalAfter)}" r="5" fill="${MOVE_CLASS_COLORS[m.classification]}" stroke="#000000"/>`)
+        .join('');
+    const ticks = analysis.moves.filter(m => m.color === 'w' && m.moveNumber % 10 === 0)
+        .map(m => `<line x1="${x(m.ply - 1)}" y1="${margin}" x2="${x(m.ply - 1)}" y2="${bottom}" stroke="#555555"/>` +
+            `<text x="${x(m.ply - 1)}" y="${bottom + 16}" text-anchor="middle">${m.moveNumber}</text>`)
+        .join('');
+    const legend = MOVE_CLASSES.map((c, i) => {
+        const lx = width - margin - 110 * (i + 1);
+        return `<circle cx="${lx}" cy="${margin / 2}" r="5" fill="${MOVE_CLASS_COLORS[c.name]}"/><text x="${lx + 10}" y="${margin / 2 + 5}">${c.name}</text>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="${width}" height="${height}" fill="#262421"/>` +
+        `<rect x="${margin}" y="${margin}" width="${plotWidth}" height="${plotHeight}" fill="#3a3733"/>` +
+        `<path d="${area}" fill="#e8e6e3"/>${ticks}` +
+        `<line x1="${margin}" y1="${margin + plotHeight / 2}" x2="${margin + plotWidth}" y2="${margin + plotHeight / 2}" stroke="#888888" stroke-dasharray="4 4"/>` +
+        `<path d="M${curve}" fill="none" stroke="#9f9f9f" stroke-width="1.5"/>${markers}` +
+        `<g fill="#d9d9d9" font-family="sans-serif" font-size="13"><text x="${margin}" y="${margin / 2 + 5}">${escapeXml(gamePlayers(analysis.headers))}</text>${legend}</g></svg>`;
+}
+
+function renderEvalGraphPng(analysis) {
+    return new Resvg(renderEvalGraphSvg(analysis)).render().asPng();
+}
+
+// The game as PGN with the engine's verdicts: ?!/?/?? glyphs, [%eval] for every analysed move and
+// the engine's choice as a comment on each inaccuracy, mistake and blunder
+function annotatedPgn(analysis) {
+    const headers = { ...analysis.headers, Annotator: `${analysis.engine} (depth ${analysis.depth})` };
+    const [, turn, , , , fullmove] = analysis.startFen.split(' ');
+    let number = Number(fullmove) || 1;
+    let white = turn === 'w';
+    let restateNumber = true; // black moves get "n..." at the start and after a comment
+    const tokens = [];
+
+    analysis.sanMoves.forEach((san, i) => {
+        const m = analysis.moves[i]; // missing past the time limit
+        const prefix = white ? `${number}. ` : (restateNumber ? `${number}... ` : '');
+        tokens.push(prefix + san + (m ? moveMark(m) : '')); // a move number stays on the line of its move
+        restateNumber = false;
+        if (m) {
+            const notes = [];
+            if (m.evalAfter.mate !== 0) notes.push(`[%eval ${m.evalAfter.mate !== undefined ? `#${m.evalAfter.mate}` : (m.evalAfter.cp / 100).toFixed(2)}]`);
+            if (m.classification) {
+                notes.push(`${m.classification[0].toUpperCase()}${m.classification.slice(1)}.`);
+                if (m.best) notes.push(`${m.best.san} was best (${formatEval(m.evalBefore)}).`);
+            }
+            if (analysis.stoppedEarly && i === analysis.moves.length - 1) notes.push('Analysis stopped here (time limit).');
+            if (notes.length) {
+                tokens.push(`{ ${notes.join(' ')} }`);
+                restateNumber = true;
+            }
+        }
+        if (!white) number++;
+        white = !white;
+    });
+    tokens.push(headers.Result || '*');
+
+    // Movetext wrapped at 80 columns, as PGN export format asks
+    const lines = [''];
+    for (const token of tokens) {
+        const current = lines[lines.length - 1];
+        if (current && current.length + 1 + token.length > 80) lines.push(token);
+        else lines[lines.length - 1] = current ? `${current} ${token}` : token;
+    }
+    const headerText = Object.entries(headers).map(([tag, value]) => `[${tag} ${pgnQuote(value)}]`).join('\n');
+    return `${headerText}\n\n${lines.join('\n')}\n`;
+}
+
+// Keeps a report's critical positions for its "show position" buttons (the newest ANALYSIS_KEEP reports)
+function storeAnalysisMoments(analysis, moments) {
+    const id = uuidv4().slice(0, 8); // travels in callback data
+    const players = gamePlayers(analysis.headers);
+    const stored = { id, createdAt: Date.now(), players, moments: {} };
+    for (const m of moments) {
+        const previous = analysis.moves[m.ply - 2];
+        stored.moments[m.ply] = {
+            fen: m.fenBefore, // the position the mover faced
+            lastMove: previous ? [previous.uci.slice(0, 2), previous.uci.slice(2, 4)] : [],
+            flipped: m.color === 'b',
+            caption: `${players}\n${m.color === 'w' ? 'White' : 'Black'} to play (move ${m.moveNumber}).\nPlayed: ${momentText(m)}`
+        };
+    }
+    data.analyses[id] = stored;
+    Object.values(data.analyses)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(ANALYSIS_KEEP)
+        .forEach(old => delete data.analyses[old.id]);
+    saveData();
+    return id;
+}
+
+// The chart and the annotated PGN go out as their own messages; the returned report (text plus
+// one "show position" button per key moment) replaces the job's status message
+async function sendAnalysisResults(chatId, analysis) {
+    const players = gamePlayers(analysis.headers);
+    if (analysis.moves.length > 0) {
+        await bot.sendPhoto(chatId, renderEvalGraphPng(analysis), { caption: `📈 Evaluation: ${players}` }, { filename: 'evaluation.png', contentType: 'image/png' });
+    }
+    const fileName = `${players.replace(/[^\w.-]+/g, '_').slice(0, 60) || 'game'}-analysis.pgn`;
+    await bot.sendDocument(chatId, Buffer.from(annotatedPgn(analysis), 'utf8'),
+        { caption: '📝 Annotated PGN: ?! inaccuracy, ? mistake, ?? blunder, with the engine\'s move in the comments.' },
+        { filename: fileName, contentType: 'application/x-chess-pgn' });
+
+    const moments = keyMoments(analysis);
+    const text = analysisReport(analysis);
+    if (moments.length === 0) return text;
+    const analysisId = storeAnalysisMoments(analysis, moments);
+    const buttons = moments.map(m => ({ text: `🔍 ${moveLabel(m)}${moveMark(m)}`, callback_data: `POS|${analysisId}|${m.ply}` }));
+    const inline_keyboard = [];
+    for (let i = 0; i < buttons.length; i += 2) inline_keyboard.push(buttons.slice(i, i + 2));
+    return { text, options: { reply_markup: { inline_keyboard } } };
+}
+
+async function runNextAnalysis() {
+    const job = analysisRunning = analysisQueue.shift() || null;
+    if (!job) return;
+
+    // Never rejects: a chat that blocked or removed the bot mid-analysis must not take the queue (or the process) down
+    const status = (text, options = {}) => bot.editMessageText(text, { chat_id: job.chatId, message_id: job.statusMessageId, ...options })
+        .catch(() => bot.sendMessage(job.chatId, text, options))
+        .catch(e => console.warn('engine job status failed', e.message));
+    try {
+        // run() returns the final report: text, or { text, options } for extras such as buttons
+        const result = await job.run(status);
+        await (typeof result === 'string' ? status(result) : status(result.text, result.options));
+    } catch (e) {
+        console.error('Engine job failed:', e.message);
+        try {
+            await status(`❌ Analysis failed: ${e.message}`);
+        } catch (reportError) {
+            console.error('engine job failure report failed', reportError.message);
+        }
+    } finally {
+        runNextAnalysis();
+    }
+}
+
+// Progress reporter for a job's status message, updating it at most every ANALYSIS_PROGRESS_MS
+function throttledStatus(status) {
+    let lastAt = Date.now();
+    return text => {
+        if (Date.now() - lastAt < ANALYSIS_PROGRESS_MS) return;
+        lastAt = Date.now();
+        status(text);
+    };
+}
+
+// Queues an engine job (one per user at a time) and answers with the status message it will update
+async function queueEngineJob(msg, run) {
+    const userId = String(msg.from.id);
+    if ((analysisRunning && analysisRunning.userId === userId) || analysisQueue.some(j => j.userId === userId)) {
+        return bot.sendMessage(msg.chat.id, '⏳ Your previous request is still with the engine - please wait for its report.');
+    }
+    if (analysisQueue.length >= ANALYSIS_QUEUE_MAX) {
+        return bot.sendMessage(msg.chat.id, '🚦 The analysis queue is full right now. Please try again in a few minutes.');
+    }
+
+    const ahead = analysisQueue.length + (analysisRunning ? 1 : 0);
+    const sent = await bot.sendMessage(msg.chat.id, ahead > 0
+        ? `🕒 Queued for analysis (${ahead} request${ahead === 1 ? '' : 's'} ahead).`
+        : '⏳ Starting the analysis...', { reply_to_message_id: msg.message_id });
+    analysisQueue.push({ chatId: msg.chat.id, userId, statusMessageId: sent.message_id, run });
+    if (!analysisRunning) runNextAnalysis();
+}
+
+// FIX: Added optional bot username suffix to regex
+bot.onText(/^\/analyze(@\S+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    // Match index 2 captures the PGN string, ignoring the bot handle in index 1; a reply to a PGN works too
+    const reply = msg.reply_to_message;
+    const pgnString = (match[2] || (reply && (reply.text || reply.caption)) || '').trim();
+
+    if (!pgnString) {
+        return bot.sendMessage(chatId, "Please provide the PGN after the /analyze command (e.g. /analyze 1. e4 e5 2. Nf3 ...), or reply to a message containing one with /analyze.");
+    }
+
+    const { game, error } = parseGameForAnalysis(pgnString);
+    if (error) return bot.sendMessage(chatId, `❌ Could not read the PGN: ${error}`);
+
+    queueEngineJob(msg, async status => {
+        status(`⏳ Analysing ${game.moves.length} half-moves with the local engine...`);
+        const progress = throttledStatus(status);
+        const analysis = await withEngine(engine => analyzeGame(engine, game, (done, total) => progress(`⏳ Analysing: position ${done}/${total}...`)));
+        return sendAnalysisResults(msg.chat.id, analysis);
+    });
+});
+// --- END GAME ANALYSIS ---
+
+// --- PUZZLE MINING ---
+// /findpuzzles <PGN> (or as a reply to a PGN, or as the caption of .pgn files): each game is analysed,
+// and positions right after a sharp swing are searched again with several lines. Where exactly one move
+// keeps the advantage, a draft puzzle goes to the review queue - the engine's move is the answer and
+// its next-best moves are the wrong options - and the admin who asked is shown the first draft.
+
+// Every game of a PGN text: { games, failures }
+function readGamesForMining(text) {
+    const games = [];
+    const failures = [];
+    const found = splitPgnGames(text);
+    for (const entry of found.slice(0, MINE_MAX_GAMES)) {
+        const headers = Object.entries(entry.headers).map(([tag, value]) => `[${tag} ${pgnQuote(value)}]`).join('\n');
+        const { game, error } = parseGameForAnalysis(`${headers}\n\n${entry.movetext}`);
+        if (error) failures.push(`game at line ${entry.line}: ${error}`);
+        else games.push(game);
+    }
+    if (found.length > MINE_MAX_GAMES) failures.push(`${found.length - MINE_MAX_GAMES} more games ignored (the limit is ${MINE_MAX_GAMES} per request)`);
+    return { games, failures };
+}
+
+// Winning chances (%) for the side to move in a graded move's position
+function moverWinPercent(m, evaluation) {
+    return winPercent((m.color === 'w' ? 1 : -1) * evaluation.cp);
+}
+
+// Moves where the mover had a winning continuation right after an eval swing: the opponent's
+// previous move threw the advantage away, or the move played missed it
+function tacticalCandidates(analysis) {
+    return analysis.moves.filter((m, i) => {
+        const prev = analysis.moves[i - 1];
+        const swing = m.winLoss >= MINE_MIN_SWING || (prev && prev.winLoss >= MINE_MIN_SWING);
+        return swing && m.best && moverWinPercent(m, m.evalBefore) >= MINE_MIN_WIN;
+    });
+}
+
+// Exactly one move keeps the advantage: the best line does, the second-best clearly doesn't
+function isOnlyMove(m, evaluation) {
+    const [best, second] = evaluation.lines || [];
+    if (!best || !second) return false; // a single legal move is no puzzle
+    const bestWin = moverWinPercent(m, best);
+    const secondWin = moverWinPercent(m, second);
+    return bestWin >= MINE_MIN_WIN && secondWin < MINE_MIN_WIN && bestWin - secondWin >= MINE_ONLY_MOVE_GAP;
+}
+
+function minedPuzzleSpec(game, m, evaluation) {
+    const [best, ...others] = evaluation.lines;
+    const played = m.uci === best.move.uci
+        ? `${m.san} was found in the game.`
+        : `In the game ${m.san} was played (${formatEval(m.evalAfter)}).`;
+    return {
+        title: `${gamePlayers(game.headers)}: ${m.color === 'w' ? 'White' : 'Black'} to play (move ${m.moveNumber})`,
+        fen: m.fenBefore,
+        optionsWithKeys: optionSpecs([best.move.san, ...others.map(line => line.move.san)]),
+        answerValue: best.move.san,
+        explainText: `${best.move.san} keeps the advantage (${formatEval(best)}); the next best, ${others[0].move.san}, gives ${formatEval(others[0])}. ${played}`,
+        tagsText: best.mate !== undefined ? 'mate' : null
+    };
+}
+
+async function mineGames(games, from, chatId, status) {
+    const submitter = { id: from.id, name: userDisplayName(from) };
+    // Positions already in the library or the review queue aren't drafted twice
+    const known = new Set([...Object.values(data.puzzles), ...pendingSubmissions().map(sub => sub.puzzle)].map(puzzleIdentityKey));
+    const drafts = [];
+    let moments = 0;
+
+    await withEngine(async engine => {
+        for (const [n, game] of games.entries()) {
+            if (drafts.length >= MINE_MAX_DRAFTS) break;
+            const label = `⛏️ Game ${n + 1}/${games.length} (${gamePlayers(game.headers)})`;
+            status(`${label}: analysing...`);
+            const progress = throttledStatus(status);
+            const analysis = await analyzeGame(engine, game, (done, total) => progress(`${label}: position ${done}/${total}...`));
+
+            let lastDraftPly = -Infinity;
+            for (const m of tacticalCandidates(analysis)) {
+                if (drafts.length >= MINE_MAX_DRAFTS) break;
+                if (m.ply - lastDraftPly <= 2) continue; // the same combination continuing
+                moments++;
+                const evaluation = await evaluatePosition(engine, m.fenBefore, MINE_MULTIPV);
+                if (!isOnlyMove(m, evaluation)) continue;
+                lastDraftPly = m.ply;
+
+                const { puzzle } = buildFenPuzzle(minedPuzzleSpec(game, m, evaluation), from);
+                if (!puzzle || known.has(puzzleIdentityKey(puzzle))) continue;
+                known.add(puzzleIdentityKey(puzzle));
+                puzzle.source = {
+                    format: 'engine', white: game.headers.White || '?', black: game.headers.Black || '?',
+                    event: game.headers.Event || '?', date: game.headers.Date || '?', ply: m.ply, played: m.san
+                };
+                drafts.push(addSubmission(puzzle, submitter, 'engine'));
+            }
+        }
     });
     saveData();
-  } catch (e) {
-    // ENHANCED ERROR LOGGING HERE
-    console.error(`Failed to post puzzle #${p.puzzleNumber} (${p.id}) via /puzzle command to chat ${chatId}. Telegram API Error:`, e.message, e);
-    bot.sendMessage(msg.chat.id, 'Sorry, I failed to post the puzzle. This usually means the photo file is corrupted or Telegram access failed. An error has been logged for the admin.');
-  }
-});
+    if (drafts.length > 0) showSubmission(chatId, drafts[0]);
+    return { drafts, moments };
+}
 
+// Queues a puzzle search; text is one or more PGN games
+function queueMining(msg, text) {
+    const { games, failures } = readGamesForMining(text);
+    const failureText = failures.length ? `\n\nSkipped:\n${failures.slice(0, IMPORT_REPORT_LINES).join('\n')}` : '';
+    if (games.length === 0) return bot.sendMessage(msg.chat.id, `❌ No games could be read.${failureText}`);
+
+    return queueEngineJob(msg, async status => {
+        const { drafts, moments } = await mineGames(games, msg.from, msg.chat.id, status);
+        const found = drafts.length > 0
+            ? `${drafts.length} draft puzzle${drafts.length === 1 ? '' : 's'} sent for approval - the first is below, /review shows them all.`
+            : 'No position with a single winning move was found.';
+        return `⛏️ Puzzle search finished: ${games.length} game${games.length === 1 ? '' : 's'}, ${moments} sharp moment${moments === 1 ? '' : 's'} checked. ${found}${failureText}`;
+    });
+}
 
-// Group registration commands (No changes)
-// FIX: Added optional bot username suffix to regex
-bot.onText(/^\/register(@\S+)?$/, (msg) => {
-  // only allow in groups
-  if (msg.chat.type === 'group' || msg.chat.type === 'supergroup'){
-    addGroup(msg.chat);
-    bot.sendMessage(msg.chat.id, 'Group registered for puzzles. Admins can later broadcast puzzles here.');
-  }else{
-    bot.sendMessage(msg.chat.id, 'Use this command inside a group to register the group for puzzle broadcasts.');
-  }
+// Admin: /findpuzzles <PGN> - or reply /findpuzzles to a PGN, or send .pgn files with /findpuzzles as the caption
+bot.onText(/^\/findpuzzles(?:\s+([\s\S]+))?$/, (msg, match) => {
+    if (!requirePermission(msg, 'managePuzzles')) return;
+    const reply = msg.reply_to_message;
+    const text = (match[1] || (reply && (reply.text || reply.caption)) || '').trim();
+    if (!text) {
+        return bot.sendMessage(msg.chat.id, `Usage: /findpuzzles <PGN>, reply /findpuzzles to a PGN, or send a .pgn file (up to ${MINE_MAX_GAMES} games) with /findpuzzles as its caption.`);
+    }
+    queueMining(msg, text);
 });
+// --- END PUZZLE MINING ---
+
+// --- PLAY (GAMES AGAINST THE ENGINE OR A MEMBER) ---
+// A game is played in one chat (a group, or wherever /play bot was sent) or, for a private challenge, in both
+// players' private chats. Moves are typed (SAN, loose SAN or UCI) or picked with buttons; every move is
+// answered with a fresh board, and a finished game is sent as a PGN file.
+
+const gameTimers = {}; // gameId -> timeout that ends the game when the player to move runs out of time
+const COLOR_NAMES = { w: 'White', b: 'Black' };
+const PIECE_SYMBOLS = { k: '♔', q: '♕', r: '♖', b: '♗', n: '♘', p: '♙' };
+
+// "10+5" (minutes each + seconds per move) or "1d" / "12h" per move. Returns { clock } or { error }.
+function parseTimeControl(text) {
+    const fischer = /^(\d+)\+(\d+)$/.exec(text);
+    if (fischer) {
+        const minutes = Number(fischer[1]);
+        if (minutes < 1 || minutes > PLAY_MAX_CLOCK_MINUTES) return { error: `A clock has between 1 and ${PLAY_MAX_CLOCK_MINUTES} minutes per player.` };
+        return { clock: { type: 'fischer', baseMs: minutes * 60000, incrementMs: Number(fischer[2]) * 1000 } };
+    }
+    if (/^\d+\s*[hd]$/i.test(text)) {
+        const minutes = parseDurationMinutes(text);
+        if (!minutes || minutes > PLAY_MAX_DAYS_PER_MOVE * 1440) return { error: `Correspondence games allow between 1h and ${PLAY_MAX_DAYS_PER_MOVE}d per move.` };
+        return { clock: { type: 'daily', perMoveMs: minutes * 60000 } };
+    }
+    return { error: `"${text}" is not a time control - use e.g. 10+5 (minutes each + seconds per move) or 1d (per move).` };
+}
 
-// Admin list commands (No changes)
-bot.onText(/^\/remgroup\s+(\S+)/, (msg, match) => {
-  const from = msg.from;
-  if (!isAdmin(from.id)) return;
-  const chatId = match[1];
-  if (data.groups[String(chatId)]){
-    delete data.groups[String(chatId)];
+// Clock types: 'fischer' (minutes each + increment), 'daily' (time per move) and 'vote' (a team game's voting window)
+function timeControlLabel(clock) {
+    if (clock.type === 'fischer') return `${clock.baseMs / 60000}+${clock.incrementMs / 1000}`;
+    if (clock.type === 'vote') return `${formatDuration(clock.windowMs)} to vote on each move`;
+    return `${formatDuration(clock.perMoveMs)} per move`;
+}
+
+// PGN TimeControl tag: "600+5", or "1/86400" (one move per day)
+function pgnTimeControl(clock) {
+    if (clock.type === 'fischer') return `${clock.baseMs / 1000}+${clock.incrementMs / 1000}`;
+    return `1/${(clock.type === 'vote' ? clock.windowMs : clock.perMoveMs) / 1000}`;
+}
+
+// "1:05:09" / "4:07"
+function formatClock(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total % 3600 / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// Games always start from the initial position, so the move list is the whole state of the board
+function gameChess(game) {
+    const chess = new Chess();
+    for (const san of game.moves) chess.move(san);
+    return chess;
+}
+
+function gameTurn(game) {
+    return game.moves.length % 2 === 0 ? 'w' : 'b';
+}
+
+// Players: user ids, or group chat ids in a team game ('bot' is the engine)
+function gameHumans(game) {
+    return ['w', 'b'].map(c => game.players[c]).filter(p => p !== 'bot');
+}
+
+// The pending or running game a user plays in, if any
+function gameOf(uid, status = null) {
+    return Object.values(data.games).find(g => gameHumans(g).includes(uid) && (!status || g.status === status)) || null;
+}
+
+function gameColorOf(game, uid) {
+    return game.players.w === uid ? 'w' : game.players.b === uid ? 'b' : null;
+}
+
+function gamePlayerName(game, color) {
+    const player = game.players[color];
+    if (player === 'bot') return `Engine level ${game.level}`;
+    if (game.team) return data.groups[player] ? data.groups[player].title : `Group ${player}`;
+    return battleUserName(player);
+}
+
+// The game's own chat, or each player's private chat with the bot
+function gameChats(game) {
+    return game.chatId ? [game.chatId] : gameHumans(game);
+}
+
+function sendGameMessage(game, text, options = {}) {
+    return Promise.all(gameChats(game).map(chatId =>
+        bot.sendMessage(chatId, text, options).catch(e => console.error(`game message to ${chatId} failed`, e.message))
+    ));
+}
+
+// A player's own chat shows their side at the bottom; a shared board in a group turns to the side to move
+function gameBoardFlipped(game, chatId, turn) {
+    const own = gameColorOf(game, chatId);
+    if (own) return own === 'b';
+    if (game.level) return game.players.b !== 'bot';
+    return turn === 'b';
+}
+
+// When the player to move runs out of time (a team's vote closes); null while the engine is thinking (its time isn't counted)
+function gameDeadline(game, turn) {
+    if (game.status !== 'active' || game.players[turn] === 'bot') return null;
+    const limit = { daily: game.clock.perMoveMs, vote: game.clock.windowMs }[game.clock.type];
+    return game.turnStartedAt + (limit !== undefined ? limit : game.remainingMs[turn]);
+}
+
+function gameClockText(game, turn) {
+    const deadline = gameDeadline(game, turn);
+    if (game.clock.type === 'daily') return deadline ? `⏳ ${formatDuration(deadline - Date.now())} left for this move` : '';
+    if (game.clock.type === 'vote') return deadline ? `🗳 Voting closes in ${formatDuration(deadline - Date.now())}` : '';
+    const clocks = ['w', 'b'].filter(c => game.players[c] !== 'bot')
+        .map(c => `${COLOR_NAMES[c]} ${formatClock(c === turn && deadline ? deadline - Date.now() : game.remainingMs[c])}`);
+    return `⏱ ${clocks.join(' · ')}`;
+}
+
+// "12. Nf3" / "12... Nc6" for game.moves[i]
+function gameMoveLabel(game, i) {
+    return `${Math.floor(i / 2) + 1}${i % 2 === 0 ? '.' : '...'} ${game.moves[i]}`;
+}
+
+function gameCaption(game, chess) {
+    const turn = chess.turn();
+    const lines = [`♟️ ${gamePlayerName(game, 'w')} (White) vs ${gamePlayerName(game, 'b')} (Black) · ${timeControlLabel(game.clock)}`];
+    const lastMove = game.moves.length ? `Last move: ${gameMoveLabel(game, game.moves.length - 1)} · ` : '';
+    lines.push(`${lastMove}${COLOR_NAMES[turn]} to move${chess.inCheck() ? ' (check!)' : ''}`);
+    const clockText = gameClockText(game, turn);
+    if (clockText) lines.push(clockText);
+    if (game.drawOfferBy) lines.push(`🤝 ${gamePlayerName(game, game.drawOfferBy)} offers a draw.`);
+    if (game.team && game.players[turn] !== 'bot') {
+        lines.push(`🗳 ${gamePlayerName(game, turn)}: vote with the buttons, or reply to this board with another move to propose it.`);
+    } else if (game.players[turn] !== 'bot') {
+        lines.push(`✍️ ${gamePlayerName(game, turn)}: reply with your move (e.g. Nf3 or g1f3) or tap 🎯 Move.`);
+    }
+    return lines.join('\n');
+}
+
+// Board buttons. view: null (main row), 'pick' (pieces that can move), a square (that piece's moves) or 'resign'.
+// In a player's private chat only what that player can do is shown; a shared board shows everything.
+function gameKeyboard(game, chess, chatId, view = null) {
+    if (game.team) return teamVoteKeyboard(game, chess, chatId);
+    const cb = (action, arg) => `GM|${game.id}|${action}${arg ? `|${arg}` : ''}`;
+    const rows = [];
+    const addButtons = (buttons, back) => {
+        for (let i = 0; i < buttons.length; i += 4) rows.push(buttons.slice(i, i + 4));
+        rows.push([{ text: '◀ Back', callback_data: cb(back) }]);
+    };
+    const legal = chess.moves({ verbose: true });
+
+    if (view === 'pick') {
+        const order = 'kqrbnp';
+        const buttons = [...new Set(legal.map(m => m.from))]
+            .map(square => ({ square, piece: chess.get(square).type }))
+            .sort((a, b) => order.indexOf(a.piece) - order.indexOf(b.piece) || a.square.localeCompare(b.square))
+            .map(({ square, piece }) => ({ text: `${PIECE_SYMBOLS[piece]} ${square}`, callback_data: cb('from', square) }));
+        addButtons(buttons, 'main');
+    } else if (view === 'resign') {
+        rows.push([{ text: '🏳️ Yes, resign', callback_data: cb('resignyes') }, { text: '◀ Back', callback_data: cb('main') }]);
+    } else if (view) {
+        const buttons = legal.filter(m => m.from === view)
+            .map(m => ({ text: m.san, callback_data: cb('mv', m.from + m.to + (m.promotion || '')) }));
+        addButtons(buttons, 'pick');
+    } else {
+        const turn = chess.turn();
+        const own = gameColorOf(game, chatId);
+        if (game.players[turn] !== 'bot' && (!own || own === turn)) rows.push([{ text: '🎯 Move', callback_data: cb('pick') }]);
+        const row = [];
+        if (game.drawOfferBy && own !== game.drawOfferBy) {
+            row.push({ text: '🤝 Accept draw', callback_data: cb('drawyes') }, { text: '✖️ Decline', callback_data: cb('drawno') });
+        } else if (!game.drawOfferBy && !game.level) {
+            row.push({ text: '🤝 Offer draw', callback_data: cb('draw') });
+        }
+        row.push({ text: '🏳️ Resign', callback_data: cb('resign') });
+        rows.push(row);
+    }
+    return { inline_keyboard: rows };
+}
+
+// Takes the buttons off every board of the game (they'd act on an old position)
+function clearGameButtons(game) {
+    for (const [chatId, msgId] of Object.entries(game.boards)) {
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msgId }).catch(() => {});
+    }
+    game.boards = {};
+}
+
+// Redraws the buttons of the current boards, e.g. after a draw offer
+function refreshGameButtons(game) {
+    const chess = gameChess(game);
+    for (const [chatId, msgId] of Object.entries(game.boards)) {
+        bot.editMessageReplyMarkup(gameKeyboard(game, chess, chatId), { chat_id: chatId, message_id: msgId }).catch(() => {});
+    }
+}
+
+// Sends the current position with its buttons; replying to this board with a move plays it
+async function sendGameBoard(game, chats = gameChats(game)) {
+    const chess = gameChess(game);
+    if (game.team && !game.candidates && game.players[chess.turn()] !== 'bot') await seedTeamCandidates(game, chess);
+    await Promise.all(chats.map(async chatId => {
+        if (game.boards[chatId]) {
+            bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: game.boards[chatId] }).catch(() => {});
+        }
+        try {
+            const png = renderBoardPng(chess.fen(), { flipped: gameBoardFlipped(game, chatId, chess.turn()), highlight: game.lastMove || [] });
+            const sent = await bot.sendPhoto(chatId, png, { caption: gameCaption(game, chess), reply_markup: gameKeyboard(game, chess, chatId) },
+                { filename: 'board.png', contentType: 'image/png' });
+            game.boards[chatId] = sent.message_id;
+        } catch (e) {
+            console.error(`game board to ${chatId} failed`, e.message);
+        }
+    }));
+    if (data.games[game.id] === game) saveData();
+}
+
+// How the position ends the game, if it does: { result, reason }
+function gameOutcome(chess) {
+    if (chess.isCheckmate()) return { result: chess.turn() === 'w' ? '0-1' : '1-0', reason: 'checkmate' };
+    if (chess.isStalemate()) return { result: '1/2-1/2', reason: 'stalemate' };
+    if (chess.isInsufficientMaterial()) return { result: '1/2-1/2', reason: 'insufficient material' };
+    if (chess.isThreefoldRepetition()) return { result: '1/2-1/2', reason: 'threefold repetition' };
+    if (chess.isDrawByFiftyMoves()) return { result: '1/2-1/2', reason: '50-move rule' };
+    return null;
+}
+
+// A lone king, or king and one minor piece, can't win on time (close enough to FIDE's "no possible mate")
+function canStillMate(chess, color) {
+    const pieces = chess.board().flat().filter(sq => sq && sq.color === color && sq.type !== 'k');
+    return !(pieces.length === 0 || (pieces.length === 1 && 'bn'.includes(pieces[0].type)));
+}
+
+// Charges the mover for the time they took (plus the increment); true when their time had already run out
+function chargeGameClock(game, color) {
+    const used = Date.now() - game.turnStartedAt;
+    if (game.clock.type === 'daily') return used > game.clock.perMoveMs;
+    game.remainingMs[color] -= used;
+    if (game.remainingMs[color] <= 0) {
+        game.remainingMs[color] = 0;
+        return true;
+    }
+    game.remainingMs[color] += game.clock.incrementMs;
+    return false;
+}
+
+function armGameTimer(game) {
+    clearTimeout(gameTimers[game.id]);
+    delete gameTimers[game.id];
+    const turn = gameTurn(game);
+    const deadline = gameDeadline(game, turn);
+    if (deadline === null) return;
+    const ply = game.moves.length;
+    gameTimers[game.id] = setTimeout(() => {
+        delete gameTimers[game.id];
+        if (data.games[game.id] !== game || game.moves.length !== ply) return;
+        if (Date.now() < deadline) return armGameTimer(game);
+        if (game.team) closeTeamVote(game, turn);
+        else flagGame(game, turn);
+    }, Math.max(0, deadline - Date.now()));
+}
+
+// The player to move ran out of time: a loss, or a draw when the opponent has nothing left to mate with
+function flagGame(game, color) {
+    const opponent = color === 'w' ? 'b' : 'w';
+    const name = gamePlayerName(game, color);
+    if (!canStillMate(gameChess(game), opponent)) {
+        return endGame(game, '1/2-1/2', `${name} ran out of time, but ${gamePlayerName(game, opponent)} has no mating material`, 'time forfeit');
+    }
+    return endGame(game, opponent === 'w' ? '1-0' : '0-1', `${name} ran out of time`, 'time forfeit');
+}
+
+function gamePgn(game, chess, result, termination) {
+    const started = new Date(game.startedAt || game.createdAt);
+    const headers = {
+        Event: game.level ? `${game.team ? 'Team game' : 'Game'} against the engine (level ${game.level})` : game.team ? 'Team game' : 'Casual game',
+        Site: 'Telegram',
+        Date: `${started.getUTCFullYear()}.${String(started.getUTCMonth() + 1).padStart(2, '0')}.${String(started.getUTCDate()).padStart(2, '0')}`,
+        White: gamePlayerName(game, 'w'),
+        Black: gamePlayerName(game, 'b'),
+        Result: result,
+        TimeControl: pgnTimeControl(game.clock),
+        Termination: termination
+    };
+    for (const [name, value] of Object.entries(headers)) chess.setHeader(name, value);
+    return chess.pgn() + '\n';
+}
+
+// Ends the game: final board and a PGN file to every chat of the game. result '*' = stopped without a result.
+// termination is the PGN Termination tag: 'normal', 'time forfeit' or 'abandoned'.
+async function endGame(game, result, reason, termination = 'normal') {
+    clearTimeout(gameTimers[game.id]);
+    delete gameTimers[game.id];
+    delete data.games[game.id];
+    if (game.team) recordTeamResult(game, result);
     saveData();
-    bot.sendMessage(msg.chat.id, `Removed group ${chatId}`);
-  } else bot.sendMessage(msg.chat.id, `Group ${chatId} not found`);
+    clearGameButtons(game);
+
+    const chess = gameChess(game);
+    const winner = result === '1-0' ? 'w' : result === '0-1' ? 'b' : null;
+    const headline = winner ? `🏁 ${gamePlayerName(game, winner)} wins with ${COLOR_NAMES[winner]} - ${reason}.`
+        : result === '*' ? `⏹ Game stopped - ${reason}. No result.`
+        : `🤝 Draw - ${reason}.`;
+    const fullMoves = Math.ceil(game.moves.length / 2);
+    const caption = `${headline}\n${gamePlayerName(game, 'w')} vs ${gamePlayerName(game, 'b')}: ${result} after ${fullMoves} move${fullMoves === 1 ? '' : 's'}.`;
+    const pgn = gamePgn(game, chess, result, termination);
+
+    await Promise.all(gameChats(game).map(async chatId => {
+        try {
+            const png = renderBoardPng(chess.fen(), { flipped: gameBoardFlipped(game, chatId, chess.turn()), highlight: game.lastMove || [] });
+            await bot.sendPhoto(chatId, png, { caption }, { filename: 'board.png', contentType: 'image/png' });
+            await bot.sendDocument(chatId, Buffer.from(pgn, 'utf8'), { caption: '📄 The game as PGN' },
+                { filename: `game-${game.id}.pgn`, contentType: 'application/x-chess-pgn' });
+        } catch (e) {
+            console.error(`game result to ${chatId} failed`, e.message);
+        }
+    }));
+}
+
+// Plays a legal move (chess.js verbose move) for the side to move, then ends the game, hands over to the engine
+// or sends the new board. The mover's clock has already been charged.
+function applyGameMove(game, chess, move) {
+    const color = chess.turn();
+    chess.move(move.san);
+    game.moves.push(move.san);
+    game.lastMove = [move.from, move.to];
+    if (game.drawOfferBy && game.drawOfferBy !== color) game.drawOfferBy = null; // answered by playing on
+    if (game.team) {
+        game.votes = {};
+        game.candidates = null;
+    }
+    game.turnStartedAt = Date.now();
+    clearGameButtons(game);
+
+    const outcome = gameOutcome(chess);
+    if (outcome) return endGame(game, outcome.result, outcome.reason);
+    saveData();
+    armGameTimer(game);
+    if (game.players[chess.turn()] === 'bot') return playEngineMove(game.id); // the board follows the engine's reply
+    return sendGameBoard(game);
+}
+
+// Checks a player's typed or tapped move: { chess, move } or { error } to show them
+function readGameMove(game, uid, input) {
+    const chess = gameChess(game);
+    if (game.players[chess.turn()] !== uid) return { error: "It's not your move." };
+    const result = parseMoveInput(chess, input);
+    if (result.error) return { error: `🤔 ${result.error}. Try again, e.g. Nf3, nf3 or g1f3.` };
+    return { chess, move: result.move };
+}
+
+// Plays a checked move; one made after the player's time ran out loses on time instead
+async function playGameMove(game, chess, move) {
+    const turn = chess.turn();
+    if (chargeGameClock(game, turn)) return flagGame(game, turn);
+    return applyGameMove(game, chess, move);
+}
+
+// The engine's choice at a /play level, as a chess.js verbose move
+function engineBestMove(fen, level) {
+    const { skill, depth, movetimeMs } = PLAY_LEVELS[level - 1];
+    return withEngine(async engine => {
+        const lines = await engineRequest(engine, [
+            `setoption name Skill Level value ${skill}`,
+            `position fen ${fen}`,
+            `go depth ${depth} movetime ${movetimeMs}`
+        ], 'bestmove', movetimeMs + ENGINE_START_TIMEOUT_MS);
+        const answer = lines[lines.length - 1];
+        const { move } = parseMoveInput(new Chess(fen), answer.split(/\s+/)[1] || '');
+        if (!move) throw new Error(`the engine answered "${answer}"`);
+        return move;
+    });
+}
+
+async function playEngineMove(gameId) {
+    const game = data.games[gameId];
+    if (!game || game.status !== 'active' || game.players[gameTurn(game)] !== 'bot') return;
+    const ply = game.moves.length;
+    let move;
+    try {
+        move = await engineBestMove(gameChess(game).fen(), game.level);
+    } catch (e) {
+        console.warn('engine move failed', e.message);
+        if (data.games[gameId] === game) return endGame(game, '*', `the engine failed (${e.message})`, 'abandoned');
+        return;
+    }
+    if (data.games[gameId] !== game || game.moves.length !== ply) return; // resigned while the engine was thinking
+    return applyGameMove(game, gameChess(game), move);
+}
+
+async function startGame(game) {
+    game.status = 'active';
+    game.startedAt = game.turnStartedAt = Date.now();
+    if (game.clock.type === 'fischer') game.remainingMs = { w: game.clock.baseMs, b: game.clock.baseMs };
+    saveData();
+    armGameTimer(game);
+    if (game.players.w === 'bot') return playEngineMove(game.id);
+    return sendGameBoard(game);
+}
+
+function resignGame(game, uid) {
+    const color = gameColorOf(game, uid);
+    return endGame(game, color === 'w' ? '0-1' : '1-0', `${battleUserName(uid)} resigned`);
+}
+
+// Offers a draw, or accepts the opponent's offer. Returns the answer for the player.
+function offerDraw(game, uid) {
+    const color = gameColorOf(game, uid);
+    if (game.level) return "The engine doesn't take draw offers - play on, or /resign.";
+    if (game.drawOfferBy === color) return 'Your draw offer is still open.';
+    if (game.drawOfferBy) {
+        endGame(game, '1/2-1/2', 'agreed');
+        return 'Draw agreed.';
+    }
+    game.drawOfferBy = color;
+    saveData();
+    refreshGameButtons(game);
+    sendGameMessage(game, `🤝 ${battleUserName(uid)} offers a draw.`);
+    return 'Draw offered.';
+}
+
+// Declines the opponent's draw offer, or withdraws your own
+function declineDraw(game, uid) {
+    if (!game.drawOfferBy) return 'There is no draw offer.';
+    const withdrawn = game.drawOfferBy === gameColorOf(game, uid);
+    game.drawOfferBy = null;
+    saveData();
+    refreshGameButtons(game);
+    sendGameMessage(game, `${battleUserName(uid)} ${withdrawn ? 'withdrew the draw offer' : 'declined the draw'}.`);
+    return withdrawn ? 'Draw offer withdrawn.' : 'Draw declined.';
+}
+
+// On startup: re-arm clocks (an overdue one ends its game at once) and let the engine answer where it was thinking
+function resumeGames() {
+    for (const game of Object.values(data.games)) {
+        if (game.status !== 'active') continue;
+        if (game.players[gameTurn(game)] === 'bot') playEngineMove(game.id);
+        else armGameTimer(game);
+    }
+}
+
+// Expires unanswered /play challenges
+function sweepGames() {
+    for (const game of Object.values(data.games)) {
+        if (game.status !== 'pending' || Date.now() - game.createdAt <= PLAY_INVITE_TTL_MS) continue;
+        delete data.games[game.id];
+        saveData();
+        const invited = gameHumans(game).find(p => p !== game.challenger);
+        bot.sendMessage(game.chatId || game.challenger, `⌛ The game challenge to ${gamePlayerName(game, gameColorOf(game, invited))} expired.`)
+            .catch(e => console.error('game expiry message failed', e.message));
+    }
+}
+
+// /play bot [1-8] [white|black|random] [time] - a game against the engine (you play White unless you say otherwise)
+// /play @user [white|black|random] [time] - a challenge (or reply to their message with /play); colours are drawn by lot.
+// In a group the game is played there; from a private chat each player gets the board in their own chat with the bot.
+bot.onText(/^\/play(@\S+)?(?:\s+(.*))?$/, async (msg, match) => {
+    registerUser(msg.from);
+    const chatId = String(msg.chat.id);
+    const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+    const uid = String(msg.from.id);
+    const usage = `Usage: /play bot [level 1-${PLAY_LEVELS.length}] [white|black] [time], or /play @username [white|black] [time] (or reply to their message with /play).\n` +
+        `Time: 10+5 (minutes each + seconds per move) or 1d / 12h per move; the default is ${PLAY_DEFAULT_CLOCK} per move.`;
+
+    let opponentId = null;
+    let vsEngine = false;
+    let level = null;
+    let side = null;
+    let clockText = PLAY_DEFAULT_CLOCK;
+    const replied = msg.reply_to_message && msg.reply_to_message.from;
+    if (replied && !replied.is_bot) {
+        registerUser(replied);
+        opponentId = String(replied.id);
+    }
+    const textMention = (msg.entities || []).find(e => e.type === 'text_mention' && e.user);
+    if (textMention) {
+        registerUser(textMention.user);
+        opponentId = String(textMention.user.id);
+    }
+    for (const arg of (match[2] || '').trim().split(/\s+/).filter(Boolean)) {
+        const word = arg.toLowerCase();
+        if (['bot', 'engine', 'computer', 'stockfish'].includes(word)) {
+            vsEngine = true;
+        } else if (/^\d+$/.test(word)) {
+            level = Number(word);
+        } else if (['white', 'black', 'random'].includes(word)) {
+            side = word;
+        } else if (/^\d+\+\d+$|^\d+\s*[hd]$/.test(word)) {
+            clockText = word;
+        } else if (arg.startsWith('@')) {
+            opponentId = findUserIdByUsername(arg);
+            if (!opponentId) {
+                return bot.sendMessage(chatId, `I don't know ${arg} yet. They need to use the bot once (e.g. /start), or reply to one of their messages with /play.`);
+            }
+        } else if (!textMention) {
+            return bot.sendMessage(chatId, usage);
+        }
+    }
+
+    if (vsEngine === Boolean(opponentId) || (level !== null && !vsEngine)) return bot.sendMessage(chatId, usage);
+    if (level !== null && (level < 1 || level > PLAY_LEVELS.length)) {
+        return bot.sendMessage(chatId, `Engine levels go from 1 to ${PLAY_LEVELS.length}.`);
+    }
+    const timeControl = parseTimeControl(clockText);
+    if (timeControl.error) return bot.sendMessage(chatId, timeControl.error);
+    if (opponentId === uid) {
+        return bot.sendMessage(chatId, "You can't play yourself - try /play bot.");
+    }
+    // Your own game or open challenge blocks a new one; challenges you received don't (accepting checks again)
+    if (Object.values(data.games).some(g => gameHumans(g).includes(uid) && (g.status === 'active' || g.challenger === uid))) {
+        return bot.sendMessage(chatId, 'You already have a game pending or in progress (/game shows the board).');
+    }
+    if (opponentId && gameOf(opponentId, 'active')) {
+        return bot.sendMessage(chatId, `${battleUserName(opponentId)} is already playing a game.`);
+    }
+    if (isGroup) addGroup(msg.chat);
+
+    if (!side) side = vsEngine ? 'white' : 'random';
+    const ownColor = side === 'white' ? 'w' : side === 'black' ? 'b' : (Math.random() < 0.5 ? 'w' : 'b');
+    const otherColor = ownColor === 'w' ? 'b' : 'w';
+    const game = {
+        id: uuidv4().substring(0, 8),
+        players: { [ownColor]: uid, [otherColor]: vsEngine ? 'bot' : opponentId },
+        challenger: uid,
+        level: vsEngine ? (level || PLAY_DEFAULT_LEVEL) : null,
+        chatId: vsEngine || isGroup ? chatId : null,
+        clock: timeControl.clock,
+        status: 'pending',
+        createdAt: Date.now(),
+        moves: [],
+        boards: {},
+        drawOfferBy: null
+    };
+
+    if (vsEngine) {
+        data.games[game.id] = game;
+        await bot.sendMessage(chatId, `♟️ ${battleUserName(uid)} plays ${COLOR_NAMES[ownColor]} against the engine (level ${game.level}), ${timeControlLabel(game.clock)}.`);
+        return startGame(game);
+    }
+
+    const reply_markup = { inline_keyboard: [[
+        { text: '✅ Accept', callback_data: `GMACC|${game.id}` },
+        { text: '❌ Decline', callback_data: `GMDEC|${game.id}` }
+    ]] };
+    const text = `♟️ ${battleUserName(uid)} challenges ${battleUserName(opponentId)} to a game (${timeControlLabel(game.clock)}).\n` +
+        `${battleUserName(uid)} plays ${COLOR_NAMES[ownColor]}.` +
+        (isGroup ? '' : '\nYou will each get the board in your private chat with me.');
+    try {
+        const sent = await bot.sendMessage(isGroup ? chatId : opponentId, text, { reply_markup });
+        game.inviteChatId = String(sent.chat.id);
+        game.inviteMsgId = sent.message_id;
+    } catch (e) {
+        console.warn('game invite failed', e.message);
+        return bot.sendMessage(chatId, `Couldn't reach ${battleUserName(opponentId)}. They need to open a private chat with me and press Start first.`);
+    }
+    data.games[game.id] = game;
+    saveData();
+    if (!isGroup) bot.sendMessage(chatId, `Challenge sent to ${battleUserName(opponentId)}. It expires in ${formatDuration(PLAY_INVITE_TTL_MS)}.`);
 });
 
-bot.onText(/^\/addgroup\s+(\S+)/, (msg, match) => {
-  const from = msg.from;
-  if (!isAdmin(from.id)) return;
-  const chatId = match[1];
-  data.groups[String(chatId)] = { chatId: String(chatId), title: `manual-${chatId}`, registeredAt: Date.now(), nextPuzzleIndex: 0 };
-  saveData();
-  bot.sendMessage(msg.chat.id, `Added group ${chatId} to registry`);
+// /move <move> - plays a move in your game from any chat (replying to the board with the move works too)
+bot.onText(/^\/move(@\S+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const uid = String(msg.from.id);
+    const game = gameOf(uid, 'active');
+    if (!game) return bot.sendMessage(msg.chat.id, "You're not playing a game. Start one with /play bot or /play @username.");
+    if (!match[2]) return bot.sendMessage(msg.chat.id, 'Usage: /move Nf3 (or g1f3)');
+    const checked = readGameMove(game, uid, match[2]);
+    if (checked.error) return bot.sendMessage(msg.chat.id, checked.error, { reply_to_message_id: msg.message_id });
+    return playGameMove(game, checked.chess, checked.move);
 });
 
-bot.onText(/^\/listgroups$/, (msg) => {
-  const from = msg.from;
-  if (!isAdmin(from.id)) return;
-  const rows = Object.values(data.groups).map(g=>`${g.chatId} - ${g.title} (Next Index: ${g.nextPuzzleIndex || 0}) (Battle Index: ${g.battleNextPuzzleIndex || 0})`);
-  bot.sendMessage(msg.chat.id, 'Registered groups:\n' + (rows.length ? rows.join('\n') : '(none)'));
+bot.onText(/^\/resign(@\S+)?$/, (msg) => {
+    const uid = String(msg.from.id);
+    const game = gameOf(uid, 'active');
+    if (!game) return bot.sendMessage(msg.chat.id, "You're not playing a game.");
+    return resignGame(game, uid);
 });
 
-bot.onText(/^\/listpuzzles$/, (msg) => {
-  const from = msg.from;
-  if (!isAdmin(from.id)) return;
-  
-  // Sort by puzzle number for admin list
-  const sortedPuzzles = Object.values(data.puzzles).sort((a, b) => a.puzzleNumber - b.puzzleNumber);
+// /draw - offers a draw, or accepts the one your opponent offered
+bot.onText(/^\/draw(@\S+)?$/, (msg) => {
+    const uid = String(msg.from.id);
+    const game = gameOf(uid, 'active');
+    if (!game) return bot.sendMessage(msg.chat.id, "You're not playing a game.");
+    const answer = offerDraw(game, uid);
+    if (data.games[game.id]) bot.sendMessage(msg.chat.id, answer);
+});
 
-  const rows = sortedPuzzles.map(p=>`#${p.puzzleNumber} | ${p.id.substring(0, 8)}... - ${p.title} (opts: ${p.options.find(o=>o.isAnswer)?.text || 'N/A'})`);
-  bot.sendMessage(msg.chat.id, 'Puzzles:\n' + (rows.length ? rows.join('\n') : '(none)'));
+// /game - sends your game's board here again (e.g. when it has scrolled out of sight)
+bot.onText(/^\/game(@\S+)?$/, (msg) => {
+    const uid = String(msg.from.id);
+    const game = gameOf(uid, 'active');
+    if (!game) {
+        const pending = gameOf(uid, 'pending');
+        return bot.sendMessage(msg.chat.id, pending ? 'Your challenge is still waiting for an answer.' : "You're not playing a game. Start one with /play bot or /play @username.");
+    }
+    if (game.players[gameTurn(game)] === 'bot') return bot.sendMessage(msg.chat.id, 'The engine is thinking - its move comes in a moment.');
+    return sendGameBoard(game, [String(msg.chat.id)]);
 });
 
+// Typed moves: a reply to the game's board, or in a private chat just the move when it's your turn.
+// In a team game a reply is a member's vote (a new move becomes a candidate). Only move-shaped text counts
+// (a target square, or castling), so "gg" or "nice" under a board go unanswered.
+bot.on('message', async (msg) => {
+  try{
+    if (!msg.text || msg.text.startsWith('/') || !msg.from) return;
+    const text = msg.text.trim();
+    if (!/^[\w\s+#=!?×:-]{2,12}$/.test(text) || !/[a-h][1-8]|^[o0]-?[o0]/i.test(text)) return;
+    const chatId = String(msg.chat.id);
+    const uid = String(msg.from.id);
+
+    let game;
+    if (msg.reply_to_message) {
+      game = Object.values(data.games).find(g => g.status === 'active' && g.boards[chatId] === msg.reply_to_message.message_id);
+      if (game && game.team) {
+        if (game.players[gameTurn(game)] !== chatId) return; // the other group's move: a comment, not a vote
+        const vote = castTeamVote(game, chatId, msg.from, text);
+        // An accepted vote shows in the button counts; a reaction acknowledges it without a group message
+        if (vote.voted) {
+          return bot.setMessageReaction(msg.chat.id, msg.message_id, { reaction: [{ type: 'emoji', emoji: '👍' }] })
+            .catch(e => console.warn('vote reaction failed', e.message));
+        }
+        return bot.sendMessage(msg.chat.id, vote.text, { reply_to_message_id: msg.message_id });
+      }
+      if (!game || !gameColorOf(game, uid)) return; // not a board, or a spectator's comment
+    } else {
+      if (msg.chat.type !== 'private') return;
+      game = gameOf(uid, 'active');
+      if (!game || game.players[gameTurn(game)] !== uid) return;
+    }
+    const checked = readGameMove(game, uid, text);
+    if (checked.error) return bot.sendMessage(msg.chat.id, checked.error, { reply_to_message_id: msg.message_id });
+    await playGameMove(game, checked.chess, checked.move);
+  }catch(e){
+    console.error('game move handler err', e);
+  }
+});
+// --- END PLAY ---
 
-// User commands (start, help, stats, leaderboards - logic unchanged)
-// FIX: Added optional bot username suffix to regex
-bot.onText(/^\/start(@\S+)?/, (msg) => {
-  registerUser(msg.from);
-  const fromId = msg.from.id;
-  
-  let welcomeMessage = `Hi ${userDisplayName(msg.from)}! Send /help to see available commands.`;
+// --- TEAM GAMES (GROUP VOTING) ---
+// A /teamgame is a /play game whose players are groups. On the group's turn the board carries vote buttons;
+// when the voting window closes the most voted move is played (ties go to the candidate listed first).
 
-  if (isAdmin(fromId) && msg.chat.type === 'private') {
-    welcomeMessage = ADMIN_ACCESS_MESSAGE_STYLED + `
+const voteRefreshTimers = {}; // gameId -> pending redraw of the vote counts
 
-Your Admin Commands:
-/postpreview <id>, /broadcast <id>, /addgroup <chatId>, /remgroup <chatId>, /listgroups, /listpuzzles
-/showpuzzles - Displays all loaded puzzle IDs (for debugging).
-/removepuzzle <id> - **NEW:** Permanently removes a puzzle by ID.
-/reindexpuzzles - **FIX:** Use this if your sequential puzzles are missing or out of order.
-`;
-  }
-  
-  bot.sendMessage(msg.chat.id, welcomeMessage, { parse_mode: 'Markdown' });
-});
+// A registered group by chat id, @username or title (case-insensitive)
+function findGroup(query) {
+    const wanted = query.trim().toLowerCase();
+    return Object.values(data.groups).find(g =>
+        g.chatId === wanted || (g.username && `@${g.username.toLowerCase()}` === wanted) || (g.title || '').toLowerCase() === wanted
+    ) || null;
+}
 
-// FIX: Added optional bot username suffix to regex
-bot.onText(/^\/help(@\S+)?/, (msg) => {
-  const help = `Commands:\n/start - register\n/puzzle - get the next sequential puzzle\n/puzzle <number> - get a specific puzzle by its number (e.g., /puzzle 15)\n/battle - start a 5-puzzle battle match (fun mode)\n/stats - your personal score and stats\n/leaderboard - top players globally\n/groupleaderboard - top groups\n/streakleaderboard - top correct streak players\n/analyze <PGN> - Analyze a game from PGN string (e.g., /analyze 1. e4 e5...)\n\nAdmins: send photo with caption POST|... to create puzzle. Expiry is now DISABLED.`;
-  bot.sendMessage(msg.chat.id, help);
-});
+// The moves on the vote buttons (SAN): the ones seeded when the vote opened, plus whatever members proposed.
+// Random tempting moves stand in when nothing was seeded (no engine here).
+function teamCandidates(game, chess) {
+    if (!game.candidates) game.candidates = pickDistractors(chess, null, TEAM_SEED_CANDIDATES);
+    return game.candidates;
+}
 
-// UPDATED COMMAND: /analyze <PGN string> uses Lichess API (No changes)
-// FIX: Added optional bot username suffix to regex
-bot.onText(/^\/analyze(@\S+)?\s+([\s\S]+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    // Match index 2 captures the PGN string, ignoring the bot handle in index 1
-    const pgnString = match[2] ? match[2].trim() : ''; 
-    const API_URL = 'https://lichess.org/api/analysis/pgn'; // Lichess PGN Analysis API
+// Seeds a new vote with the engine's top moves (MultiPV), listed alphabetically so the buttons don't rank them.
+// Without an engine teamCandidates() falls back to random picks. The voting window opens once the search is done.
+async function seedTeamCandidates(game, chess) {
+    const ply = game.moves.length;
+    let moves = [];
+    try {
+        const evaluation = await withEngine(engine => evaluatePosition(engine, chess.fen(), TEAM_SEED_CANDIDATES));
+        moves = (evaluation.lines || [evaluation]).map(line => (line.move || line.best || {}).san).filter(Boolean);
+    } catch (e) {
+        console.warn('team vote candidates: no engine moves', e.message);
+    }
+    // Moved on, or seeded meanwhile (e.g. /teamgame asked for the board during the search)
+    if (data.games[game.id] !== game || game.moves.length !== ply || game.candidates) return;
+    if (moves.length > 0) game.candidates = moves.sort();
+    game.turnStartedAt = Date.now();
+    armGameTimer(game);
+}
 
-    if (!pgnString) {
-        return bot.sendMessage(chatId, "Please provide the PGN string after the /analyze command.");
+function teamVoteCounts(game) {
+    const counts = {};
+    for (const san of Object.values(game.votes)) counts[san] = (counts[san] || 0) + 1;
+    return counts;
+}
+
+// Vote buttons with their counts, only on the board of the group to move
+function teamVoteKeyboard(game, chess, chatId) {
+    if (game.players[chess.turn()] !== chatId) return { inline_keyboard: [] };
+    const counts = teamVoteCounts(game);
+    const buttons = teamCandidates(game, chess).map((san, i) => ({
+        text: counts[san] ? `${san} · ${counts[san]}` : san,
+        callback_data: `TV|${game.id}|${i}`
+    }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) rows.push(buttons.slice(i, i + 3));
+    return { inline_keyboard: rows };
+}
+
+// Redraws the vote counts at most every TEAM_VOTE_REFRESH_MS, however fast the votes come in
+function scheduleVoteRefresh(game) {
+    if (voteRefreshTimers[game.id]) return;
+    voteRefreshTimers[game.id] = setTimeout(() => {
+        delete voteRefreshTimers[game.id];
+        if (data.games[game.id] === game) refreshGameButtons(game);
+    }, TEAM_VOTE_REFRESH_MS);
+}
+
+// A member's vote: a tapped candidate, or a typed move (which becomes a new candidate).
+// Returns { voted, text }: whether the vote counts, and the answer for the member.
+function castTeamVote(game, chatId, from, input) {
+    const chess = gameChess(game);
+    const color = chess.turn();
+    const refuse = text => ({ voted: false, text });
+    if (game.players[color] !== chatId) return refuse("It's not your team's move.");
+    const result = parseMoveInput(chess, input);
+    if (result.error) return refuse(`🤔 ${result.error}.`);
+
+    registerUser(from);
+    const uid = String(from.id);
+    const stats = data.users[uid].teamStats;
+    const otherColor = color === 'w' ? 'b' : 'w';
+    if (game.participants[otherColor].includes(uid)) return refuse('You already vote for the other team in this game.');
+
+    const san = result.move.san;
+    const candidates = teamCandidates(game, chess);
+    if (!candidates.includes(san)) {
+        if (candidates.length >= TEAM_MAX_CANDIDATES) return refuse(`There are ${TEAM_MAX_CANDIDATES} candidates already - vote for one of the buttons.`);
+        candidates.push(san);
+        stats.proposals++;
     }
-    
-    // Notify the user that the analysis is starting
-    await bot.sendMessage(chatId, "⏱️ Sending game to Lichess for deep analysis... Please wait, this may take up to a minute for long games.");
+    const previous = game.votes[uid];
+    if (previous === san) return refuse(`You already voted for ${san}.`);
+    game.votes[uid] = san;
+    if (!previous) stats.votes++;
+    if (!game.participants[color].includes(uid)) game.participants[color].push(uid);
+    saveData();
+    scheduleVoteRefresh(game);
+    return { voted: true, text: previous ? `🗳 Vote changed to ${san}.` : `🗳 Voted for ${san}.` };
+}
 
+// The voting window is over: the most voted move is played. A window without votes is opened again;
+// after TEAM_MAX_EMPTY_VOTES of them in a row the team loses on time.
+function closeTeamVote(game, color) {
+    const chess = gameChess(game);
+    const groupId = game.players[color];
+    const counts = teamVoteCounts(game);
+    const total = Object.keys(game.votes).length;
+    if (total === 0) {
+        game.emptyVotes = (game.emptyVotes || 0) + 1;
+        if (game.emptyVotes >= TEAM_MAX_EMPTY_VOTES) return flagGame(game, color);
+        game.turnStartedAt = Date.now();
+        saveData();
+        armGameTimer(game);
+        const left = TEAM_MAX_EMPTY_VOTES - game.emptyVotes;
+        return bot.sendMessage(groupId, `🗳 Nobody voted - voting stays open for another ${formatDuration(game.clock.windowMs)}. ` +
+            `${left} more round${left === 1 ? '' : 's'} without votes and ${gamePlayerName(game, color)} loses on time.`)
+            .catch(e => console.error('team vote message failed', e.message));
+    }
 
-    // --- Phase 2: Lichess API Call ---
-    try {
-        const response = await fetch(API_URL, {
-            method: 'POST',
-            headers: { 
-                'Content-Type': 'application/x-www-form-urlencoded' 
-            },
-            body: `pgn=${encodeURIComponent(pgnString)}`
-        });
+    const winner = teamCandidates(game, chess).reduce((best, san) => (counts[san] || 0) > (counts[best] || 0) ? san : best);
+    for (const [uid, san] of Object.entries(game.votes)) {
+        if (san === winner && data.users[uid]) data.users[uid].teamStats.chosen++;
+    }
+    game.emptyVotes = 0;
+    const label = `${Math.floor(game.moves.length / 2) + 1}${color === 'w' ? '.' : '...'} ${winner}`;
+    bot.sendMessage(groupId, `🗳 Vote closed: ${label} with ${counts[winner]} of ${total} vote${total === 1 ? '' : 's'}.`)
+        .catch(e => console.error('team vote message failed', e.message));
+    return applyGameMove(game, chess, parseMoveInput(chess, winner).move);
+}
 
-        if (!response.ok) {
-            // Handle HTTP errors or rate limits
-            const errorText = await response.text();
-            console.error('Lichess API Error:', response.status, errorText);
-            
-            // If Lichess returns 400 (Bad Request), it usually means the PGN syntax is invalid.
-            if (response.status === 400) {
-                 return bot.sendMessage(chatId, `❌ Analysis Failed: The PGN syntax is invalid. Lichess requires proper PGN format (usually including move numbers and a result tag).`);
-            }
-            return bot.sendMessage(chatId, `❌ Lichess Analysis failed. HTTP Status: ${response.status}. The PGN might be too long, or the server is busy.`);
+// Everyone who voted in the game gets it counted as won, drawn or lost
+function recordTeamResult(game, result) {
+    if (result === '*') return;
+    for (const color of ['w', 'b']) {
+        for (const uid of game.participants[color]) {
+            const stats = data.users[uid] && data.users[uid].teamStats;
+            if (!stats) continue;
+            stats.games++;
+            if (result === '1/2-1/2') stats.draws++;
+            else if ((result === '1-0') === (color === 'w')) stats.wins++;
+            else stats.losses++;
         }
-        
-        // Lichess API returns a JSON object containing the game analysis
-        const analysisData = await response.json();
-        
-        // --- Phase 3: Format and Send Results ---
-        
-        // CRITICAL FIX: Check if deep analysis fields exist before accessing them.
-        if (!analysisData.accuracy || !analysisData.summary) {
-            console.error("Lichess returned minimal analysis data (likely PGN too short or invalid).", analysisData);
-            return bot.sendMessage(chatId, `⚠️ **Incomplete Analysis:** Lichess could not generate the deep analysis report. 
-This usually happens if the game is **too short (under 10 moves)** or if the **PGN format is missing headers** (like [Result "*"]). Please use a full PGN for better results.`);
+    }
+}
+
+// /teamgame bot [1-8] [white|black] [window] - the group plays the engine (White unless it says otherwise)
+// /teamgame group <name> [white|black] [window] - a challenge to another registered group; colours are drawn by lot
+// /teamgame - the board again; /teamgame resign - gives up (or withdraws a challenge). Group admins start and resign.
+bot.onText(/^\/teamgame(@\S+)?(?:\s+(.+))?$/, async (msg, match) => {
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+        return bot.sendMessage(msg.chat.id, 'Team games are played in groups. In private, /play bot or /play @username.');
+    }
+    addGroup(msg.chat);
+    const chatId = String(msg.chat.id);
+    const usage = `Usage: /teamgame bot [level 1-${PLAY_LEVELS.length}] [white|black] [window], or /teamgame group <group name> [white|black] [window].\n` +
+        `Window: how long each vote stays open, e.g. 5m or 2h (default ${TEAM_VOTE_MINUTES}m). /teamgame resign gives up.`;
+    const args = (match[2] || '').trim().split(/\s+/).filter(Boolean);
+    const current = gameOf(chatId);
+
+    if (args.length === 0) {
+        if (!current) return bot.sendMessage(chatId, usage);
+        if (current.status === 'pending') return bot.sendMessage(chatId, 'The team game challenge is still waiting for an answer.');
+        if (current.players[gameTurn(current)] === 'bot') return bot.sendMessage(chatId, 'The engine is thinking - its move comes in a moment.');
+        return sendGameBoard(current, [chatId]);
+    }
+    const sub = args[0].toLowerCase();
+    if (!['bot', 'group', 'resign'].includes(sub)) return bot.sendMessage(chatId, usage);
+    if (!(await isChatAdmin(msg.chat.id, msg.from.id))) {
+        return bot.sendMessage(chatId, 'Only group admins can start or resign team games. Everyone can vote!');
+    }
+
+    if (sub === 'resign') {
+        if (!current) return bot.sendMessage(chatId, 'This group has no team game.');
+        const color = gameColorOf(current, chatId);
+        if (current.status === 'pending') {
+            delete data.games[current.id];
+            saveData();
+            if (current.inviteMsgId) bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: current.inviteChatId, message_id: current.inviteMsgId }).catch(() => {});
+            return sendGameMessage(current, `${gamePlayerName(current, color)} withdrew the team game challenge.`);
         }
-        
-        const whiteAccuracy = analysisData.accuracy.white.toFixed(2);
-        const blackAccuracy = analysisData.accuracy.black.toFixed(2);
-        const finalResult = analysisData.game.result;
+        return endGame(current, color === 'w' ? '0-1' : '1-0', `${gamePlayerName(current, color)} resigned`);
+    }
+    if (current) return bot.sendMessage(chatId, 'This group already has a team game (/teamgame shows the board).');
+
+    // Options come last; for "group" whatever is left is the other group's name
+    let level = null;
+    let side = null;
+    let windowMinutes = TEAM_VOTE_MINUTES;
+    const rest = args.slice(1);
+    while (rest.length) {
+        const word = rest[rest.length - 1].toLowerCase();
+        if (['white', 'black', 'random'].includes(word)) side = word;
+        else if (/^\d+(m|min|h)$/.test(word)) windowMinutes = parseDurationMinutes(word);
+        else if (sub === 'bot' && /^\d+$/.test(word)) level = Number(word);
+        else break;
+        rest.pop();
+    }
+    if (sub === 'bot' ? rest.length > 0 : rest.length === 0) return bot.sendMessage(chatId, usage);
+    if (level !== null && (level < 1 || level > PLAY_LEVELS.length)) {
+        return bot.sendMessage(chatId, `Engine levels go from 1 to ${PLAY_LEVELS.length}.`);
+    }
+    if (!windowMinutes || windowMinutes > TEAM_VOTE_MAX_MINUTES) {
+        return bot.sendMessage(chatId, `The voting window is between 1m and ${TEAM_VOTE_MAX_MINUTES / 60}h.`);
+    }
 
-        const summary = analysisData.summary;
-        
-        let analysisReport = `📈 **Lichess Game Analysis Report** 📉\n`;
-        analysisReport += `\n**Game:** ${analysisData.game.white.name || 'White'} vs. ${analysisData.game.black.name || 'Black'}\n`;
-        analysisReport += `**Result:** ${finalResult}\n`;
-        analysisReport += `---------------------------------\n`;
-        analysisReport += `🎯 **Accuracy**\n`;
-        analysisReport += `White: ${whiteAccuracy}%\n`;
-        analysisReport += `Black: ${blackAccuracy}%\n`;
-        analysisReport += `---------------------------------\n`;
-        analysisReport += `⚠️ **Move Classification**\n`;
-        analysisReport += `Brilliant: ${summary.brilliant.total || 0}\n`;
-        analysisReport += `Great: ${summary.great.total || 0}\n`;
-        analysisReport += `Excellent: ${summary.excellent.total || 0}\n`;
-        analysisReport += `Good: ${summary.good.total || 0}\n`;
-        analysisReport += `Inaccuracy: ${summary.inaccuracy.total || 0} 🤨\n`;
-        analysisReport += `Mistake: ${summary.mistal.total || 0} 😟\n`;
-        analysisReport += `Blunder: ${summary.blunder.total || 0} 💀\n`;
-        analysisReport += `Missed Win: ${summary.missedWin.total || 0}\n`;
-        analysisReport += `---------------------------------\n`;
-        
-        // Add a link to the analysis on Lichess for deeper review
-        analysisReport += `Full Analysis Link: [Click Here](${analysisData.url || 'No URL provided'})`;
+    let opponent = null;
+    if (sub === 'group') {
+        const name = rest.join(' ');
+        opponent = findGroup(name);
+        if (!opponent) return bot.sendMessage(chatId, `I don't know a group called "${name}". The bot has to be in it, and the group needs to be registered (/register there).`);
+        if (opponent.chatId === chatId) return bot.sendMessage(chatId, "A group can't play itself - try /teamgame bot.");
+        if (gameOf(opponent.chatId)) return bot.sendMessage(chatId, `${opponent.title} already has a team game.`);
+    }
 
+    if (!side) side = opponent ? 'random' : 'white';
+    const ownColor = side === 'white' ? 'w' : side === 'black' ? 'b' : (Math.random() < 0.5 ? 'w' : 'b');
+    const otherColor = ownColor === 'w' ? 'b' : 'w';
+    const game = {
+        id: uuidv4().substring(0, 8),
+        team: true,
+        players: { [ownColor]: chatId, [otherColor]: opponent ? opponent.chatId : 'bot' },
+        challenger: chatId,
+        level: opponent ? null : (level || PLAY_DEFAULT_LEVEL),
+        chatId: null,
+        clock: { type: 'vote', windowMs: windowMinutes * 60000 },
+        status: 'pending',
+        createdAt: Date.now(),
+        moves: [],
+        boards: {},
+        drawOfferBy: null,
+        votes: {},          // userId -> SAN, for the vote that is open
+        candidates: null,
+        emptyVotes: 0,
+        participants: { w: [], b: [] } // userIds who voted for each side
+    };
 
-        await bot.sendMessage(chatId, analysisReport, { parse_mode: 'Markdown' });
+    if (!opponent) {
+        data.games[game.id] = game;
+        await bot.sendMessage(chatId, `♟️ Team game! ${gamePlayerName(game, ownColor)} plays ${COLOR_NAMES[ownColor]} against the engine (level ${game.level}). ` +
+            `Every move is put to a vote, open for ${formatDuration(game.clock.windowMs)}.`);
+        return startGame(game);
+    }
 
-    } catch (error) {
-        console.error('Lichess Analysis Catch Error:', error);
-        await bot.sendMessage(chatId, "❌ An error occurred while processing the analysis results.");
+    const reply_markup = { inline_keyboard: [[
+        { text: '✅ Accept', callback_data: `TGACC|${game.id}` },
+        { text: '❌ Decline', callback_data: `TGDEC|${game.id}` }
+    ]] };
+    try {
+        const sent = await bot.sendMessage(opponent.chatId,
+            `♟️ ${gamePlayerName(game, ownColor)} challenges this group to a team game: each group votes on its moves (${timeControlLabel(game.clock)}).\n` +
+            `${gamePlayerName(game, ownColor)} plays ${COLOR_NAMES[ownColor]}. A group admin can accept.`, { reply_markup });
+        game.inviteChatId = String(sent.chat.id);
+        game.inviteMsgId = sent.message_id;
+    } catch (e) {
+        console.warn('team game invite failed', e.message);
+        return bot.sendMessage(chatId, `Couldn't post the challenge in ${opponent.title} - is the bot still a member there?`);
     }
+    data.games[game.id] = game;
+    saveData();
+    bot.sendMessage(chatId, `Challenge sent to ${opponent.title}. It expires in ${formatDuration(PLAY_INVITE_TTL_MS)}.`);
 });
+// --- END TEAM GAMES ---
 
 
 // User stats commands (No changes)
@@ -1146,13 +6034,26 @@ bot.onText(/^\/stats(@\S+)?$/, (msg) => {
   const text = `Your stats:
 Name: ${u.name}
 Title: **${title}**
+Rating: ${formatRating(u.rating)} (±${Math.round((u.rating || newRating()).rd)})
+Duel Rating: ${formatRating(u.duelRating)}
 Score: ${u.score}
 Streak: ${u.currentStreak} (Max: ${u.maxStreak})
 Correct: ${u.correct}
 Attempts: ${u.attempts}
 Accuracy: ${u.attempts? Math.round(100*u.correct/u.attempts)+'%':'N/A'}`;
+
+  const team = u.teamStats || newTeamStats();
+  const teamText = team.votes
+    ? `\n\nTeam games: ${team.games} played (${team.wins}W ${team.losses}L ${team.draws}D)\nTeam votes: ${team.votes} (${team.chosen} played), moves proposed: ${team.proposals}`
+    : '';
+
+  // Per-theme accuracy (most practiced first)
+  const themes = themeAccuracy(u).slice(0, 8);
+  const themeText = themes.length
+    ? `\n\nBy theme:\n${themes.map(t => `${t.tag}: ${t.correct}/${t.attempts} (${Math.round(100 * t.correct / t.attempts)}%)`).join('\n')}`
+    : '';
   
-  bot.sendMessage(msg.chat.id, text, { parse_mode: 'Markdown' });
+  bot.sendMessage(msg.chat.id, text + teamText + themeText, { parse_mode: 'Markdown' });
 });
 
 // FIX: Added optional bot username suffix to regex
@@ -1161,12 +6062,25 @@ bot.onText(/^\/leaderboard(@\S+)?$/, (msg) => {
   
   const text = rows.map((u,i)=>{
     const title = getPlayerTitle(u.score);
-    return `${i+1}. ${u.name} [${title}] — ${u.score} points (${u.correct}/${u.attempts})`;
+    return `${i+1}. ${u.name} [${title}] — ${u.score} points, rating ${formatRating(u.rating)} (${u.correct}/${u.attempts})`;
   }).join('\n') || '(no players yet)';
   
   bot.sendMessage(msg.chat.id, `Global Leaderboard:\n${text}`);
 });
 
+// Puzzle rating leaderboard (Glicko-2); players still on a provisional rating are left out
+bot.onText(/^\/ratingleaderboard(@\S+)?$/, async (msg) => {
+  const rows = Object.values(data.users).filter(u => u.rating && u.rating.rd <= RATING_PROVISIONAL_RD)
+    .sort((a,b)=> b.rating.rating - a.rating.rating || a.rating.rd - b.rating.rd)
+    .slice(0,10);
+
+  const text = rows.map((u,i)=>{
+    return `${i+1}. ${u.name} — ${Math.round(u.rating.rating)} (±${Math.round(u.rating.rd)})`;
+  }).join('\n') || '(no established ratings yet - solve a few more puzzles!)';
+
+  await bot.sendMessage(msg.chat.id, `Puzzle Rating Leaderboard:\n${text}`);
+});
+
 // FIX: Added optional bot username suffix to regex
 bot.onText(/^\/streakleaderboard(@\S+)?$/, async (msg) => {
   const rows = Object.values(data.users).filter(u => u.maxStreak > 0)
@@ -1198,6 +6112,177 @@ bot.onText(/^\/groupleaderboard(@\S+)?$/, async (msg) => {
 });
 
 
+// Finds the puzzle posted as message msgId in chatId, with its postedIn entry
+function findPostedPuzzle(chatId, msgId) {
+    const indexed = postedIndex.get(postKey(chatId, msgId));
+    const puzzle = indexed && data.puzzles[indexed.puzzleId];
+    if (!puzzle) return { puzzle: null, postedEntry: null };
+    return { puzzle, postedEntry: indexed.entry };
+}
+
+// Judges an answer to a posted puzzle with the shared first-attempt / practice logic (buttons and typed answers).
+// `reply` shows the answerer their private feedback (callback pop-up, or a chat reply in private chats);
+// it is null for typed answers in groups so the correct move is not revealed publicly.
+async function judgeAnswer(puzzle, from, chat, chosenMoveText, { reply = null, announce = true, replyToMessageId = null, postedEntry = null } = {}) {
+    const uid = String(from.id);
+    const chatId = String(chat.id);
+    const chatType = chat.type;
+    const userRec = data.users[uid]; 
+
+    // 2. CHECK IF ALREADY ANSWERED BEFORE RECORDING NEW ATTEMPT (Practice logic starts here)
+    const alreadyAttempted = !!userRec.answers[puzzle.id];
+
+    // Determine correctness outside of scoring logic
+    const correctMoveText = puzzle.options.find(opt => opt.isAnswer)?.text || null;
+    const isCorrect = correctMoveText && (chosenMoveText === correctMoveText);
+    if (postedEntry) recordPostResponse(postedEntry, uid, chosenMoveText, isCorrect);
+    
+    // Multi-move line: a correct first move opens a move-by-move session, scored when the line ends
+    if (isCorrect && puzzle.solution && puzzle.solution.length > 1) {
+        if (Object.values(data.lines).some(s => s.uid === uid && s.puzzleId === puzzle.id)) {
+            if (reply) await reply('You are already working through this line - continue on the latest board.');
+            return;
+        }
+        if (!alreadyAttempted) {
+            userRec.answers[puzzle.id] = chosenMoveText; // Reserves the first attempt; it is scored when the line ends
+            recordFirstAttempt(userRec, puzzle, chosenMoveText, null);
+            saveData();
+        }
+        if (reply) await reply('✅ Correct! The line continues...');
+        return startLineSession(puzzle, from, chat, !alreadyAttempted);
+    }
+
+    let scoreChange = 0; 
+    let ratingChange = null;
+    let practiceAttempt = false; // Flag for final message
+
+    if (alreadyAttempted) {
+        // --- PRACTICE MODE LOGIC ---
+        practiceAttempt = true;
+        // Scores and stats DO NOT CHANGE, regardless of correctness
+        
+        // Update the last answer field only if the user got it right this time (Optional, but useful for stats)
+        if (isCorrect) {
+            userRec.answers[puzzle.id] = chosenMoveText; 
+        }
+        updateReview(userRec, puzzle.id, isCorrect ? 1 : 0, false); // a due review moves box either way
+        saveData();
+        // --- END PRACTICE MODE LOGIC ---
+        
+    } else {
+        // --- FIRST ATTEMPT SCORING LOGIC ---
+        
+        // 3. Record the first answer, preventing future scoring
+        userRec.answers[puzzle.id] = chosenMoveText;
+
+        if (correctMoveText){
+            // 4. User + Group Scoring (Only on FIRST attempt)
+            ({ scoreChange, ratingChange } = applyFirstAttemptScore(userRec, puzzle, chatId, chatType, isCorrect ? 1 : 0));
+            recordFirstAttempt(userRec, puzzle, chosenMoveText, isCorrect ? 1 : 0);
+        } else {
+            userRec.attempts = (userRec.attempts || 0) + 1;
+            saveData();
+        }
+        // --- END FIRST ATTEMPT SCORING LOGIC ---
+    }
+    
+    // 5. Send final feedback
+    let replyText = '';
+    let announcementText = '';
+
+    const who = userDisplayName(from);
+
+    if (practiceAttempt) {
+        // Response for subsequent attempts (No score change)
+        if (isCorrect) {
+            replyText = `✅ Correct! (Practice attempt, score unchanged.)`;
+            announcementText = tr(chatId, 'practiceCorrect', { who });
+        } else {
+            // FIX 3: Hide correct answer from private pop-up but give status
+            replyText = `❌ Wrong. Correct move was: ${correctMoveText}. (Practice attempt, score unchanged.)`;
+            announcementText = tr(chatId, 'practiceWrong', { who });
+        }
+    } else {
+        // Response for first attempt (Score changed)
+        const scoreDisplay = scoreChange !== 0 ? `(+${scoreChange} points. Current Score: ${userRec.score})` : '';
+        const streakMsg = isCorrect ? ` | Streak: ${userRec.currentStreak}` : ' | Streak broken!';
+        const scoreBase = scoreChange > 0 ? SCORE_CORRECT : SCORE_WRONG;
+        const ratingMsg = ratingChange !== null ? ` | Rating: ${formatRating(userRec.rating)} (${ratingChange >= 0 ? '+' : ''}${ratingChange})` : '';
+        
+        // Same pieces in the group's language for the public announcement
+        const publicScore = scoreChange !== 0 ? tr(chatId, 'scoreDisplay', { points: scoreChange, score: userRec.score }) : '';
+        const publicStreak = isCorrect ? tr(chatId, 'streak', { n: userRec.currentStreak }) : tr(chatId, 'streakBroken');
+        
+        if (isCorrect) {
+            replyText = `✅ Correct! ${scoreDisplay}${streakMsg}${ratingMsg}`;
+            // FIX 4: Hide chosen move, only show score/status in public announcement
+            announcementText = tr(chatId, 'announceCorrect', { who, scoreDisplay: publicScore, streak: publicStreak }); 
+        } else if (correctMoveText) {
+            replyText = `❌ Wrong. ${scoreDisplay} | Correct: ${correctMoveText}${streakMsg}${ratingMsg}`;
+            // FIX 5: Show simple incorrect status (Hides correct answer from public chat)
+            announcementText = tr(chatId, 'announceWrong', { who, base: scoreBase, streak: publicStreak });
+        } else {
+            replyText = 'Answer recorded (Puzzle had no answer key).';
+            announcementText = tr(chatId, 'answerRecorded', { who });
+        }
+    }
+
+
+    if (reply) await reply(replyText);
+    if (announce) {
+        const announceOptions = { parse_mode: 'Markdown' };
+        if (replyToMessageId) announceOptions.reply_to_message_id = replyToMessageId;
+        await sendAnnouncement(chat.id, announcementText, announceOptions);
+    }
+}
+
+// Open-answer puzzles: solvers reply to the puzzle (or to their current line board) with a typed move
+bot.on('message', async (msg) => {
+  try{
+    if (!msg.text || msg.text.startsWith('/') || !msg.reply_to_message || !msg.from) return;
+    // Only short, move-looking replies (a target square, or castling) count as answers; ordinary chat replies
+    // to the puzzle such as "thanks" are ignored without a word, so nothing gets posted in the group
+    const text = msg.text.trim();
+    if (!/^[\w\s+#=!?×:-]{2,12}$/.test(text) || !/[a-h][1-8]|^[O0]-[O0]/i.test(text)) return;
+
+    const chatId = String(msg.chat.id);
+    const repliedId = msg.reply_to_message.message_id;
+    const isPrivate = msg.chat.type === 'private';
+    // Private feedback (which may name the correct move) only where nobody else can read it
+    const reply = isPrivate ? text => bot.sendMessage(msg.chat.id, text, { reply_to_message_id: msg.message_id }) : null;
+    const unreadable = error => bot.sendMessage(msg.chat.id, `🤔 ${error}. Try again, e.g. Rxf6, rf6 or e3f6.`, { reply_to_message_id: msg.message_id });
+
+    const session = Object.values(data.lines).find(s => s.chatId === chatId && s.msgId === repliedId && !s.postedOptionsMap);
+    if (session) {
+      if (session.uid !== String(msg.from.id)) return; // someone else's line
+      const puzzle = data.puzzles[session.puzzleId];
+      if (!puzzle) return;
+      const chess = new Chess(puzzle.fen);
+      for (let i = 0; i < session.ply; i++) chess.move(puzzle.solution[i]);
+      const result = parseMoveInput(chess, msg.text);
+      if (result.error) return unreadable(result.error);
+      return playLineMove(session, result.move.san, reply);
+    }
+
+    const { puzzle, postedEntry } = findPostedPuzzle(chatId, repliedId);
+    if (!puzzle || puzzle.answerMode !== 'open' || !puzzle.fen) return;
+    if (postedEntry.revealed) return bot.sendMessage(msg.chat.id, tr(chatId, 'puzzleClosed'), { reply_to_message_id: msg.message_id });
+
+    registerUser(msg.from);
+    const result = parseMoveInput(new Chess(puzzle.fen), msg.text);
+    if (result.error) return unreadable(result.error); // an unreadable move does not use up the attempt
+
+    await judgeAnswer(puzzle, msg.from, msg.chat, result.move.san, {
+      reply,
+      announce: !isPrivate && groupSettings(chatId).announcements,
+      replyToMessageId: msg.message_id,
+      postedEntry
+    });
+  }catch(e){
+    console.error('open answer handler err', e);
+  }
+});
+
 // Callback for answers (UPDATED for HINT)
 bot.on('callback_query', async (callbackQuery) => {
   try{
@@ -1209,10 +6294,100 @@ bot.on('callback_query', async (callbackQuery) => {
     const msgId = callbackQuery.message.message_id;
     const uid = String(from.id);
 
+    // --- SUBMISSION REVIEW BUTTONS ---
+    if (dataRaw.startsWith('SUB|')) {
+        if (!can(from.id, 'reviewSubmissions')) return bot.answerCallbackQuery(callbackQuery.id, { text: 'Only reviewers can do that.' });
+        const [, action, subId] = dataRaw.split('|');
+        const sub = data.submissions[subId];
+        if (!sub || sub.status !== 'pending') {
+            bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msgId }).catch(() => {});
+            return bot.answerCallbackQuery(callbackQuery.id, { text: sub ? `Already ${sub.status} by ${sub.reviewedBy}.` : 'Submission not found.' });
+        }
+        if (action === 'edit') {
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return bot.sendMessage(chatId, `Send /editsubmission ${sub.id} field=value|field=value\nFields: ${EDITABLE_FIELDS.join(', ')} (e.g. /editsubmission ${sub.id} title=Smothered mate|hint=none)`);
+        }
+        if (action === 'approve' || action === 'reject') {
+            await decideSubmission(sub, action === 'approve', from);
+            const verdict = action === 'approve' ? `✅ Approved as Puzzle #${data.puzzles[sub.puzzleId].puzzleNumber}` : '❌ Rejected';
+            bot.editMessageCaption(`${verdict} by ${sub.reviewedBy}: ${sub.title} (from ${sub.submittedByName})`, { chat_id: chatId, message_id: msgId, reply_markup: { inline_keyboard: [] } })
+                .catch(() => {});
+            await bot.answerCallbackQuery(callbackQuery.id, { text: verdict });
+        } else {
+            await bot.answerCallbackQuery(callbackQuery.id);
+        }
+        // Show the next waiting submission (for "next": the one after this, wrapping around)
+        const queue = pendingSubmissions();
+        if (queue.length === 0) return bot.sendMessage(chatId, '📭 That was the last submission waiting for review.');
+        const after = queue.findIndex(q => q.submittedAt > sub.submittedAt);
+        const next = action === 'next' ? queue[after === -1 ? 0 : after] : queue[0];
+        if (action === 'next' && next.id === sub.id) return bot.sendMessage(chatId, 'This is the only submission waiting.');
+        return showSubmission(chatId, next);
+    }
+    // --- END SUBMISSION REVIEW BUTTONS ---
+
+    // --- /analyze "SHOW POSITION" BUTTONS ---
+    if (dataRaw.startsWith('POS|')) {
+        const [, analysisId, ply] = dataRaw.split('|');
+        const stored = data.analyses[analysisId];
+        const moment = stored && stored.moments[ply];
+        if (!moment) return bot.answerCallbackQuery(callbackQuery.id, { text: 'This analysis is no longer stored - send /analyze again.' });
+        await bot.answerCallbackQuery(callbackQuery.id);
+        const png = renderBoardPng(moment.fen, { flipped: moment.flipped, highlight: moment.lastMove });
+        return bot.sendPhoto(chatId, png, { caption: moment.caption }, { filename: 'position.png', contentType: 'image/png' });
+    }
+    // --- END SHOW POSITION BUTTONS ---
+
+    // --- RE-SCORE OFFER AFTER AN ANSWER EDIT ---
+    if (dataRaw.startsWith('RESCORE|')) {
+        const [, puzzleId, historyRef] = dataRaw.split('|');
+        const puzzle = data.puzzles[puzzleId];
+        if (puzzle && !canEditPuzzle(from.id, puzzle)) return bot.answerCallbackQuery(callbackQuery.id, { text: 'Only someone who can edit this puzzle can re-score it.' });
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msgId }).catch(() => {});
+        if (!puzzle) return bot.answerCallbackQuery(callbackQuery.id, { text: 'Puzzle not found.' });
+        if (historyRef === 'keep') return bot.answerCallbackQuery(callbackQuery.id, { text: 'Scores left unchanged.' });
+
+        // The offer belongs to one answer edit; a later edit makes it stale
+        const edit = puzzle.history && puzzle.history[Number(historyRef)];
+        const lastAnswerEdit = [...(puzzle.history || [])].reverse().find(h => h.field === 'answer');
+        if (!edit || edit.field !== 'answer' || edit !== lastAnswerEdit || edit.rescored) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This offer is out of date.' });
+        }
+        edit.rescored = true;
+        const count = rescorePuzzle(puzzle, edit.from, from);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: `Re-scored ${count} attempts.` });
+        return bot.sendMessage(chatId, `♻️ Re-scored ${count} attempts on Puzzle #${puzzle.puzzleNumber}.`);
+    }
+    // --- END RE-SCORE OFFER ---
+
+    // --- GROUP SETTINGS PANEL ---
+    if (dataRaw.startsWith('SET|')) {
+        const field = dataRaw.split('|')[1];
+        const groupRec = data.groups[chatId];
+        if (!groupRec) return bot.answerCallbackQuery(callbackQuery.id, { text: 'This group is not registered.' });
+        if (!(await isChatAdmin(chatId, from.id))) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'Only group admins can change settings.' });
+        }
+        if (field === 'close') {
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return bot.editMessageText('⚙️ Settings saved.', { chat_id: chatId, message_id: msgId }).catch(() => {});
+        }
+        if (!changeGroupSetting(groupRec, field)) return bot.answerCallbackQuery(callbackQuery.id, { text: 'Unknown setting' });
+        saveData();
+        const panel = settingsPanel(groupRec);
+        await bot.answerCallbackQuery(callbackQuery.id, { text: 'Updated' });
+        return bot.editMessageText(panel.text, { chat_id: chatId, message_id: msgId, reply_markup: panel.reply_markup })
+            .catch(e => console.warn('settings panel edit failed', e.message));
+    }
+    // --- END GROUP SETTINGS PANEL ---
+
     // --- HINT BUTTON LOGIC (NEW) ---
     if (dataRaw.startsWith('HINT|')) {
         const puzzleId = dataRaw.split('|')[1];
         const puzzle = data.puzzles[puzzleId];
+        if (!groupSettings(chatId).hints) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: tr(chatId, 'hintsOff') });
+        }
         
         let hintText = '💡 No specific hint was provided for this puzzle.';
         
@@ -1226,9 +6401,207 @@ bot.on('callback_query', async (callbackQuery) => {
     // --- END HINT BUTTON LOGIC ---
 
 
+    // --- MULTI-MOVE LINE STEP ---
+    if (dataRaw.startsWith('LINE|')) {
+        const [, sessionId, chosenKey] = dataRaw.split('|');
+        const session = data.lines[sessionId];
+        if (!session || session.msgId !== msgId) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This line is finished or has expired.' });
+        }
+        if (session.uid !== uid) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: `This line belongs to ${session.userName}. Answer the original puzzle to try it yourself!` });
+        }
+
+        const chosenMoveText = (session.postedOptionsMap || {})[chosenKey];
+        return playLineMove(session, chosenMoveText, text => bot.answerCallbackQuery(callbackQuery.id, { text }));
+    }
+    // --- END MULTI-MOVE LINE STEP ---
+
+
+    // --- /play CHALLENGE ANSWER ---
+    if (dataRaw.startsWith('GMACC|') || dataRaw.startsWith('GMDEC|')) {
+        const game = data.games[dataRaw.split('|')[1]];
+        if (!game || game.status !== 'pending') {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This challenge is no longer open.' });
+        }
+        const challengerId = game.challenger;
+        const opponentId = gameHumans(game).find(p => p !== challengerId);
+        const accepting = dataRaw.startsWith('GMACC|');
+        // The challenged player answers; the challenger may withdraw with Decline
+        if (uid !== opponentId && !(uid === challengerId && !accepting)) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: `This challenge is for ${battleUserName(opponentId)}.` });
+        }
+        const busy = accepting && Date.now() - game.createdAt <= PLAY_INVITE_TTL_MS && [challengerId, opponentId].find(p => gameOf(p, 'active'));
+        if (busy) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: `${busy === uid ? 'Finish your current game' : `${battleUserName(busy)} has to finish their game`} first - the challenge stays open.` });
+        }
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msgId }).catch(() => {});
+
+        if (!accepting || Date.now() - game.createdAt > PLAY_INVITE_TTL_MS) {
+            delete data.games[game.id];
+            saveData();
+            const text = !accepting
+                ? (uid === challengerId ? `${battleUserName(challengerId)} withdrew the challenge.` : `${battleUserName(opponentId)} declined the game.`)
+                : '⌛ This challenge has expired.';
+            await bot.answerCallbackQuery(callbackQuery.id, { text });
+            return sendGameMessage(game, text);
+        }
+        await bot.answerCallbackQuery(callbackQuery.id, { text: 'Challenge accepted!' });
+        await sendGameMessage(game, `♟️ Game on! ${gamePlayerName(game, 'w')} (White) vs ${gamePlayerName(game, 'b')} (Black), ${timeControlLabel(game.clock)}.`);
+        return startGame(game);
+    }
+    // --- END /play CHALLENGE ANSWER ---
+
+    // --- /play BOARD BUTTONS ---
+    if (dataRaw.startsWith('GM|')) {
+        const [, gameId, action, arg] = dataRaw.split('|');
+        const game = data.games[gameId];
+        if (!game || game.status !== 'active') {
+            bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msgId }).catch(() => {});
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This game is over.' });
+        }
+        if (game.boards[chatId] !== msgId) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This board is out of date - use the newest one (/game sends it again).' });
+        }
+        const color = gameColorOf(game, uid);
+        if (!color) return bot.answerCallbackQuery(callbackQuery.id, { text: "You're not playing in this game." });
+        const chess = gameChess(game);
+        const showButtons = async view => {
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return bot.editMessageReplyMarkup(gameKeyboard(game, chess, chatId, view), { chat_id: chatId, message_id: msgId }).catch(() => {});
+        };
+
+        if (action === 'pick' || action === 'from') {
+            if (chess.turn() !== color) return bot.answerCallbackQuery(callbackQuery.id, { text: "It's not your move." });
+            return showButtons(action === 'pick' ? 'pick' : arg);
+        }
+        if (action === 'main' || action === 'resign') return showButtons(action === 'resign' ? 'resign' : null);
+        if (action === 'mv') {
+            const checked = readGameMove(game, uid, arg);
+            if (checked.error) return bot.answerCallbackQuery(callbackQuery.id, { text: checked.error });
+            const played = playGameMove(game, checked.chess, checked.move);
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return played;
+        }
+        if (action === 'resignyes') {
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return resignGame(game, uid);
+        }
+        if (action === 'draw' || action === 'drawyes') return bot.answerCallbackQuery(callbackQuery.id, { text: offerDraw(game, uid) });
+        if (action === 'drawno') return bot.answerCallbackQuery(callbackQuery.id, { text: declineDraw(game, uid) });
+        return bot.answerCallbackQuery(callbackQuery.id);
+    }
+    // --- END /play BOARD BUTTONS ---
+
+    // --- TEAM GAME CHALLENGE ANSWER AND VOTES ---
+    if (dataRaw.startsWith('TGACC|') || dataRaw.startsWith('TGDEC|')) {
+        const game = data.games[dataRaw.split('|')[1]];
+        if (!game || game.status !== 'pending') {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This challenge is no longer open.' });
+        }
+        const invitedId = gameHumans(game).find(p => p !== game.challenger);
+        if (chatId !== invitedId || !(await isChatAdmin(chatId, from.id))) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'Only admins of this group can answer the challenge.' });
+        }
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msgId }).catch(() => {});
+
+        const accepting = dataRaw.startsWith('TGACC|');
+        if (!accepting || Date.now() - game.createdAt > PLAY_INVITE_TTL_MS) {
+            delete data.games[game.id];
+            saveData();
+            const text = accepting ? '⌛ This challenge has expired.' : `${gamePlayerName(game, gameColorOf(game, invitedId))} declined the team game.`;
+            await bot.answerCallbackQuery(callbackQuery.id, { text });
+            return sendGameMessage(game, text);
+        }
+        await bot.answerCallbackQuery(callbackQuery.id, { text: 'Challenge accepted!' });
+        await sendGameMessage(game, `♟️ Team game on! ${gamePlayerName(game, 'w')} (White) vs ${gamePlayerName(game, 'b')} (Black). ` +
+            `Each group votes on its moves, ${formatDuration(game.clock.windowMs)} per vote.`);
+        return startGame(game);
+    }
+    if (dataRaw.startsWith('TV|')) {
+        const [, gameId, index] = dataRaw.split('|');
+        const game = data.games[gameId];
+        if (!game || game.status !== 'active' || game.boards[chatId] !== msgId || !(game.candidates || [])[Number(index)]) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This vote is closed.' });
+        }
+        return bot.answerCallbackQuery(callbackQuery.id, { text: castTeamVote(game, chatId, from, game.candidates[Number(index)]).text });
+    }
+    // --- END TEAM GAME CHALLENGE ANSWER AND VOTES ---
+
+    // --- DUEL CHALLENGE ANSWER ---
+    if (dataRaw.startsWith('DUELACC|') || dataRaw.startsWith('DUELDEC|')) {
+        const duel = data.duels[dataRaw.split('|')[1]];
+        if (!duel || duel.status !== 'pending') {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This challenge is no longer open.' });
+        }
+        const [challengerId, opponentId] = duel.players;
+        const accepting = dataRaw.startsWith('DUELACC|');
+        // The challenged player answers; the challenger may withdraw with Decline
+        if (uid !== opponentId && !(uid === challengerId && !accepting)) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: `This challenge is for ${battleUserName(opponentId)}.` });
+        }
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msgId }).catch(() => {});
+
+        if (!accepting || Date.now() - duel.createdAt > DUEL_INVITE_TTL_MS) {
+            delete data.duels[duel.id];
+            saveData();
+            const text = !accepting
+                ? (uid === challengerId ? `${battleUserName(challengerId)} withdrew the challenge.` : `${battleUserName(opponentId)} declined the duel.`)
+                : '⌛ This challenge has expired.';
+            await bot.answerCallbackQuery(callbackQuery.id, { text });
+            return sendDuelMessage(duel, text);
+        }
+        if (duelOf(challengerId, 'active') || duelOf(opponentId, 'active')) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'One of you is already playing another duel.' });
+        }
+        await bot.answerCallbackQuery(callbackQuery.id, { text: 'Challenge accepted!' });
+        return startDuel(duel.id);
+    }
+    // --- END DUEL CHALLENGE ANSWER ---
+
+    // --- DUEL ROUND ANSWER ---
+    if (dataRaw.startsWith('DUEL|')) {
+        const [, duelId, chosenKey] = dataRaw.split('|');
+        const duel = data.duels[duelId];
+        if (!duel || duel.status !== 'active') {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This duel is over.' });
+        }
+        if (!duel.players.includes(uid)) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: `This duel is between ${duel.players.map(battleUserName).join(' and ')}. Challenge someone with /duel!` });
+        }
+        const state = duel.puzzles[duel.currentPuzzleIndex];
+        if (!state || state.closed || state.msgIds[chatId] !== msgId) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This duel puzzle is already over.' });
+        }
+        if (state.answers[uid]) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'You already answered this round.' });
+        }
+
+        const puzzle = data.puzzles[state.id];
+        const correctMoveText = puzzle && puzzle.options.find(opt => opt.isAnswer)?.text;
+        const isCorrect = !!correctMoveText && state.postedOptionsMap[chosenKey] === correctMoveText;
+        const ms = Date.now() - (state.postedAt || Date.now());
+        state.answers[uid] = { key: chosenKey, correct: isCorrect, ms };
+        if (isCorrect) duel.scores[uid]++;
+        duel.lastActivityAt = Date.now();
+        saveData();
+
+        // Only right/wrong for now; the move itself is revealed to both players when the round closes
+        await bot.answerCallbackQuery(callbackQuery.id, { text: isCorrect ? `✅ Correct! (${formatSeconds(ms)})` : '❌ Wrong.' });
+
+        if (duel.players.every(p => state.answers[p])) {
+            return closeDuelRound(duelId);
+        }
+        const waitingFor = duel.players.find(p => !state.answers[p]);
+        return bot.sendMessage(duel.groupId || waitingFor, `✍️ ${battleUserName(uid)} has answered. Waiting for ${battleUserName(waitingFor)}...`)
+            .catch(e => console.error('duel progress message failed', e.message));
+    }
+    // --- END DUEL ROUND ANSWER ---
+
+
     // --- BATTLE MODE CHECK & SCORING FIX ---
     if (dataRaw.startsWith('BATTL:')) {
-        const battle = activeBattles[chatId];
+        const battle = data.battles[chatId];
         if (!battle || !battle.isActive) {
             return bot.answerCallbackQuery(callbackQuery.id, { text: 'The battle has ended or does not exist.' });
         }
@@ -1240,19 +6613,24 @@ bot.on('callback_query', async (callbackQuery) => {
         if (!currentPuzzleState) {
              return bot.answerCallbackQuery(callbackQuery.id, { text: 'Error: Cannot find current battle puzzle state.' });
         }
+        // Buttons on an earlier battle puzzle stay visible after it was answered or timed out
+        if (currentPuzzleState.msgId && currentPuzzleState.msgId !== msgId) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'This battle puzzle is already over.' });
+        }
 
         const puzzle = data.puzzles[currentPuzzleState.id];
         const chosenKey = dataRaw.split(':')[1];
+        const mode = battle.mode || 'classic';
         
         // Retrieve move text from the postedOptionsMap stored during post
         const chosenMoveText = currentPuzzleState.postedOptionsMap[chosenKey];
         const correctMoveText = puzzle.options.find(opt => opt.isAnswer)?.text || null;
         
-        // Check if anyone has answered this specific puzzle in the battle yet
-        const alreadyAnsweredInBattle = Object.keys(currentPuzzleState.answeredBy).length > 0;
-        
-        if (alreadyAnsweredInBattle) {
-            return bot.answerCallbackQuery(callbackQuery.id, { text: 'Too late! Someone answered this puzzle first.' });
+        if (currentPuzzleState.closed) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: 'Too late! This round is already over.' });
+        }
+        if (currentPuzzleState.answeredBy[uid] !== undefined) {
+            return bot.answerCallbackQuery(callbackQuery.id, { text: mode === 'speed' ? 'You are locked out of this round.' : 'You already answered this round.' });
         }
         
         if (!correctMoveText) {
@@ -1260,19 +6638,38 @@ bot.on('callback_query', async (callbackQuery) => {
         }
         
         // --- CRITICAL BATTLE FIX: Record answer only to the temporary battle state ---
-        currentPuzzleState.answeredBy = { [uid]: chosenKey }; 
+        const isCorrect = chosenMoveText === correctMoveText;
+        const ms = Date.now() - (currentPuzzleState.postedAt || Date.now());
+        const answer = { key: chosenKey, correct: isCorrect, ms };
+        currentPuzzleState.answeredBy[uid] = answer;
         // We DO NOT save to userRec.answers here, preventing score leakage and the "already answered" error.
         // --- END CRITICAL BATTLE FIX ---
+        battle.scores[uid] = battle.scores[uid] || 0;
+        battle.lastActivityAt = Date.now();
 
-        const isCorrect = chosenMoveText === correctMoveText;
-        
+        if (mode === 'all') {
+            // Nobody's answer ends an "all" round; results are revealed when its timer runs out.
+            answer.points = isCorrect ? battleAllPoints(battle, ms) : 0;
+            battle.scores[uid] += answer.points;
+            saveData();
+            return bot.answerCallbackQuery(callbackQuery.id, { text: `🔒 Answer locked in after ${formatSeconds(ms)}. Results when the round ends.` });
+        }
+
+        // classic: any answer ends the round. speed: only a correct one does.
+        const roundOver = isCorrect || mode === 'classic';
+        if (roundOver) {
+            currentPuzzleState.closed = true;
+            clearBattleTimer(chatId);
+        }
         if (isCorrect) {
-            battle.scores[uid] = (battle.scores[uid] || 0) + 1;
+            battle.scores[uid] += 1;
         }
 
-        const who = userDisplayName(from);
+        const who = escapeMarkdown(userDisplayName(from));
         const battlePoints = isCorrect ? '+1 Battle Point' : '— No Points';
-        const replyText = isCorrect ? `✅ CORRECT! (${battlePoints})` : `❌ WRONG. Correct: ${correctMoveText}.`;
+        const replyText = isCorrect
+            ? `✅ CORRECT! (${battlePoints})`
+            : (mode === 'speed' ? `❌ WRONG. You're locked out of this round.` : `❌ WRONG. Correct: ${correctMoveText}.`);
         
         await bot.answerCallbackQuery(callbackQuery.id, { text: replyText });
         
@@ -1281,18 +6678,17 @@ bot.on('callback_query', async (callbackQuery) => {
             // FIX: Battle Mode (Incorrect) - Hide chosen move and correct answer
             : `💀 ${who} got it wrong.`; // Just states they were wrong.
             
-        await bot.sendMessage(chatId, announcement, { parse_mode: 'Markdown' });
+        // The round's timer is already cleared: a failed announcement must not keep the battle from advancing
+        await bot.sendMessage(chatId, announcement, { parse_mode: 'Markdown' })
+            .catch(e => console.error('battle answer announcement failed', e.message));
 
-        // --- BATTLE ADVANCEMENT FIX: Move to next puzzle after answer ---
-        battle.currentPuzzleIndex++;
-        
-        if (battle.currentPuzzleIndex < BATTLE_PUZZLE_COUNT) {
-            // Post the next puzzle in the battle sequence
-            postNextBattlePuzzle(chatId);
-        } else {
-            // Battle finished
-            endBattle(chatId);
+        if (!roundOver) {
+            saveData();
+            return;
         }
+
+        // --- BATTLE ADVANCEMENT FIX: Move to next puzzle after answer ---
+        advanceBattle(chatId);
         // --- END BATTLE ADVANCEMENT FIX ---
         
         return; // EXIT BATTLE MODE LOGIC: Crucial to stop execution here
@@ -1305,141 +6701,37 @@ bot.on('callback_query', async (callbackQuery) => {
     if (!dataRaw.startsWith('ANS|')) return bot.answerCallbackQuery(callbackQuery.id, { text: 'Unknown action' });
     const chosenKey = dataRaw.split('|')[1];
     
-    const chatType = callbackQuery.message.chat.type;
-    
     // 1. Identify the puzzle and its options map
-    let puzzle = null;
-    let postedOptionsMap = null;
-    for (const p of Object.values(data.puzzles)){
-      const postedEntry = p.postedIn.find(pi => String(pi.chatId) === chatId && pi.msgId === msgId);
-      if (postedEntry){
-        puzzle = p; 
-        postedOptionsMap = postedEntry.postedOptionsMap; // Retrieve the map used for this specific post
-        break;
-      }
-    }
-    if (!puzzle) return bot.answerCallbackQuery(callbackQuery.id, { text: 'Puzzle not found (maybe posted before restart)' });
-
-    const userRec = data.users[uid]; 
-
-    // 2. CHECK IF ALREADY ANSWERED BEFORE RECORDING NEW ATTEMPT (Practice logic starts here)
-    const alreadyAttempted = !!userRec.answers[puzzle.id];
-
-    // Determine correctness outside of scoring logic
-    const chosenMoveText = postedOptionsMap[chosenKey];
-    const correctMoveText = puzzle.options.find(opt => opt.isAnswer)?.text || null;
-    const isCorrect = correctMoveText && (chosenMoveText === correctMoveText);
-    
-    let scoreChange = 0; 
-    let practiceAttempt = false; // Flag for final message
-
-    if (alreadyAttempted) {
-        // --- PRACTICE MODE LOGIC ---
-        practiceAttempt = true;
-        // Scores and stats DO NOT CHANGE, regardless of correctness
-        
-        // Update the last answer field only if the user got it right this time (Optional, but useful for stats)
-        if (isCorrect) {
-            userRec.answers[puzzle.id] = chosenMoveText; 
-            saveData();
-        }
-        // --- END PRACTICE MODE LOGIC ---
-        
-    } else {
-        // --- FIRST ATTEMPT SCORING LOGIC ---
-        
-        // 3. Record the first attempt (User stats)
-        userRec.attempts = (userRec.attempts || 0) + 1;
-        userRec.answers[puzzle.id] = chosenMoveText; // Record the first answer, preventing future scoring
-
-        if (correctMoveText){
-            if (isCorrect) {
-                userRec.correct = (userRec.correct || 0) + 1;
-                scoreChange = SCORE_CORRECT; 
-                
-                // --- STREAK BONUS CALCULATION (ROUNDED) ---
-                const streakBonus = Math.round(userRec.currentStreak * STREAK_BONUS_MULTIPLIER);
-                scoreChange += streakBonus; 
-                
-                userRec.currentStreak = (userRec.currentStreak || 0) + 1;
-                if (userRec.currentStreak > userRec.maxStreak) {
-                    userRec.maxStreak = userRec.currentStreak;
-                }
-                
-            } else {
-                scoreChange = SCORE_WRONG; 
-                userRec.currentStreak = 0;
-            }
-            userRec.score += scoreChange; 
-        }
-
-        // 4. Group Scoring (Only on FIRST attempt)
-        if ((chatType === 'group' || chatType === 'supergroup') && scoreChange !== 0) {
-            const groupRec = data.groups[chatId];
-            
-            if (groupRec) {
-                if (isCorrect) {
-                    // Group score includes streak bonus
-                    groupRec.score = (groupRec.score || 0) + scoreChange;
-                } else {
-                    groupRec.score = (groupRec.score || 0) + SCORE_WRONG;
-                }
-                groupRec.attempts = (groupRec.attempts || 0) + 1;
-            }
-        }
-        saveData();
-        // --- END FIRST ATTEMPT SCORING LOGIC ---
-    }
-    
-    // 5. Send final feedback
-    let replyText = '';
-    let announcementText = '';
-
-    const who = userDisplayName(from);
-
-    if (practiceAttempt) {
-        // Response for subsequent attempts (No score change)
-        if (isCorrect) {
-            replyText = `✅ Correct! (Practice attempt, score unchanged.)`;
-            announcementText = `${who} solved it again! (Practice attempt)`;
-        } else {
-            // FIX 3: Hide correct answer from private pop-up but give status
-            replyText = `❌ Wrong. Correct move was: ${correctMoveText}. (Practice attempt, score unchanged.)`;
-            announcementText = `${who} answered incorrectly. (Practice attempt)`;
-        }
-    } else {
-        // Response for first attempt (Score changed)
-        const scoreDisplay = scoreChange !== 0 ? `(+${scoreChange} points. Current Score: ${userRec.score})` : '';
-        const streakMsg = isCorrect ? ` | Streak: ${userRec.currentStreak}` : ' | Streak broken!';
-        const scoreBase = scoreChange > 0 ? SCORE_CORRECT : SCORE_WRONG;
-        
-        if (isCorrect) {
-            replyText = `✅ Correct! ${scoreDisplay}${streakMsg}`;
-            // FIX 4: Hide chosen move, only show score/status in public announcement
-            announcementText = `${who} answered correctly — ✅ (${scoreDisplay}${streakMsg})`; 
-        } else if (correctMoveText) {
-            replyText = `❌ Wrong. ${scoreDisplay} | Correct: ${correctMoveText}${streakMsg}`;
-            // FIX 5: Show simple incorrect status (Hides correct answer from public chat)
-            announcementText = `${who} answered incorrectly — ❌ (${scoreBase}${streakMsg})`;
-        } else {
-            replyText = 'Answer recorded (Puzzle had no answer key).';
-            announcementText = `${who} answered: Answer recorded.`;
-        }
-    }
-
-
-    await bot.answerCallbackQuery(callbackQuery.id, { text: replyText });
-    await bot.sendMessage(callbackQuery.message.chat.id, announcementText, { parse_mode: 'Markdown' });
+    const { puzzle, postedEntry } = findPostedPuzzle(chatId, msgId);
+    if (!puzzle) return bot.answerCallbackQuery(callbackQuery.id, { text: `Puzzle not found (removed, or posted more than ${POST_RETENTION_DAYS} days ago)` });
 
+    if (postedEntry.revealed) return bot.answerCallbackQuery(callbackQuery.id, { text: tr(chatId, 'puzzleClosed') });
 
+    // Retrieve the map used for this specific post
+    const chosenMoveText = postedEntry.postedOptionsMap[chosenKey];
+    await judgeAnswer(puzzle, from, callbackQuery.message.chat, chosenMoveText, {
+        reply: text => bot.answerCallbackQuery(callbackQuery.id, { text }),
+        announce: groupSettings(chatId).announcements,
+        postedEntry
+    });
   }catch(e){
     console.error('callback handler err', e);
   }
 });
 
+resumeBattles();
+resumeDuels();
+resumeLines();
+resumeGames();
+setInterval(() => { sweepStaleBattles(); sweepDuels(); sweepGames(); }, 5 * 60 * 1000);
+runDueSchedules();
+setInterval(runDueSchedules, SCHEDULE_TICK_MS);
+runDueReveals();
+setInterval(runDueReveals, REVEAL_TICK_MS);
+
 process.on('SIGINT', ()=>{
-  console.log('SIGINT saving data'); saveData(); process.exit(0);
+  console.log('SIGINT saving data'); saveDataSync(); process.exit(0);
 });
-process.on('SIGTERM', ()=>{ console.log('SIGTERM saving data'); saveData(); process.exit(0); });
+process.on('SIGTERM', ()=>{ console.log('SIGTERM saving data'); saveDataSync(); process.exit(0); });
 
-console.log('Ready — admins:', ADMIN_IDS.join(', '));
\ No newline at end of file
+console.log('Ready — owners:', ADMIN_IDS.join(', '), '| granted roles:', Object.keys(data.roles).length);
\ No newline at end of file